@@ -1,17 +1,51 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const path = require('path');
-const fs = require('fs').promises;
-const { updateJiraCard } = require('../../shared/utils/jira-utils.js');
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const llm = require('../../shared/llm');
+const { existsSync } = require('fs');
+const { updateJiraCard, getAcceptanceCriteria } = require('../../shared/utils/jira-utils.js');
+const { throwIfCancelled } = require('../../shared/utils/job-queue.js');
+const { describeOutputFailure } = require('../../shared/utils/failure-report.js');
+const { toMarkdown, extractAcceptanceCriteria } = require('../../shared/utils/rich-text.js');
+const { exportTestCases } = require('../../shared/utils/test-export.js');
+const {
+  SCHEMA_VERSION,
+  testCaseSchema,
+  TestCaseValidationError,
+  getTestCasePath,
+  validateTestCaseDocument,
+  readTestCases,
+  writeTestCases,
+  applyPreviousVersion
+} = require('../../shared/utils/test-cases.js');
+
+// Tool Claude must call with the scenarios; the document wrapper is added by buildTestCaseDocument
+const TEST_CASE_TOOL = {
+  name: 'record_test_cases',
+  description: 'Record the manual test cases generated for the Jira issue.',
+  schema: {
+    type: 'object',
+    required: ['scenarios'],
+    additionalProperties: false,
+    properties: {
+      scenarios: testCaseSchema.properties.scenarios
+    },
+    definitions: testCaseSchema.definitions
+  }
+};
 
 /**
  * Agent 1: Test Case Creator
  * Generates manual test cases from Jira issue description
+ *
+ * Options:
+ * - chainAgent2: trigger Agent 2 once test cases are saved (default true).
+ *   The full workflow runs Agent 2 itself and passes false.
+ * - awaitApproval: the workflow pauses for a review of the test cases before Agent 2
+ * - feedback: a reviewer's rejection feedback to address in this version
+ * - signal / workspaceDir / runId: job context from the job queue, passed on to
+ *   Agent 2; runId also attributes LLM token usage to the workflow run.
  */
-async function triggerAgent1(issue) {
+async function triggerAgent1(issue, options = {}) {
+  const { chainAgent2 = true, signal } = options;
+
   console.log('\n' + '='.repeat(60));
   console.log('🤖 AGENT 1: TEST CASE CREATOR');
   console.log('='.repeat(60));
@@ -20,50 +54,108 @@ async function triggerAgent1(issue) {
 
   try {
     const issueKey = issue.key;
-    const description = issue.fields.description || 'No description provided';
     const summary = issue.fields.summary || '';
 
+    // Descriptions arrive as ADF (v3 webhooks) or wiki markup (v2 API); an
+    // "Acceptance Criteria" section in the description is lifted out next to the AC field
+    const parsed = extractAcceptanceCriteria(toMarkdown(issue.fields.description));
+    const description = parsed.description || 'No description provided';
+    const acceptanceCriteria = [toMarkdown(await getAcceptanceCriteria(issue)), parsed.acceptanceCriteria]
+      .filter(Boolean)
+      .join('\n\n');
+
+    const details = {
+      feedback: options.feedback || null,
+      acceptanceCriteria: acceptanceCriteria || null,
+      labels: issue.fields.labels || [],
+      components: (issue.fields.components || []).map(c => c.name),
+      attachments: (issue.fields.attachment || []).map(a => a.filename)
+    };
+
     console.log(`📋 Summary: ${summary}`);
     console.log(`📄 Description: ${description.substring(0, 150)}...`);
+    if (details.acceptanceCriteria) {
+      console.log(`✔️  Acceptance criteria provided`);
+    }
+
+    // The previous version is fed back in so ids and manual edits survive regeneration
+    const previousTestCases = await loadPreviousTestCases(issueKey);
+    if (previousTestCases) {
+      console.log(`📚 Updating ${previousTestCases.scenarios.length} existing test cases`);
+      details.previousScenarios = previousTestCases.scenarios;
+    }
 
     // Update Jira: Starting
     await updateJiraCard(issueKey, {
-      comment: '🤖 *Agent 1 started*\n\nGenerating test cases from issue description...'
+      comment: previousTestCases
+        ? '🤖 *Agent 1 started*\n\nUpdating the existing test cases from the issue description...'
+        : '🤖 *Agent 1 started*\n\nGenerating test cases from issue description...'
     });
 
     // Generate test cases using Claude
     console.log('\n🔄 Calling Claude API to generate test cases...');
-    const testCases = await generateTestCases(summary, description, issueKey);
+    const generated = await generateTestCases(summary, description, issueKey, details, options);
+    throwIfCancelled(signal);
+
+    // Keep stable ids and mark what was added/modified/removed since the previous version
+    const testCases = applyPreviousVersion(previousTestCases, generated);
 
     console.log(`\n✅ Generated ${testCases.scenarios.length} test scenarios:`);
     testCases.scenarios.forEach((tc, index) => {
       console.log(`   ${index + 1}. ${tc.id}: ${tc.title} (${tc.priority})`);
     });
 
-    // Save test cases to file
-    const testCaseDir = path.join(__dirname, '..', '..', 'shared', 'test-cases');
-    const testCasePath = path.join(testCaseDir, `${issueKey}-test-cases.json`);
-
-    await fs.mkdir(testCaseDir, { recursive: true });
-    await fs.writeFile(testCasePath, JSON.stringify(testCases, null, 2));
+    // Save test cases to file (validated against the test case schema)
+    const testCasePath = await writeTestCases(issueKey, testCases);
 
     console.log(`\n💾 Saved test cases to: ${testCasePath}`);
 
-    // Format test cases for Jira comment
-    const formattedTestCases = formatTestCasesForJira(testCases);
+    // Export scenarios as individual test issues (TEST_EXPORT_MODE). A failed
+    // export is reported but doesn't stop the workflow.
+    throwIfCancelled(signal);
+    let exportedTests = [];
+    let exportError = null;
+    try {
+      exportedTests = await exportTestCases(issue, testCases);
+    } catch (error) {
+      exportError = error;
+      console.error(`⚠️ Test case export failed: ${error.message}`);
+    }
+
+    // Updates get a diff summary; new cases are listed by exported key or in full
+    let formattedTestCases;
+    if (testCases.changes) {
+      formattedTestCases = formatChangesForJira(testCases);
+      if (exportedTests.length > 0) {
+        formattedTestCases += `\n\n*Test issues:*\n${formatExportedTestsForJira(exportedTests)}`;
+      }
+    } else {
+      formattedTestCases = exportedTests.length > 0
+        ? formatExportedTestsForJira(exportedTests)
+        : formatTestCasesForJira(testCases);
+    }
+    const exportWarning = exportError ? `\n\n⚠️ Test case export failed: ${exportError.message}` : '';
+    const nextStep = options.awaitApproval
+      ? '_Waiting for approval before Agent 2 generates Playwright scripts..._'
+      : '_Passing to Agent 2 for Playwright script generation..._';
+    const headline = testCases.changes
+      ? `✅ Updated test cases (${testCases.scenarios.length} scenarios):`
+      : `✅ Generated ${testCases.scenarios.length} test scenarios:`;
 
     // Update Jira with test cases
     await updateJiraCard(issueKey, {
-      comment: `🤖 *Agent 1 completed*\n\n✅ Generated ${testCases.scenarios.length} test scenarios:\n\n${formattedTestCases}\n\n_Passing to Agent 2 for Playwright script generation..._`
+      comment: `🤖 *Agent 1 completed*\n\n${headline}\n\n${formattedTestCases}${exportWarning}\n\n${nextStep}`
     });
 
     console.log('\n✅ Agent 1 completed successfully');
-    // console.log('🔄 Triggering Agent 2...\n');
 
-    // Trigger Agent 2
-    const { triggerAgent2 } = require('../agent2-script-generator/index.js');
-    await triggerAgent2(issue, testCases, testCasePath);
-    // console.log('Construction of Agent 2 is pending, so stopping here.');
+    if (chainAgent2) {
+      // Trigger Agent 2
+      const { triggerAgent2 } = require('../agent2-script-generator/index.js');
+      await triggerAgent2(issue, testCases.scenarios, testCasePath, options);
+    }
+
+    return { testCases, testCasePath, exportedTests };
 
   } catch (error) {
     console.error('\n❌ Agent 1 error:', error.message);
@@ -72,7 +164,7 @@ async function triggerAgent1(issue) {
     // Update Jira with error
     try {
       await updateJiraCard(issue.key, {
-        comment: `🤖 *Agent 1 failed*\n\n❌ Error: ${error.message}\n\nPlease check the logs and try again.`
+        comment: `🤖 *Agent 1 failed*\n\n❌ Error: ${error.message}${await describeOutputFailure(issue.key, error)}\n\nPlease check the logs and try again.`
       });
     } catch (jiraError) {
       console.error('❌ Failed to update Jira with error:', jiraError.message);
@@ -83,9 +175,31 @@ async function triggerAgent1(issue) {
 }
 
 /**
- * Generate test cases using Claude API
+ * Read the current test case document for an issue, or null if there is none.
+ * An unreadable or invalid document is treated as missing and regenerated from scratch.
  */
-async function generateTestCases(summary, description, issueKey) {
+async function loadPreviousTestCases(issueKey) {
+  if (!existsSync(getTestCasePath(issueKey))) {
+    return null;
+  }
+  try {
+    return await readTestCases(issueKey);
+  } catch (error) {
+    if (!(error instanceof TestCaseValidationError)) throw error;
+    console.warn(`⚠️ Ignoring previous test cases for ${issueKey}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Generate test cases using Claude API.
+ * details.previousScenarios, when set, is the current version to update rather than replace,
+ * and details.feedback a reviewer's reason for rejecting it.
+ */
+async function generateTestCases(summary, description, issueKey, details = {}, options = {}) {
+  const extraContext = formatIssueDetails(details);
+  const previousContext = formatPreviousScenarios(details.previousScenarios) + formatReviewerFeedback(details.feedback);
+
   const prompt = `You are an expert QA engineer creating comprehensive manual test cases.
 
 **TASK:** Analyze the following Jira ticket and create detailed test cases for each user scenario mentioned.
@@ -95,9 +209,11 @@ async function generateTestCases(summary, description, issueKey) {
 - **Summary:** ${summary}
 - **Description:**
 ${description}
-
+${extraContext}${previousContext}
 **INSTRUCTIONS:**
-1. Carefully read the description and identify ALL user scenarios, use cases, or features mentioned
+1. Carefully read the description (and acceptance criteria, if provided) and identify ALL user scenarios, use cases, or features mentioned.
+   Both are markdown converted from Jira; tables, checklists and code blocks in them are part of the requirements.
+   Every acceptance criterion must be covered by at least one test case.
 2. For EACH scenario, create a detailed test case with:
    - Unique Test Case ID (format: TC001, TC002, etc.)
    - Clear, descriptive title
@@ -105,6 +221,7 @@ ${description}
    - Complete list of preconditions
    - Detailed step-by-step test instructions with expected results
    - Any required test data
+   - Short tags (e.g. smoke, regression, negative) and the linked requirement (the Jira key)
    
 3. Make test steps very detailed and specific - include:
    - Exact actions to perform
@@ -112,7 +229,7 @@ ${description}
    - Expected behavior after each action
    - Any validations to check
 
-4. **IMPORTANT:** Return ONLY valid JSON in this EXACT format (no markdown, no explanations):
+4. **IMPORTANT:** Return the test cases by calling the \`record_test_cases\` tool with input in this EXACT format:
 
 {
   "scenarios": [
@@ -156,55 +273,146 @@ ${description}
       "testData": {
         "username": "testuser@example.com",
         "password": "ValidPass123!"
-      }
+      },
+      "tags": ["login", "smoke"],
+      "linkedRequirement": "${issueKey}"
     }
   ]
 }
 
-**Return ONLY the JSON object. No markdown code blocks, no explanations, just the raw JSON.**`;
+Rules: "id" must match TC followed by 3+ digits and be unique, "priority" must be exactly High, Medium or Low,
+every test step needs "step" (starting at 1), "action" and "expectedResult". Do not add other properties.`;
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+    const { data } = await llm.completeStructured('agent1', {
+      messages: [{ role: 'user', content: prompt }],
+      tool: TEST_CASE_TOOL,
+      // Checks the schema can't express (e.g. unique ids) on the full document
+      validate: data => validateTestCaseDocument(buildTestCaseDocument(data, issueKey))
+    }, options);
 
-    const responseText = message.content[0].text;
-    console.log('\n📄 Claude Response Preview:', responseText.substring(0, 200) + '...');
+    return buildTestCaseDocument(data, issueKey);
 
-    // Extract JSON from response (handle markdown code blocks if present)
-    let jsonText = responseText.trim();
+  } catch (error) {
+    if (error instanceof llm.StructuredOutputError) {
+      throw error;
+    }
+    console.error('❌ Error calling Claude API:', error.message);
+    throw new Error(`Failed to generate test cases: ${error.message}`);
+  }
+}
 
-    // Remove markdown code blocks if present
-    jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+/**
+ * Wrap the tool output in a versioned test case document
+ */
+function buildTestCaseDocument({ scenarios }, issueKey) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    issueKey,
+    generatedAt: new Date().toISOString(),
+    scenarios: scenarios.map(scenario => ({
+      ...scenario,
+      tags: scenario.tags || [],
+      linkedRequirement: scenario.linkedRequirement || issueKey
+    }))
+  };
+}
 
-    // Try to find JSON object
-    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Failed to extract JSON from Claude response');
-    }
+/**
+ * Format acceptance criteria (markdown), labels, components and attachments for the prompt
+ */
+function formatIssueDetails({ acceptanceCriteria, labels = [], components = [], attachments = [] }) {
+  let formatted = '';
 
-    const testCases = JSON.parse(jsonMatch[0]);
+  if (acceptanceCriteria) {
+    formatted += `- **Acceptance Criteria:**\n${acceptanceCriteria}\n`;
+  }
+  if (labels.length > 0) {
+    formatted += `- **Labels:** ${labels.join(', ')}\n`;
+  }
+  if (components.length > 0) {
+    formatted += `- **Components:** ${components.join(', ')}\n`;
+  }
+  if (attachments.length > 0) {
+    formatted += `- **Attachments:** ${attachments.join(', ')}\n`;
+  }
 
-    // Validate structure
-    if (!testCases.scenarios || !Array.isArray(testCases.scenarios)) {
-      throw new Error('Invalid test case structure: missing scenarios array');
-    }
+  return formatted;
+}
 
-    if (testCases.scenarios.length === 0) {
-      throw new Error('No test scenarios generated');
-    }
+/**
+ * Format a reviewer's rejection feedback for the prompt
+ */
+function formatReviewerFeedback(feedback) {
+  if (!feedback) {
+    return '';
+  }
 
-    return testCases;
+  return `
+**REVIEWER FEEDBACK:**
+A reviewer rejected the previous version of these test cases. Address this feedback:
+${feedback}
+`;
+}
 
-  } catch (error) {
-    console.error('❌ Error calling Claude API:', error.message);
-    throw new Error(`Failed to generate test cases: ${error.message}`);
+/**
+ * Format the current test cases for the prompt, with rules for updating them
+ */
+function formatPreviousScenarios(previousScenarios) {
+  if (!previousScenarios || previousScenarios.length === 0) {
+    return '';
+  }
+
+  const scenarios = previousScenarios.map(({ changeStatus, ...scenario }) => scenario);
+  return `
+**EXISTING TEST CASES:**
+These test cases were generated for an earlier version of the ticket and may have been edited by hand since.
+Update them instead of starting over:
+- Keep the id of every test case that still applies, and keep its wording and manual edits unless the ticket now requires a change.
+- Give new test cases ids after the highest existing one.
+- Leave out test cases that no longer apply to the ticket.
+
+\`\`\`json
+${JSON.stringify(scenarios, null, 2)}
+\`\`\`
+`;
+}
+
+/**
+ * Format the changes since the previous version for Jira comment
+ */
+function formatChangesForJira(testCases) {
+  const { added, modified, removed } = testCases.changes;
+  const titles = new Map(testCases.scenarios.map(tc => [tc.id, tc.title]));
+  const unchanged = testCases.scenarios.length - added.length - modified.length;
+  const sections = [];
+
+  if (added.length > 0) {
+    sections.push(`*➕ Added (${added.length}):*\n${added.map(id => `• ${id}: ${titles.get(id)}`).join('\n')}`);
+  }
+  if (modified.length > 0) {
+    sections.push(`*✏️ Modified (${modified.length}):*\n${modified
+      .map(({ id, fields }) => `• ${id}: ${titles.get(id)} _(${fields.join(', ')})_`)
+      .join('\n')}`);
+  }
+  if (removed.length > 0) {
+    sections.push(`*➖ Removed (${removed.length}):*\n${removed.map(tc => `• ${tc.id}: ${tc.title}`).join('\n')}`);
   }
+  if (sections.length === 0) {
+    sections.push('No changes to the existing test cases.');
+  }
+  sections.push(`_${unchanged} unchanged_`);
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Format exported test issues for Jira comment
+ */
+function formatExportedTestsForJira(exportedTests) {
+  return exportedTests
+    .map(test => `• ${test.key} - ${test.id}: ${test.title} _(${test.action})_`)
+    .join('\n');
 }
 
 /**
@@ -1,38 +1,110 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const llm = require('../../shared/llm');
 const simpleGit = require('simple-git');
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const { updateJiraCard } = require('../../shared/utils/jira-utils.js');
-
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const { updateJiraCard, getIssueUrl } = require('../../shared/utils/jira-utils.js');
+const { throwIfCancelled } = require('../../shared/utils/job-queue.js');
+const { describeOutputFailure } = require('../../shared/utils/failure-report.js');
+const { readTestCases } = require('../../shared/utils/test-cases.js');
+const { getTargetRepoUrl, getScmProvider } = require('../../shared/scm');
+const runStore = require('../../shared/utils/run-store.js');
+const { installDependencies } = require('../../shared/utils/playwright-utils.js');
+const { getRepoConfig } = require('../../shared/utils/repo-config.js');
+const {
+    getPullRequestOptions,
+    resolveBaseBranch,
+    loadBodyTemplate,
+    renderTemplate,
+    formatScenarioTable,
+    formatTokenUsage
+} = require('../../shared/utils/pull-request.js');
+const { indexTargetRepo, formatRepoContext } = require('./repo-context.js');
+const {
+    GeneratedFilesValidationError,
+    getValidationConfig,
+    validateGeneratedFiles,
+    formatDiagnostics
+} = require('./validate-files.js');
+const { TEST_DATA_FILE, TEST_DATA_ENTRIES_SCHEMA, applyTestDataEntries } = require('./testdata-merge.js');
+const { checkGeneratedPath, resolveWritablePath, formatRejectedPaths } = require('./path-sandbox.js');
+const {
+    getManifestPath,
+    getIssueTag,
+    listRelativeImports,
+    buildManifest,
+    readManifest,
+    writeManifest
+} = require('../../shared/utils/test-manifest.js');
+
+const SPEC_FILE = /\.spec\.[jt]s$/;
+const PAGES_DIR = 'tests/pages/';
+
+// Tool Claude must call with the generated files; test data is added as entries merged into tests/testdata.ts
+const FILES_TOOL = {
+    name: 'write_playwright_files',
+    description: 'Write the generated Playwright page objects and test specs to the target repository, and add test data.',
+    schema: {
+        type: 'object',
+        required: ['files'],
+        additionalProperties: false,
+        properties: {
+            files: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['path', 'content'],
+                    additionalProperties: false,
+                    properties: {
+                        path: { type: 'string', minLength: 1 },
+                        content: { type: 'string', minLength: 1 }
+                    }
+                }
+            },
+            testDataEntries: TEST_DATA_ENTRIES_SCHEMA
+        }
+    }
+};
+
+// How to treat the existing code shown from the target repo
+const REUSE_RULES = `**REUSING EXISTING CODE:**
+- Import and use the existing page objects, locators and methods above wherever a test touches that page
+- Only create a new page object for a page that has none; extend BasePage like the existing ones do
+- To add locators or methods to an existing page object, return its complete file with every existing member kept unchanged
+- Reuse the exported test data; add new data with testDataEntries (never by returning tests/testdata.ts)
+- Do not overwrite existing specs; put the new tests in a new spec file
+`;
 
 /**
  * Agent 2: Playwright Script Generator
- * Generates Playwright script, pushes to GitHub, and creates a PR.
+ * Generates Playwright script, pushes it to the target repository (GitHub, GitLab or
+ * Bitbucket), and creates a PR.
+ *
+ * Options:
+ * - workspaceDir: per-job directory to clone the target repo into
+ * - signal: AbortSignal used to cancel the job
+ * - runId: workflow run that LLM token usage is recorded against
+ * - feedback: a reviewer's rejection feedback on the previous scripts
  */
-async function triggerAgent2(issue, testCases, testCasePath) {
+async function triggerAgent2(issue, testCases, testCasePath, options = {}) {
     console.log('\n' + '='.repeat(60));
-    console.log('🤖 AGENT 2: SCRIPT GENERATOR (GitHub Integration)');
+    console.log('🤖 AGENT 2: SCRIPT GENERATOR (Source Control Integration)');
     console.log('='.repeat(60));
 
     const issueKey = issue.key;
-    const repoUrl = process.env.TARGET_REPO_URL;
-    const username = process.env.GITHUB_USERNAME;
-    const token = process.env.GITHUB_TOKEN;
+    const repoUrl = getTargetRepoUrl();
+    const { signal } = options;
 
-    // Work in a temporary directory for the repo
-    const repoDir = path.join(__dirname, '..', '..', 'temp-repo');
+    // Work in the job's workspace (or a shared temporary directory when run standalone)
+    const repoDir = options.workspaceDir
+        ? path.join(options.workspaceDir, 'repo')
+        : path.join(__dirname, '..', '..', 'temp-repo');
 
-    try {
-        // 1. Generate Playwright Script using Claude
-        console.log('🔄 Generating Playwright script with Claude...');
-        const scriptContent = await generatePlaywrightScript(testCases);
-        console.log('✅ Generated script content.');
+    // Where generated files may go (shared/config/target-repos.json); rejected paths are reported to Jira
+    const sandbox = { repoDir, rules: getPathRules(repoUrl), rejected: [] };
 
-        // 2. Clone/Prepare Repo
+    try {
+        // 1. Clone/Prepare Repo
         console.log(`\n🔄 Preparing repository: ${repoUrl}`);
 
         // Clean old repo dir if exists
@@ -41,11 +113,11 @@ async function triggerAgent2(issue, testCases, testCasePath) {
         } catch (e) { }
         await fs.mkdir(repoDir, { recursive: true });
 
-        const git = simpleGit(repoDir);
+        const git = simpleGit({ baseDir: repoDir, abort: signal });
 
         // Auth URL
-        const cleanUrl = repoUrl.replace(/^https?:\/\//, '');
-        const authRemote = `https://${username}:${token}@${cleanUrl}`;
+        const scm = getScmProvider(repoUrl);
+        const authRemote = await scm.getAuthRemote();
 
         console.log('🔄 Cloning repository...');
         await git.clone(authRemote, '.');
@@ -54,55 +126,166 @@ async function triggerAgent2(issue, testCases, testCasePath) {
         await git.addConfig('user.name', 'Antigravity Agent');
         await git.addConfig('user.email', 'antigravity-agent@example.com');
 
-        // 3. Create Feature Branch with timestamp to avoid conflicts
-        const timestamp = Date.now();
-        const branchName = `feature/${issueKey}-tests-${timestamp}`;
-        console.log(`🔄 Creating branch: ${branchName}`);
-        await git.checkoutLocalBranch(branchName);
+        // Branch off (and later open the PR against) the configured base or the default branch
+        const prOptions = getPullRequestOptions(repoUrl);
+        const baseBranch = await resolveBaseBranch(scm, prOptions);
+        console.log(`🌿 Base branch: ${baseBranch}`);
+        await git.checkout(baseBranch);
+
+        // Keep working on the issue's open PR instead of opening another one
+        const openPr = prOptions.updateExisting ? await findOpenPullRequest(scm, issueKey, baseBranch) : null;
+        let previousFiles = [];
+        if (openPr) {
+            console.log(`♻️ Updating open PR ${openPr.url} (branch ${openPr.head})`);
+            await git.checkout(openPr.head);
+            previousFiles = (await git.raw(['diff', '--name-only', `${baseBranch}...HEAD`])).split('\n').filter(Boolean);
+        }
 
-        // 4. Save Files to Repo
-        console.log('💾 Writing generated files...');
-        const generatedFiles = scriptContent; // Now an array of {path, content}
+        // The validation gate compiles against the repo's own dependencies
+        const validationConfig = getValidationConfig();
+        if (validationConfig.enabled) {
+            await installDependencies(repoDir, signal);
+        }
 
-        for (const file of generatedFiles) {
-            const fullPath = path.join(repoDir, file.path);
-            const dir = path.dirname(fullPath);
+        // 2. Index existing page objects, test data and specs so generated code reuses them
+        const repoIndex = await indexTargetRepo(repoDir);
+        console.log(`📚 Indexed ${repoIndex.pageObjects.length} page objects and ${repoIndex.specs.length} specs`);
+        throwIfCancelled(signal);
 
-            // Ensure directory exists
-            await fs.mkdir(dir, { recursive: true });
+        // 3. Generate Playwright Script using Claude
+        console.log('🔄 Generating Playwright script with Claude...');
+        const messages = [{ role: 'user', content: buildScriptPrompt(testCases, options, repoIndex, { issueKey, previousFiles }) }];
+        let output = await requestFiles(messages, options, sandbox);
+        console.log('✅ Generated script content.');
+        throwIfCancelled(signal);
 
-            // Write file
-            await fs.writeFile(fullPath, file.content);
-            console.log(`   ✓ ${file.path}`);
+        // 4. Stay on the open PR's branch, or create a feature branch with a timestamp to avoid conflicts
+        const branchName = openPr ? openPr.head : `${featureBranchPrefix(issueKey)}${Date.now()}`;
+        if (!openPr) {
+            console.log(`🔄 Creating branch: ${branchName}`);
+            await git.checkoutLocalBranch(branchName);
         }
 
-        // 5. Commit and Push
-        console.log('🔄 Committing and Pushing...');
+        // 5. Save Files to Repo, validating them (and having Claude fix them) before anything is committed
+        let validation = null;
+        let generatedFiles;
+        let testData;
+        for (let attempt = 0; ; attempt++) {
+            // Test data entries are merged into the existing module, never overwrite it
+            testData = await applyTestDataEntries(repoDir, output.testDataEntries);
+            if (testData.conflicts.length > 0) {
+                console.warn(`⚠️ ${testData.conflicts.length} test data entr${testData.conflicts.length === 1 ? 'y conflicts' : 'ies conflict'} with existing data and were not applied`);
+            }
+            generatedFiles = testData.file ? [...output.files, testData.file] : output.files;
+
+            console.log('💾 Writing generated files...');
+            const originals = await writeGeneratedFiles(repoDir, generatedFiles);
+            if (!validationConfig.enabled) break;
+
+            console.log('🔍 Validating generated files (tsc, eslint, playwright --list)...');
+            const diagnostics = await validateGeneratedFiles(repoDir, generatedFiles.map(f => f.path), signal);
+            throwIfCancelled(signal);
+            if (diagnostics.length === 0) {
+                validation = { attempts: attempt + 1 };
+                console.log(`✅ Generated files passed validation${attempt > 0 ? ` after ${attempt} fix${attempt === 1 ? '' : 'es'}` : ''}`);
+                break;
+            }
+
+            console.warn(`⚠️ Generated files failed validation (attempt ${attempt + 1}/${validationConfig.maxFixAttempts + 1}):\n${formatDiagnostics(diagnostics)}`);
+            if (attempt >= validationConfig.maxFixAttempts) {
+                throw new GeneratedFilesValidationError(diagnostics, attempt + 1);
+            }
+
+            await restoreFiles(repoDir, originals);
+            messages.push(
+                { role: 'assistant', content: JSON.stringify(output, null, 2) },
+                {
+                    role: 'user',
+                    content: `Those files fail the repository's checks:\n${formatDiagnostics(diagnostics)}\n\nCall the ${FILES_TOOL.name} tool again with the complete, corrected set of files.`
+                }
+            );
+            output = await requestFiles(messages, options, sandbox);
+            throwIfCancelled(signal);
+        }
+
+        // Record the issue's specs so Agent 3 can run just these tests
+        const manifest = await updateTestManifest(repoDir, issueKey, generatedFiles);
+        console.log(`🧾 Test manifest ${getManifestPath(issueKey)}: ${manifest.specs.length} spec file(s)`);
+
+        // 6. Commit and Push (an open PR may already have exactly these files)
+        throwIfCancelled(signal);
         await git.add('.');
-        await git.commit(`Add automated tests for ${issueKey}`);
-        await git.push('origin', branchName);
-        console.log('✅ Pushed changes to GitHub.');
+        const hasChanges = !openPr || !(await git.status()).isClean();
+        let changedFiles = [];
+        if (hasChanges) {
+            console.log('🔄 Committing and Pushing...');
+            await git.commit(openPr ? `Update automated tests for ${issueKey}` : `Add automated tests for ${issueKey}`);
+            await git.push('origin', branchName);
+            console.log(`✅ Pushed changes to ${scm.displayName}.`);
+            changedFiles = parseNameStatus(await git.raw(['diff', '--name-status', 'HEAD~1', 'HEAD']));
+        } else {
+            console.log('ℹ️ The open PR already has these files, nothing to push');
+        }
 
-        // 6. Create Pull Request
-        console.log('🔄 Creating Pull Request...');
-        const prUrl = await createPullRequest(issueKey, branchName, username, token, repoUrl);
-        console.log(`✅ PR Created: ${prUrl}`);
+        // 7. Create Pull Request, or tell the open one what changed
+        let prUrl;
+        if (openPr) {
+            prUrl = openPr.url;
+            if (hasChanges) {
+                const testCaseChanges = await loadTestCaseChanges(testCasePath);
+                await commentOnPullRequest(scm, openPr, formatUpdateComment(issue, testCases, testCaseChanges, changedFiles, { validation, testData }));
+            }
+        } else {
+            console.log('🔄 Creating Pull Request...');
+            const body = await buildPullRequestBody(issue, testCases, generatedFiles, { validation, testData }, prOptions, options);
+            prUrl = await createPullRequest(scm, issueKey, branchName, baseBranch, body, prOptions);
+            console.log(`✅ PR Created: ${prUrl}`);
+        }
 
-        // 7. Update Jira
+        // 8. Update Jira
         const fileList = generatedFiles.map(f => f.path).join('\n- ');
+        const validationNote = validation
+            ? `\n\n🔍 Passed tsc, ESLint and \`playwright test --list\`${validation.attempts > 1 ? ` after ${validation.attempts - 1} fix round${validation.attempts === 2 ? '' : 's'}` : ''}`
+            : '';
+        const conflictNote = testData.conflicts.length > 0
+            ? `\n\n⚠️ ${testData.conflicts.length} test data change${testData.conflicts.length === 1 ? '' : 's'} conflicted with existing data and ${testData.conflicts.length === 1 ? 'was' : 'were'} not applied (listed in the PR)`
+            : '';
+        const rejectionNote = sandbox.rejected.length > 0
+            ? `\n\n🛡️ *Rejected file paths* (Claude was asked to correct them):\n${formatRejectedPaths(sandbox.rejected)}`
+            : '';
+        const prLine = !openPr
+            ? `✅ Created PR: [${prUrl}|${prUrl}]`
+            : hasChanges
+                ? `✅ Updated PR: [${prUrl}|${prUrl}]`
+                : `ℹ️ PR [${prUrl}|${prUrl}] already has these files, nothing was pushed`;
         await updateJiraCard(issueKey, {
-            comment: `🤖 *Agent 2 completed*\n\n✅ Created PR: [${prUrl}|${prUrl}]\n\n*Generated Files:*\n- ${fileList}`
+            comment: `🤖 *Agent 2 completed*\n\n${prLine}\n\n*Generated Files:*\n- ${fileList}${validationNote}${conflictNote}${rejectionNote}`
         });
 
         console.log('\n✅ Agent 2 completed successfully');
 
+        return {
+            prUrl,
+            branchName,
+            updatedPr: Boolean(openPr),
+            files: generatedFiles.map(f => f.path),
+            validation,
+            testData: { added: testData.added, conflicts: testData.conflicts },
+            rejectedPaths: sandbox.rejected
+        };
+
     } catch (error) {
         console.error('\n❌ Agent 2 error:', error.message);
         console.error(error.stack);
 
+        // Invalid model output already lists the rejected paths among its violations
+        const rejectionNote = sandbox.rejected.length > 0 && !(error instanceof llm.StructuredOutputError)
+            ? `\n\n🛡️ *Rejected file paths:*\n${formatRejectedPaths(sandbox.rejected)}`
+            : '';
+
         try {
             await updateJiraCard(issueKey, {
-                comment: `🤖 *Agent 2 failed*\n\n❌ Error: ${error.message}`
+                comment: `🤖 *Agent 2 failed*\n\n❌ Error: ${error.message}${rejectionNote}${await describeOutputFailure(issueKey, error)}`
             });
         } catch (e) { }
 
@@ -110,42 +293,237 @@ async function triggerAgent2(issue, testCases, testCasePath) {
     }
 }
 
-async function generatePlaywrightScript(testCases) {
-    const prompt = `You are an expert Playwright automation engineer.
+/**
+ * Write generated files into the repo. Returns the previous content of each path
+ * (null for new files) so a rejected attempt can be rolled back.
+ */
+async function writeGeneratedFiles(repoDir, files) {
+    const originals = [];
+    for (const file of files) {
+        const fullPath = resolveWritablePath(repoDir, file.path);
+        originals.push({ path: file.path, content: await fs.readFile(fullPath, 'utf-8').catch(() => null) });
+
+        // Ensure directory exists
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+        // Write file
+        await fs.writeFile(fullPath, file.content);
+        console.log(`   ✓ ${file.path}`);
+    }
+    return originals;
+}
+
+/**
+ * Write the issue's test manifest: the generated specs plus the ones an earlier
+ * manifest lists that are still in the repository, and the page objects they use
+ */
+async function updateTestManifest(repoDir, issueKey, generatedFiles) {
+    const previous = await readManifest(repoDir, issueKey);
+    const specPaths = new Set([
+        ...(previous ? previous.specs.map(spec => spec.file) : []),
+        ...generatedFiles.filter(f => SPEC_FILE.test(f.path)).map(f => f.path)
+    ]);
+
+    const specs = [];
+    for (const specPath of specPaths) {
+        const content = await fs.readFile(path.join(repoDir, specPath), 'utf-8').catch(() => null);
+        if (content !== null) specs.push({ path: specPath, content });
+    }
+    const pageObjects = [
+        ...generatedFiles.map(f => f.path),
+        ...specs.flatMap(spec => listRelativeImports(spec.path, spec.content))
+    ].filter(file => file.startsWith(PAGES_DIR));
+
+    const manifest = buildManifest(issueKey, specs, pageObjects);
+    await writeManifest(repoDir, manifest);
+    return manifest;
+}
+
+/**
+ * Undo writeGeneratedFiles
+ */
+async function restoreFiles(repoDir, originals) {
+    for (const original of originals.reverse()) {
+        const fullPath = resolveWritablePath(repoDir, original.path);
+        if (original.content === null) {
+            await fs.rm(fullPath, { force: true });
+        } else {
+            await fs.writeFile(fullPath, original.content);
+        }
+    }
+}
+
+/**
+ * Generated-file path rules for a target repository: { allow: [glob], deny: [glob] }
+ */
+function getPathRules(repoUrl) {
+    return getRepoConfig(repoUrl).generatedPaths || {};
+}
+
+/**
+ * Ask Claude for the files to write. Returns the validated tool input:
+ * { files: [{ path, content }], testDataEntries?: [{ exportName, key?, value }] }
+ * sandbox: { repoDir, rules, rejected } - paths are checked against the rules (and for
+ * symbolic links in repoDir); rejected ones are sent back to Claude and appended to rejected.
+ */
+async function requestFiles(messages, options, sandbox = {}) {
+    const { data } = await llm.completeStructured('agent2', {
+        messages,
+        tool: FILES_TOOL,
+        validate: data => validateFilePaths(data, sandbox)
+    }, options);
+
+    return data;
+}
+
+/**
+ * Branch name prefix of the issue's feature branches (followed by a timestamp)
+ */
+function featureBranchPrefix(issueKey) {
+    return `feature/${issueKey}-tests-`;
+}
+
+/**
+ * The issue's most recent open PR into baseBranch, or null. Only PRs whose branch is in
+ * the target repository count: a fork's branch can't be checked out or pushed to.
+ * Lookup failures are logged and treated as no PR, so a new one is opened.
+ */
+async function findOpenPullRequest(scm, issueKey, baseBranch) {
+    try {
+        const prefix = featureBranchPrefix(issueKey);
+        const candidates = (await scm.listOpenPullRequests())
+            .filter(pr => !pr.fromFork && pr.head.startsWith(prefix) && pr.base === baseBranch)
+            .sort((a, b) => b.id - a.id);
+        return candidates[0] || null;
+    } catch (error) {
+        console.warn(`⚠️ Could not look up open PRs for ${issueKey}, a new PR will be opened: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Parse `git diff --name-status` output into [{ status: 'A' | 'M' | 'D' | 'R', path }]
+ */
+function parseNameStatus(output) {
+    return output.split('\n').filter(Boolean).map(line => {
+        const [status, ...paths] = line.split('\t');
+        return { status: status[0], path: paths[paths.length - 1] };
+    });
+}
+
+/**
+ * Added/modified/removed test cases recorded by Agent 1 for this version, or null
+ */
+async function loadTestCaseChanges(testCasePath) {
+    if (!testCasePath) return null;
+    try {
+        return (await readTestCases(testCasePath)).changes || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * PR comment describing an update pushed to an open PR: test case and file changes,
+ * validation and test data notes
+ */
+function formatUpdateComment(issue, testCases, testCaseChanges, changedFiles, { validation, testData }) {
+    const issueUrl = getIssueUrl(issue.key);
+    let comment = `### 🔄 Tests updated for ${issueUrl ? `[${issue.key}](${issueUrl})` : issue.key}\n`;
+
+    if (testCaseChanges) {
+        const title = id => (testCases.find(tc => tc.id === id) || {}).title || '';
+        const unchanged = testCases.length - testCaseChanges.added.length - testCaseChanges.modified.length;
+        comment += `\n**Test cases:** ${testCaseChanges.added.length} added, ${testCaseChanges.modified.length} modified, `;
+        comment += `${testCaseChanges.removed.length} removed, ${unchanged} unchanged\n`;
+        comment += testCaseChanges.added.map(id => `- ➕ ${id}: ${title(id)}\n`).join('');
+        comment += testCaseChanges.modified.map(m => `- ✏️ ${m.id}: ${title(m.id)} (${m.fields.join(', ')})\n`).join('');
+        comment += testCaseChanges.removed.map(r => `- ➖ ${r.id}: ${r.title}\n`).join('');
+    }
+
+    const icons = { A: '➕', D: '➖' };
+    comment += `\n**Files:**\n${changedFiles.map(f => `- ${icons[f.status] || '✏️'} \`${f.path}\``).join('\n')}\n`;
+    if (validation) {
+        comment += '\n🔍 Passed tsc, ESLint and `playwright test --list`\n';
+    }
+    return `${comment}${formatTestDataNotes(testData)}`.trim() + '\n';
+}
+
+/**
+ * Comment on an open PR; failures are logged since the update itself was pushed
+ */
+async function commentOnPullRequest(scm, pullRequest, body) {
+    try {
+        await scm.commentOnPullRequest(pullRequest.id, body);
+        console.log(`💬 Commented on ${pullRequest.url}`);
+    } catch (error) {
+        console.warn(`⚠️ Could not comment on ${pullRequest.url}: ${error.message}`);
+    }
+}
+
+/**
+ * Generate page objects, specs and test data entries for the test cases with Claude.
+ * repoIndex (from indexTargetRepo) shows the target repo's existing page objects,
+ * test data and a sample spec so they are reused instead of reinvented.
+ */
+async function generatePlaywrightScript(testCases, options = {}, repoIndex = null) {
+    const sandbox = { repoDir: null, rules: getPathRules(getTargetRepoUrl()), rejected: [] };
+    return requestFiles([{ role: 'user', content: buildScriptPrompt(testCases, options, repoIndex) }], options, sandbox);
+}
+
+/**
+ * Prompt for generating the Playwright files (see generatePlaywrightScript).
+ * With an issueKey the specs are tagged with it; previousFiles are the files an
+ * open PR for the issue already has.
+ */
+function buildScriptPrompt(testCases, options = {}, repoIndex = null, { issueKey = null, previousFiles = [] } = {}) {
+    const feedback = options.feedback
+        ? `\n**REVIEWER FEEDBACK:**\nA reviewer rejected the previous version of these tests. Address this feedback:\n${options.feedback}\n`
+        : '';
+
+    const openPullRequest = previousFiles.length > 0
+        ? `\n**UPDATING AN OPEN PULL REQUEST:**\nThese files were generated for this issue earlier and are still under review:\n${previousFiles.map(file => `- ${file}`).join('\n')}\nReturn complete updated versions under the same paths instead of new files (this overrides "do not overwrite existing specs" for them). Remove nothing the test cases still need.\n`
+        : '';
+
+    const existingFiles = repoIndex
+        ? `${formatRepoContext(repoIndex)}${REUSE_RULES}`
+        : `Example files that exist (DO NOT RECREATE):
+- tests/pages/BasePage.ts (base class for all pages)
+- tests/pages/LoginPage.ts
+- tests/pages/InventoryPage.ts
+- tests/e2e/login.spec.ts
+- tests/ui/login.spec.ts
+- tests/testdata.ts (add to it with testDataEntries)
+`;
+
+    return `You are an expert Playwright automation engineer.
 
 **CRITICAL RESTRICTIONS - DO NOT VIOLATE THESE:**
 ⛔ DO NOT create any framework files
 ⛔ DO NOT create common-actions.ts or utilities
 ⛔ DO NOT create any files outside of tests/pages/ and tests/ subdirectories
 ⛔ ONLY generate: Page Objects and Test Specs
-⛔ ONLY optionally update: tests/testdata.ts
+⛔ ONLY optionally add test data to tests/testdata.ts, through testDataEntries
 
 **TASK:** Convert the following test cases into Playwright tests following the EXACT repository structure.
 
 **TEST CASES:**
 ${JSON.stringify(testCases, null, 2)}
-
+${feedback}${openPullRequest}
 **REPOSITORY STRUCTURE TO FOLLOW:**
 The target repository uses this EXACT structure:
 - tests/pages/ - Page Object Models only
 - tests/e2e/ - End-to-end test specs
 - tests/ui/ - UI test specs  
 - tests/visual/ - Visual regression test specs
-- tests/testdata.ts - Shared test data (ONLY update if needed)
-
-Example files that exist (DO NOT RECREATE):
-- tests/pages/BasePage.ts (base class for all pages)
-- tests/pages/LoginPage.ts
-- tests/pages/InventoryPage.ts
-- tests/e2e/login.spec.ts
-- tests/ui/login.spec.ts
-- tests/testdata.ts
+- tests/testdata.ts - Shared test data (ONLY add to it if needed)
 
+${existingFiles}
 **REQUIREMENTS:**
 1. Create ONLY these types of files (nothing else):
    a) Page Objects: tests/pages/[PageName].ts
    b) Test Specs: tests/e2e/[name].spec.ts OR tests/ui/[name].spec.ts (choose based on test type)
-   c) OPTIONALLY update: tests/testdata.ts (only if new test data is needed)
+   c) OPTIONALLY add test data entries (only if new test data is needed)
 
 2. **Page Object Pattern (tests/pages/):**
    - Extend BasePage class: \`export class MyPage extends BasePage { ... }\`
@@ -159,96 +537,123 @@ Example files that exist (DO NOT RECREATE):
    - Import page objects: \`import { LoginPage } from '../pages/LoginPage';\`
    - Use test.describe() for grouping
    - Use test() or test.only() for individual tests
-   - Structure: \`test('should...', async ({ page }) => { ... })\`
+${issueKey ? `   - Tag every test.describe() with the issue key: \`test.describe('Checkout', { tag: '${getIssueTag(issueKey)}' }, () => { ... })\`
+` : ''}   - Structure: \`test('should...', async ({ page }) => { ... })\`
 
-4. **Output Format:** Return ONLY a JSON object:
+4. **Output Format:** Call the \`write_playwright_files\` tool with:
    {
      "files": [
        { "path": "tests/pages/CheckoutPage.ts", "content": "..." },
-       { "path": "tests/e2e/checkout.spec.ts", "content": "..." },
-       { "path": "tests/testdata.ts", "content": "..." }
+       { "path": "tests/e2e/checkout.spec.ts", "content": "..." }
+     ],
+     "testDataEntries": [
+       { "exportName": "users", "key": "locked", "value": "{ username: 'locked_out_user', password: 'secret_sauce' }" },
+       { "exportName": "checkoutInfo", "value": "{ firstName: 'Jane', lastName: 'Doe', postalCode: '12345' }" }
      ]
    }
    - Only include files you're creating/updating
    - Do NOT include framework files or other utilities
+   - Do NOT return tests/testdata.ts as a file. Each test data entry is merged into it: with "key"
+     (a dotted path for nested objects) it adds a new key to the exported object "exportName",
+     without it adds \`export const <exportName> = <value>;\`. "value" is a TypeScript expression.
+     Existing exports and keys are never changed, so only add new ones
 
 5. **FILE PATH RULES:**
    - Page Objects MUST be in: tests/pages/[PageName].ts
    - Test Specs MUST be in: tests/e2e/[name].spec.ts OR tests/ui/[name].spec.ts
-   - Test Data MUST be in: tests/testdata.ts (only if updating)
+   - Test Data MUST go in testDataEntries (only if adding data)
+   - Use plain relative paths: no "..", no absolute paths, no backslashes
+   - Never return tests/pages/BasePage.ts; it is shared by every page object and must not change
 
 6. **CRITICAL:** 
-   - Return ONLY valid JSON. No markdown, no explanations, no code fences.
    - If unsure about a directory, place specs in tests/e2e/ by default
    - Do not create setup files, hooks, or other auxiliary files
 `;
+}
 
-    const message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 8000,
-        messages: [{ role: 'user', content: prompt }]
+/**
+ * Validate that files only go where the repository's path rules allow
+ * (see checkGeneratedPath), recording each rejected path in sandbox.rejected
+ */
+function validateFilePaths({ files }, sandbox = {}) {
+    const errors = [];
+
+    files.forEach((file, index) => {
+        const reason = file.path === TEST_DATA_FILE
+            ? `${TEST_DATA_FILE} must not be replaced. Add test data with testDataEntries instead`
+            : checkGeneratedPath(sandbox.repoDir, file.path, sandbox.rules);
+        if (!reason) return;
+
+        errors.push({ path: `/files/${index}/path`, message: `INVALID FILE PATH: ${file.path} - ${reason}` });
+        if (sandbox.rejected && !sandbox.rejected.some(rejection => rejection.path === file.path)) {
+            sandbox.rejected.push({ path: file.path, reason });
+        }
     });
 
-    let response = message.content[0].text;
-
-    // Clean markdown if present
-    response = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-    // Parse JSON
-    const result = JSON.parse(response);
+    return errors;
+}
 
-    if (!result.files || !Array.isArray(result.files)) {
-        throw new Error('Invalid response format: expected { files: [...] }');
+/**
+ * Test data section of the PR body: what was merged into testdata.ts and which
+ * entries were left out because they conflict with existing data
+ */
+function formatTestDataNotes(testData) {
+    let notes = '';
+    if (testData.added.length > 0) {
+        notes += `\n\n### Test data\nAdded to \`${TEST_DATA_FILE}\`: ${testData.added.map(name => `\`${name}\``).join(', ')}`;
     }
-
-    // Validate that only allowed file types are being created
-    const allowedDirs = ['tests/pages/', 'tests/e2e/', 'tests/ui/', 'tests/visual/'];
-    const allowedFiles = ['tests/testdata.ts'];
-    
-    for (const file of result.files) {
-        const isAllowedDir = allowedDirs.some(dir => file.path.startsWith(dir));
-        const isAllowedFile = allowedFiles.some(allowedFile => file.path === allowedFile);
-        
-        if (!isAllowedDir && !isAllowedFile) {
-            throw new Error(`INVALID FILE PATH: ${file.path}. Only allowed: tests/pages/, tests/e2e/, tests/ui/, tests/visual/, and tests/testdata.ts`);
-        }
+    if (testData.conflicts.length > 0) {
+        notes += `\n\n### ⚠️ Test data conflicts\nThese entries were **not** applied because \`${TEST_DATA_FILE}\` already defines them differently. Review whether the tests need them:\n`;
+        notes += testData.conflicts
+            .map(conflict => `- \`${conflict.entry}\`: ${conflict.reason}. Proposed value: \`${conflict.value.replace(/\s+/g, ' ')}\``)
+            .join('\n');
     }
-
-    return result.files;
+    return notes;
 }
 
-async function createPullRequest(issueKey, branchName, username, token, repoUrl) {
-    // Extract owner and repo from URL
-    // e.g., https://github.com/tenypeter007/playwright-page-object.git
-    const parts = repoUrl.replace('.git', '').split('/');
-    const repoName = parts[parts.length - 1]; // playwright-page-object
-    const owner = parts[parts.length - 2];   // tenypeter007
-
-    const apiUrl = `https://api.github.com/repos/${owner}/${repoName}/pulls`;
+/**
+ * PR body from the repository's body template (pullRequest.bodyTemplate), filled with the
+ * Jira link, scenario table, generated files, validation and test data notes and the run's token usage
+ */
+async function buildPullRequestBody(issue, testCases, generatedFiles, { validation, testData }, prOptions, options = {}) {
+    const issueUrl = getIssueUrl(issue.key);
+    const run = options.runId ? await runStore.getRun(options.runId) : null;
+
+    return renderTemplate(loadBodyTemplate(prOptions.bodyTemplate), {
+        issueKey: issue.key,
+        jiraLink: issueUrl ? `[${issue.key}](${issueUrl})` : issue.key,
+        summary: (issue.fields && issue.fields.summary) || '',
+        testCaseCount: testCases.length,
+        scenarioTable: formatScenarioTable(testCases),
+        fileList: generatedFiles.map(f => `- \`${f.path}\``).join('\n'),
+        validation: validation ? '✅ Passed tsc, ESLint and `playwright test --list`' : '',
+        testDataNotes: formatTestDataNotes(testData),
+        tokenUsage: formatTokenUsage(run && run.usage)
+    });
+}
 
+async function createPullRequest(scm, issueKey, branchName, baseBranch, body, prOptions) {
     try {
-        const payload = {
+        const request = {
             title: `feat: Automated tests for ${issueKey}`,
             head: branchName,
-            base: 'main', // Default branch is main
-            body: `This PR adds automated Playwright tests for Jira issue ${issueKey}.\n\nGenerated by AI Agent.`
+            base: baseBranch,
+            body,
+            draft: Boolean(prOptions.draft),
+            reviewers: prOptions.reviewers,
+            teamReviewers: prOptions.teamReviewers,
+            labels: prOptions.labels
         };
 
-        console.log("🚀 Creating PR with payload:", JSON.stringify(payload, null, 2));
-
-        const response = await axios.post(apiUrl, payload, {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
+        console.log("🚀 Creating PR with payload:", JSON.stringify({ ...request, body: `(${body.length} characters)` }, null, 2));
 
-        return response.data.html_url;
+        const pullRequest = await scm.createPullRequest(request);
+        return pullRequest.url;
     } catch (error) {
         if (error.response && error.response.data) {
-            console.error("GitHub API Detailed Error:", JSON.stringify(error.response.data, null, 2));
+            console.error(`${scm.displayName} API Detailed Error:`, JSON.stringify(error.response.data, null, 2));
         } else {
-            console.error("GitHub API Error:", error.message);
+            console.error(`${scm.displayName} API Error:`, error.message);
         }
         throw new Error(`Failed to create PR: ${error.message}`);
     }
@@ -0,0 +1,159 @@
+const path = require('path');
+const { lstatSync } = require('fs');
+
+/**
+ * Thrown when a write would leave the cloned repository or follow a symbolic link
+ */
+class PathSandboxError extends Error {
+    constructor(filePath, reason) {
+        super(`Refusing to write ${filePath}: ${reason}`);
+        this.name = 'PathSandboxError';
+        this.filePath = filePath;
+        this.reason = reason;
+    }
+}
+
+// Always denied, on top of the repository's own deny list: shared base classes and data
+// other specs rely on, and installed packages
+const PROTECTED_PATHS = ['tests/pages/BasePage.ts', 'tests/testdata.ts', '**/node_modules/**'];
+
+// Characters allowed in generated paths; keeps shell and glob metacharacters out of file names
+const SAFE_PATH = /^[A-Za-z0-9._@/-]+$/;
+
+/**
+ * Glob to RegExp for repository-relative paths: "*" and "?" stay within a path
+ * segment, "**" spans directories ("**\/" also matches no directory at all)
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                source += '(?:[^/]+/)*';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function matchingPattern(filePath, patterns = []) {
+    return patterns.find(pattern => globToRegExp(pattern).test(filePath)) || null;
+}
+
+/**
+ * First existing component of relativePath (inside repoDir) that is a symbolic link, or null
+ */
+function findSymlink(repoDir, relativePath) {
+    let current = repoDir;
+    for (const segment of relativePath.split('/')) {
+        current = path.join(current, segment);
+        let stats;
+        try {
+            stats = lstatSync(current);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        if (stats.isSymbolicLink()) {
+            return path.relative(repoDir, current).split(path.sep).join('/');
+        }
+    }
+    return null;
+}
+
+/**
+ * Why a generated file may not be written to filePath, or null if it may.
+ * The path must be a plain, normalized, repository-relative path made of letters, digits
+ * and ._@-/ with no hidden (dot) file or directory in it. It must match one of rules.allow
+ * and none of PROTECTED_PATHS or rules.deny, and must not pass through a symbolic link in
+ * repoDir (not checked when repoDir is null).
+ */
+function checkGeneratedPath(repoDir, filePath, rules = {}) {
+    if (filePath.includes('\0')) {
+        return 'contains a NUL character';
+    }
+    if (filePath.includes('\\')) {
+        return 'backslashes are not allowed, use forward slashes';
+    }
+    if (path.posix.isAbsolute(filePath) || /^[A-Za-z]:/.test(filePath)) {
+        return 'absolute paths are not allowed';
+    }
+    if (filePath.split('/').includes('..')) {
+        return "path traversal ('..') is not allowed";
+    }
+    const normalized = path.posix.normalize(filePath);
+    if (normalized !== filePath) {
+        return `not a normalized path, use ${normalized}`;
+    }
+    if (filePath.endsWith('/')) {
+        return 'names a directory, not a file';
+    }
+    if (!SAFE_PATH.test(filePath)) {
+        const unsafe = [...new Set(filePath.replace(/[A-Za-z0-9._@/-]/g, ''))].map(char => JSON.stringify(char)).join(' ');
+        return `contains characters other than letters, digits and ._@-/ (${unsafe})`;
+    }
+    const hidden = filePath.split('/').find(segment => segment.startsWith('.'));
+    if (hidden) {
+        return `hidden files and directories are not allowed (${hidden})`;
+    }
+
+    const denied = matchingPattern(filePath, [...PROTECTED_PATHS, ...(rules.deny || [])]);
+    if (denied) {
+        return `protected by the repository's path rules (${denied})`;
+    }
+    if (!matchingPattern(filePath, rules.allow)) {
+        return `outside the allowed locations (${(rules.allow || []).join(', ') || 'none configured'})`;
+    }
+
+    const symlink = repoDir && findSymlink(repoDir, filePath);
+    if (symlink) {
+        return `${symlink} is a symbolic link`;
+    }
+    return null;
+}
+
+/**
+ * Absolute path for writing relativePath inside repoDir. Last line of defence for
+ * every write: throws PathSandboxError if the path escapes repoDir or goes through a symbolic link.
+ */
+function resolveWritablePath(repoDir, relativePath) {
+    const root = path.resolve(repoDir);
+    const fullPath = path.resolve(root, relativePath);
+    const relative = path.relative(root, fullPath);
+    if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new PathSandboxError(relativePath, 'outside the repository');
+    }
+
+    const symlink = findSymlink(root, relative.split(path.sep).join('/'));
+    if (symlink) {
+        throw new PathSandboxError(relativePath, `${symlink} is a symbolic link`);
+    }
+    return fullPath;
+}
+
+/**
+ * Markdown list of rejected paths, e.g. "- `tests/../package.json`: path traversal ('..') is not allowed"
+ */
+function formatRejectedPaths(rejected) {
+    return rejected.map(rejection => `- \`${rejection.path}\`: ${rejection.reason}`).join('\n');
+}
+
+module.exports = {
+    PROTECTED_PATHS,
+    PathSandboxError,
+    globToRegExp,
+    checkGeneratedPath,
+    resolveWritablePath,
+    formatRejectedPaths
+};
@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const PAGES_DIR = 'tests/pages';
+const TESTS_DIR = 'tests';
+const TEST_DATA_FILE = 'tests/testdata.ts';
+
+// Prompt budget for file contents; page objects beyond it are listed by members only
+const MAX_SOURCE_CHARS = 12000;
+const MAX_FILE_CHARS = 4000;
+const MAX_LISTED_SPECS = 50;
+
+const LOCATOR_CALL = /(?:this\.)?page\.((?:locator|getBy\w+|frameLocator)\([\s\S]*?\))\s*;?\s*$/;
+const NOT_METHODS = ['constructor', 'if', 'for', 'while', 'switch', 'catch', 'function', 'return'];
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function listFiles(dir, pattern) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules') files.push(...await listFiles(fullPath, pattern));
+        } else if (pattern.test(entry.name)) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function truncate(content, maxChars) {
+    return content.length > maxChars ? `${content.slice(0, maxChars)}\n// … (truncated)` : content;
+}
+
+/**
+ * Pull class name, base class, locators and public methods out of a page object source.
+ * Regex based: covers `readonly x = this.page.locator(...)` fields, `this.x = page.getBy...(...)`
+ * constructor assignments and method declarations, which is how page objects are written here.
+ */
+function parsePageObject(relativePath, source) {
+    const classMatch = source.match(/export\s+(?:default\s+)?(?:abstract\s+)?class\s+(\w+)(?:\s+extends\s+(\w+))?/);
+    const locators = [];
+    const methods = [];
+
+    for (const line of source.split('\n')) {
+        const field = line.match(/^\s*(?:(?:public|protected|readonly)\s+)*(\w+)(?:\s*:\s*[\w<>]+)?\s*=\s*(.+)$/)
+            || line.match(/^\s*this\.(\w+)\s*=\s*(.+)$/);
+        const locator = field && field[2].match(LOCATOR_CALL);
+        if (locator && !locators.some(l => l.name === field[1])) {
+            locators.push({ name: field[1], selector: locator[1] });
+            continue;
+        }
+
+        const method = line.match(/^\s*(?:(?:public|protected|static)\s+)*(?:async\s+)?(\w+)\s*\(([^)]*)\)\s*(?::\s*[^{]+)?\{/);
+        if (method && !NOT_METHODS.includes(method[1]) && !/^\s*private\s/.test(line)) {
+            methods.push({ name: method[1], params: method[2].trim() });
+        }
+    }
+
+    return {
+        path: relativePath,
+        className: classMatch ? classMatch[1] : path.basename(relativePath, '.ts'),
+        baseClass: classMatch ? classMatch[2] || null : null,
+        locators,
+        methods
+    };
+}
+
+/**
+ * Pick the spec that best shows the repo's conventions: one under tests/e2e that
+ * imports page objects if there is one, otherwise the first spec
+ */
+function pickSampleSpec(specs) {
+    const usesPages = spec => /from\s+['"]\.\.\/pages\//.test(spec.content);
+    return specs.find(spec => spec.path.startsWith('tests/e2e/') && usesPages(spec))
+        || specs.find(usesPages)
+        || specs[0]
+        || null;
+}
+
+/**
+ * Index a cloned target repository for script generation:
+ * - pageObjects: [{ path, className, baseClass, locators, methods, source? }]
+ *   (source only while the page objects fit in MAX_SOURCE_CHARS)
+ * - testData: { path, exports, content } for tests/testdata.ts, or null
+ * - sampleSpec: { path, content } of a representative spec, or null
+ * - specs: paths of the existing specs
+ */
+async function indexTargetRepo(repoDir) {
+    const relative = filePath => path.relative(repoDir, filePath).split(path.sep).join('/');
+
+    const pageObjects = [];
+    let sourceBudget = MAX_SOURCE_CHARS;
+    for (const filePath of await listFiles(path.join(repoDir, PAGES_DIR), /\.[jt]s$/)) {
+        const source = await fs.readFile(filePath, 'utf-8');
+        const pageObject = parsePageObject(relative(filePath), source);
+        if (source.length <= sourceBudget) {
+            pageObject.source = source;
+            sourceBudget -= source.length;
+        }
+        pageObjects.push(pageObject);
+    }
+
+    const testDataSource = await readIfExists(path.join(repoDir, TEST_DATA_FILE));
+    const testData = testDataSource === null ? null : {
+        path: TEST_DATA_FILE,
+        exports: [...testDataSource.matchAll(/export\s+(?:const|let|function|class|interface|type|enum)\s+(\w+)/g)].map(m => m[1]),
+        content: truncate(testDataSource, MAX_FILE_CHARS)
+    };
+
+    const specs = [];
+    for (const filePath of await listFiles(path.join(repoDir, TESTS_DIR), /\.spec\.[jt]s$/)) {
+        specs.push({ path: relative(filePath), content: await fs.readFile(filePath, 'utf-8') });
+    }
+    const sample = pickSampleSpec(specs);
+
+    return {
+        pageObjects,
+        testData,
+        sampleSpec: sample ? { path: sample.path, content: truncate(sample.content, MAX_FILE_CHARS) } : null,
+        specs: specs.map(spec => spec.path)
+    };
+}
+
+/**
+ * Format a repository index as prompt context
+ */
+function formatRepoContext(index) {
+    let formatted = '';
+
+    if (index.pageObjects.length > 0) {
+        formatted += '**EXISTING PAGE OBJECTS (reuse and extend these - DO NOT RECREATE them):**\n';
+        for (const page of index.pageObjects) {
+            formatted += `- ${page.path}: class ${page.className}${page.baseClass ? ` extends ${page.baseClass}` : ''}\n`;
+            if (page.locators.length > 0) {
+                formatted += `  - Locators: ${page.locators.map(l => `${l.name} = ${l.selector}`).join('; ')}\n`;
+            }
+            if (page.methods.length > 0) {
+                formatted += `  - Methods: ${page.methods.map(m => `${m.name}(${m.params})`).join(', ')}\n`;
+            }
+        }
+
+        const withSource = index.pageObjects.filter(page => page.source);
+        if (withSource.length > 0) {
+            formatted += '\nPage object sources:\n';
+            for (const page of withSource) {
+                formatted += `\n${page.path}:\n\`\`\`typescript\n${page.source.trimEnd()}\n\`\`\`\n`;
+            }
+        }
+        formatted += '\n';
+    }
+
+    if (index.testData) {
+        formatted += `**EXISTING TEST DATA (${index.testData.path}, exports: ${index.testData.exports.join(', ') || 'none'}):**\n`;
+        formatted += `\`\`\`typescript\n${index.testData.content.trimEnd()}\n\`\`\`\n\n`;
+    }
+
+    if (index.sampleSpec) {
+        formatted += `**SAMPLE SPEC (${index.sampleSpec.path}) - follow its imports, structure and style:**\n`;
+        formatted += `\`\`\`typescript\n${index.sampleSpec.content.trimEnd()}\n\`\`\`\n\n`;
+    }
+
+    if (index.specs.length > 0) {
+        const listed = index.specs.slice(0, MAX_LISTED_SPECS);
+        formatted += `**EXISTING SPECS (do not overwrite):** ${listed.join(', ')}`;
+        formatted += index.specs.length > listed.length ? ` (and ${index.specs.length - listed.length} more)\n\n` : '\n\n';
+    }
+
+    return formatted;
+}
+
+module.exports = {
+    indexTargetRepo,
+    formatRepoContext,
+    parsePageObject
+};
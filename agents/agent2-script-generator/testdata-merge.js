@@ -0,0 +1,239 @@
+const ts = require('typescript');
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEST_DATA_FILE = 'tests/testdata.ts';
+
+/**
+ * Test data changes are additive entries instead of a replacement testdata.ts:
+ * - { exportName, value }: a new `export const exportName = value;`
+ * - { exportName, key, value }: a new key (dotted path for nested objects) in the
+ *   object literal exported as exportName
+ * value is a TypeScript expression. Entries that would change an existing export or
+ * key are reported as conflicts and left out, so data other specs rely on survives.
+ */
+const TEST_DATA_ENTRIES_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['exportName', 'value'],
+        additionalProperties: false,
+        properties: {
+            exportName: { type: 'string', pattern: '^[A-Za-z_$][A-Za-z0-9_$]*$' },
+            key: { type: 'string', minLength: 1 },
+            value: { type: 'string', minLength: 1 }
+        }
+    }
+};
+
+function parse(source) {
+    return ts.createSourceFile(TEST_DATA_FILE, source, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+}
+
+function isExported(statement) {
+    return (ts.getModifiers(statement) || []).some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword);
+}
+
+/**
+ * Top-level exports by name: { node, initializer } (initializer only for variables)
+ */
+function collectExports(sourceFile) {
+    const exports = new Map();
+    for (const statement of sourceFile.statements) {
+        if (!isExported(statement)) continue;
+        if (ts.isVariableStatement(statement)) {
+            for (const declaration of statement.declarationList.declarations) {
+                if (ts.isIdentifier(declaration.name)) {
+                    exports.set(declaration.name.text, { node: declaration, initializer: declaration.initializer || null });
+                }
+            }
+        } else if (statement.name) {
+            exports.set(statement.name.text, { node: statement, initializer: null });
+        }
+    }
+    return exports;
+}
+
+// `{ ... } as const`, `({ ... })` and `{ ... } satisfies T` all hold an object literal
+function unwrapExpression(node) {
+    while (node && (ts.isAsExpression(node) || ts.isParenthesizedExpression(node) || ts.isSatisfiesExpression(node))) {
+        node = node.expression;
+    }
+    return node;
+}
+
+function propertyName(property) {
+    if (!property.name) return null;
+    if (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name) || ts.isNumericLiteral(property.name)) {
+        return property.name.text;
+    }
+    return null;
+}
+
+function formatKey(key) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : `'${key.replace(/'/g, "\\'")}'`;
+}
+
+// Compare expressions ignoring formatting
+function normalize(text) {
+    return text.replace(/\s+/g, '').replace(/,([}\]])/g, '$1').replace(/"/g, "'");
+}
+
+/**
+ * Whether value is a single expression and nothing else. The value is spliced into
+ * testdata.ts as is, so it must not be able to close the declaration and add statements
+ * of its own (e.g. "1); export const users = (2"): it has to parse as the whole
+ * initializer of one declaration.
+ */
+function isValidExpression(value) {
+    const prefix = 'const value = ';
+    const text = `${prefix}${value};`;
+    const { diagnostics } = ts.transpileModule(text, { reportDiagnostics: true });
+    if (diagnostics.length > 0) return false;
+
+    const { statements } = ts.createSourceFile('value.ts', text, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+    if (statements.length !== 1 || !ts.isVariableStatement(statements[0])) return false;
+    const { declarations } = statements[0].declarationList;
+    if (declarations.length !== 1 || !declarations[0].initializer) return false;
+
+    const start = prefix.length + (value.length - value.trimStart().length);
+    const initializer = declarations[0].initializer;
+    return initializer.getStart() === start && initializer.end === start + value.trim().length;
+}
+
+function lineIndent(source, position) {
+    const lineStart = source.lastIndexOf('\n', position - 1) + 1;
+    return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Insert `key: value` into an object literal, keeping the file's formatting
+ */
+function insertProperty(source, object, key, value) {
+    const property = `${formatKey(key)}: ${value}`;
+
+    if (object.properties.length === 0) {
+        const indent = lineIndent(source, object.getStart());
+        return `${source.slice(0, object.getStart())}{\n${indent}  ${property},\n${indent}}${source.slice(object.end)}`;
+    }
+
+    const last = object.properties[object.properties.length - 1];
+    const indent = lineIndent(source, last.getStart());
+    const multiline = source.slice(object.getStart(), object.end).includes('\n');
+    if (!multiline) {
+        return `${source.slice(0, last.end)}, ${property}${source.slice(last.end)}`;
+    }
+
+    // Keep the object's trailing-comma style
+    const insertAt = object.properties.hasTrailingComma ? source.indexOf(',', last.end) + 1 : last.end;
+    const trailing = object.properties.hasTrailingComma ? ',' : '';
+    const separator = object.properties.hasTrailingComma ? '' : ',';
+    return `${source.slice(0, insertAt)}${separator}\n${indent}${property}${trailing}${source.slice(insertAt)}`;
+}
+
+/**
+ * Wrap value in object literals for the remaining key path, e.g. ['a', 'b'] -> { b: value } under a
+ */
+function nestValue(keys, value) {
+    return keys.reduceRight((inner, key) => `{ ${formatKey(key)}: ${inner} }`, value);
+}
+
+function describeEntry(entry) {
+    return entry.key ? `${entry.exportName}.${entry.key}` : entry.exportName;
+}
+
+/**
+ * Apply one entry to the source. Returns { source, status: 'added' | 'unchanged' | 'conflict', reason }.
+ */
+function applyEntry(source, entry) {
+    if (!isValidExpression(entry.value)) {
+        return { source, status: 'conflict', reason: 'value is not a valid TypeScript expression' };
+    }
+
+    const existing = collectExports(parse(source)).get(entry.exportName);
+
+    if (!existing) {
+        const value = entry.key ? nestValue(entry.key.split('.'), entry.value) : entry.value;
+        const separator = source.length === 0 || source.endsWith('\n\n') ? '' : source.endsWith('\n') ? '\n' : '\n\n';
+        return { source: `${source}${separator}export const ${entry.exportName} = ${value};\n`, status: 'added' };
+    }
+
+    if (!existing.initializer) {
+        return { source, status: 'conflict', reason: `${entry.exportName} is already exported and is not a constant` };
+    }
+
+    if (!entry.key) {
+        return normalize(existing.initializer.getText()) === normalize(entry.value)
+            ? { source, status: 'unchanged' }
+            : { source, status: 'conflict', reason: `${entry.exportName} already exists with a different value` };
+    }
+
+    const keys = entry.key.split('.');
+    let object = unwrapExpression(existing.initializer);
+    for (let i = 0; i < keys.length; i++) {
+        if (!object || !ts.isObjectLiteralExpression(object)) {
+            return { source, status: 'conflict', reason: `${[entry.exportName, ...keys.slice(0, i)].join('.')} is not an object literal` };
+        }
+
+        const property = object.properties.find(p => propertyName(p) === keys[i]);
+        if (!property) {
+            return { source: insertProperty(source, object, keys[i], nestValue(keys.slice(i + 1), entry.value)), status: 'added' };
+        }
+        if (i === keys.length - 1) {
+            const current = ts.isPropertyAssignment(property) ? property.initializer.getText() : property.getText();
+            return normalize(current) === normalize(entry.value)
+                ? { source, status: 'unchanged' }
+                : { source, status: 'conflict', reason: `${describeEntry(entry)} already exists with a different value` };
+        }
+        object = ts.isPropertyAssignment(property) ? unwrapExpression(property.initializer) : null;
+    }
+
+    return { source, status: 'unchanged' };
+}
+
+/**
+ * Merge test data entries into the source of tests/testdata.ts.
+ * Returns { content, added: [name], conflicts: [{ entry, reason, value }] }.
+ */
+function mergeTestData(source, entries) {
+    let content = source;
+    const added = [];
+    const conflicts = [];
+
+    for (const entry of entries) {
+        const result = applyEntry(content, entry);
+        content = result.source;
+        if (result.status === 'added') {
+            added.push(describeEntry(entry));
+        } else if (result.status === 'conflict') {
+            conflicts.push({ entry: describeEntry(entry), reason: result.reason, value: entry.value });
+        }
+    }
+
+    return { content, added, conflicts };
+}
+
+/**
+ * Merge entries into the repo's tests/testdata.ts (created if missing).
+ * Returns { file: { path, content } or null when nothing was added, added, conflicts }.
+ */
+async function applyTestDataEntries(repoDir, entries = []) {
+    if (entries.length === 0) {
+        return { file: null, added: [], conflicts: [] };
+    }
+
+    const source = await fs.readFile(path.join(repoDir, TEST_DATA_FILE), 'utf-8').catch(() => '');
+    const { content, added, conflicts } = mergeTestData(source, entries);
+    return {
+        file: added.length > 0 ? { path: TEST_DATA_FILE, content } : null,
+        added,
+        conflicts
+    };
+}
+
+module.exports = {
+    TEST_DATA_FILE,
+    TEST_DATA_ENTRIES_SCHEMA,
+    mergeTestData,
+    applyTestDataEntries
+};
@@ -0,0 +1,220 @@
+const ts = require('typescript');
+const path = require('path');
+const { existsSync, readFileSync } = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { isCancellation } = require('../../shared/utils/job-queue.js');
+const { runPlaywright } = require('../../shared/utils/playwright-utils.js');
+
+const execFileAsync = promisify(execFile);
+
+const ESLINT_CONFIGS = [
+    'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts',
+    '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml'
+];
+
+// TypeScript "Cannot find module" diagnostics
+const MODULE_NOT_FOUND_CODES = [2307, 2792];
+
+const MAX_OUTPUT_CHARS = 2000;
+
+/**
+ * Thrown when generated files still fail validation after the allowed fix attempts
+ */
+class GeneratedFilesValidationError extends Error {
+    constructor(diagnostics, attempts) {
+        super(`Generated files failed validation after ${attempts} attempt${attempts === 1 ? '' : 's'}:\n${formatDiagnostics(diagnostics)}`);
+        this.name = 'GeneratedFilesValidationError';
+        this.diagnostics = diagnostics;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * VALIDATE_GENERATED_FILES (default true) turns the gate on or off;
+ * VALIDATION_MAX_FIX_ATTEMPTS (default 2) bounds how often diagnostics go back to Claude.
+ */
+function getValidationConfig() {
+    const maxFixAttempts = parseInt(process.env.VALIDATION_MAX_FIX_ATTEMPTS, 10);
+    return {
+        enabled: process.env.VALIDATE_GENERATED_FILES !== 'false',
+        maxFixAttempts: Number.isNaN(maxFixAttempts) ? 2 : Math.max(0, maxFixAttempts)
+    };
+}
+
+function tail(text, maxChars = MAX_OUTPUT_CHARS) {
+    const trimmed = String(text || '').trim();
+    return trimmed.length > maxChars ? `…${trimmed.slice(-maxChars)}` : trimmed;
+}
+
+function isBareSpecifier(messageText) {
+    const match = messageText.match(/module '([^']+)'/);
+    return Boolean(match) && !match[1].startsWith('.') && !path.isAbsolute(match[1]);
+}
+
+/**
+ * Compiler options from the repo's tsconfig.json, or defaults that suit Playwright specs
+ */
+function getCompilerOptions(repoDir, hasNodeModules) {
+    let options = {
+        target: ts.ScriptTarget.ES2020,
+        module: ts.ModuleKind.CommonJS,
+        moduleResolution: ts.ModuleResolutionKind.Node10,
+        esModuleInterop: true
+    };
+
+    const configPath = path.join(repoDir, 'tsconfig.json');
+    if (existsSync(configPath)) {
+        const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+        if (!error) {
+            options = ts.parseJsonConfigFileContent(config, ts.sys, repoDir).options;
+        }
+    }
+
+    return {
+        ...options,
+        noEmit: true,
+        skipLibCheck: true,
+        // Without installed packages the Playwright fixtures are untyped
+        ...(hasNodeModules ? {} : { noImplicitAny: false })
+    };
+}
+
+/**
+ * Type-check the generated TypeScript files in the context of the repo.
+ * Imports of packages are only checked when the repo's dependencies are installed;
+ * relative imports (e.g. page objects) always are.
+ */
+function checkTypeScript(repoDir, filePaths) {
+    const files = filePaths.filter(file => /\.tsx?$/.test(file)).map(file => path.join(repoDir, file));
+    if (files.length === 0) return [];
+
+    const hasNodeModules = existsSync(path.join(repoDir, 'node_modules'));
+    const program = ts.createProgram(files, getCompilerOptions(repoDir, hasNodeModules));
+    const checked = new Set(files.map(file => path.resolve(file)));
+
+    return ts.getPreEmitDiagnostics(program)
+        .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)
+        .filter(diagnostic => diagnostic.file && checked.has(path.resolve(diagnostic.file.fileName)))
+        .map(diagnostic => {
+            const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+            const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start || 0);
+            return {
+                tool: 'tsc',
+                file: path.relative(repoDir, diagnostic.file.fileName).split(path.sep).join('/'),
+                line: line + 1,
+                column: character + 1,
+                message: `TS${diagnostic.code}: ${message}`,
+                skip: !hasNodeModules && MODULE_NOT_FOUND_CODES.includes(diagnostic.code) && isBareSpecifier(message)
+            };
+        })
+        .filter(diagnostic => !diagnostic.skip)
+        .map(({ skip, ...diagnostic }) => diagnostic);
+}
+
+function hasEslintConfig(repoDir) {
+    if (ESLINT_CONFIGS.some(file => existsSync(path.join(repoDir, file)))) return true;
+    try {
+        return Boolean(JSON.parse(readFileSync(path.join(repoDir, 'package.json'), 'utf-8')).eslintConfig);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Lint the generated files with the repo's own ESLint setup, if it has one.
+ * Only errors count; warnings are left to code review.
+ */
+async function checkEslint(repoDir, filePaths, signal) {
+    if (!hasEslintConfig(repoDir)) return [];
+
+    const eslintBin = path.join(repoDir, 'node_modules', '.bin', process.platform === 'win32' ? 'eslint.cmd' : 'eslint');
+    if (!existsSync(eslintBin)) {
+        console.warn('⚠️ ESLint is configured but not installed in the test repository, skipping lint');
+        return [];
+    }
+
+    let stdout;
+    try {
+        ({ stdout } = await execFileAsync(eslintBin, ['--format', 'json', ...filePaths], {
+            cwd: repoDir,
+            signal,
+            maxBuffer: 10 * 1024 * 1024
+        }));
+    } catch (error) {
+        if (isCancellation(error)) throw error;
+        // Exit code 1 means lint errors were found; anything else is a broken ESLint setup
+        if (error.code !== 1) {
+            console.warn(`⚠️ ESLint could not run, skipping lint: ${tail(error.stderr || error.message, 500)}`);
+            return [];
+        }
+        stdout = error.stdout;
+    }
+
+    return JSON.parse(stdout).flatMap(result => result.messages
+        .filter(message => message.severity === 2)
+        .map(message => ({
+            tool: 'eslint',
+            file: path.relative(repoDir, result.filePath).split(path.sep).join('/'),
+            line: message.line || null,
+            column: message.column || null,
+            message: `${message.message}${message.ruleId ? ` (${message.ruleId})` : ''}`
+        })));
+}
+
+/**
+ * Confirm Playwright can load the generated specs with `playwright test --list`
+ */
+async function checkPlaywrightList(repoDir, filePaths, signal) {
+    const specs = filePaths.filter(file => /\.spec\.[jt]sx?$/.test(file));
+    // Spec paths come from model output, so they go through runPlaywright's quoting
+    const { exitCode, stdout, stderr } = await runPlaywright(repoDir, ['test', '--list', ...specs], { signal });
+    if (exitCode === 0) {
+        return [];
+    }
+
+    const output = `${stderr}\n${stdout}`.trim();
+    return [{
+        tool: 'playwright',
+        file: null,
+        line: null,
+        column: null,
+        message: `\`playwright test --list\` failed:\n${tail(output)}`
+    }];
+}
+
+/**
+ * Run the validation gate on generated files already written into the cloned repo:
+ * TypeScript compiler, ESLint (if configured) and `playwright test --list`.
+ * Returns diagnostics [{ tool, file, line, column, message }], empty when everything passes.
+ */
+async function validateGeneratedFiles(repoDir, filePaths, signal) {
+    const diagnostics = [
+        ...checkTypeScript(repoDir, filePaths),
+        ...await checkEslint(repoDir, filePaths, signal)
+    ];
+
+    // Specs that don't compile won't load either; only list them once they do
+    if (diagnostics.length === 0) {
+        diagnostics.push(...await checkPlaywrightList(repoDir, filePaths, signal));
+    }
+
+    return diagnostics;
+}
+
+/**
+ * One line per diagnostic, e.g. "tsc tests/e2e/a.spec.ts:3:10 TS2307: Cannot find module ..."
+ */
+function formatDiagnostics(diagnostics) {
+    return diagnostics.map(d => {
+        const location = d.file ? ` ${d.file}${d.line ? `:${d.line}:${d.column}` : ''}` : '';
+        return `- [${d.tool}]${location} ${d.message}`;
+    }).join('\n');
+}
+
+module.exports = {
+    GeneratedFilesValidationError,
+    getValidationConfig,
+    validateGeneratedFiles,
+    formatDiagnostics
+};
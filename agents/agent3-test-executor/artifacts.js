@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+const { getRepoConfig } = require('../../shared/utils/repo-config.js');
+const { uploadAttachment, listAttachments, deleteAttachment } = require('../../shared/utils/jira-utils.js');
+const { createZip } = require('../../shared/utils/zip.js');
+
+// Where Playwright's HTML reporter writes, relative to the cloned repository
+const HTML_REPORT_DIR = 'playwright-report';
+const HTML_REPORT_ZIP = 'playwright-report.zip';
+
+// Attachment filenames start with the run's start time, e.g. agent3-20260118093000-...
+const RUN_PREFIX = /^agent3-(\d{14})-/;
+const MAX_SLUG_LENGTH = 60;
+const MB = 1024 * 1024;
+
+const DEFAULT_ATTACHMENTS = {
+    enabled: true,
+    htmlReport: true,
+    screenshots: true,
+    traces: true,
+    videos: true,
+    maxFileSizeMb: 10,
+    maxTotalSizeMb: 50,
+    keepRuns: 3
+};
+
+// Attachment kind -> the option that turns it on
+const KIND_OPTIONS = {
+    report: 'htmlReport',
+    screenshot: 'screenshots',
+    trace: 'traces',
+    video: 'videos'
+};
+
+/**
+ * Agent 3's attachment settings for a repository, from the "attachments" section of
+ * shared/config/target-repos.json:
+ * { enabled, htmlReport, screenshots, traces, videos, maxFileSizeMb, maxTotalSizeMb, keepRuns }
+ *
+ * keepRuns is how many runs' attachments stay on the issue (0 keeps all of them).
+ */
+function getAttachmentOptions(repoUrl) {
+    const attachments = { ...DEFAULT_ATTACHMENTS, ...(getRepoConfig(repoUrl).attachments || {}) };
+    for (const setting of ['maxFileSizeMb', 'maxTotalSizeMb', 'keepRuns']) {
+        if (typeof attachments[setting] !== 'number' || attachments[setting] < 0) {
+            throw new Error(`Attachment setting "${setting}" must be a number of 0 or more`);
+        }
+    }
+    return attachments;
+}
+
+/**
+ * Prefix of a run's attachment filenames, from when the run started (UTC)
+ */
+function getRunPrefix(startTime) {
+    return `agent3-${startTime.toISOString().replace(/\D/g, '').slice(0, 14)}-`;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, MAX_SLUG_LENGTH);
+}
+
+// Total size in bytes of the files under dir
+async function getFolderSize(dir) {
+    let size = 0;
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            size += await getFolderSize(fullPath);
+        } else if (entry.isFile()) {
+            size += (await fs.stat(fullPath)).size;
+        }
+    }
+    return size;
+}
+
+function getKind(attachment) {
+    if (attachment.name === 'trace') return 'trace';
+    if ((attachment.contentType || '').startsWith('image/')) return 'screenshot';
+    if ((attachment.contentType || '').startsWith('video/')) return 'video';
+    return null;
+}
+
+/**
+ * Files worth attaching from a run (report from playwright-report.js):
+ * the HTML report zipped up, and the screenshots, traces and videos of each failed
+ * test's last attempt. A report folder already over maxFileSizeMb or maxTotalSizeMb
+ * isn't zipped at all.
+ *
+ * Returns [{ kind, path, name, test }] where path is absolute, name is the filename
+ * to attach it as (without the run prefix) and test is { title, project } or null.
+ * The unzipped report has no path but its size and the reason it was left out.
+ */
+async function collectArtifacts(repoDir, report, options) {
+    const artifacts = [];
+
+    const reportDir = path.join(repoDir, HTML_REPORT_DIR);
+    if (options.htmlReport && existsSync(reportDir)) {
+        const size = await getFolderSize(reportDir);
+        const limitMb = Math.min(options.maxFileSizeMb, options.maxTotalSizeMb);
+        if (size > limitMb * MB) {
+            const limit = options.maxFileSizeMb <= options.maxTotalSizeMb ? 'file limit' : 'limit per run';
+            artifacts.push({ kind: 'report', path: null, name: HTML_REPORT_ZIP, test: null, size, reason: `over the ${limitMb} MB ${limit} before zipping` });
+        } else {
+            const zipPath = path.join(repoDir, HTML_REPORT_ZIP);
+            await createZip(reportDir, zipPath);
+            artifacts.push({ kind: 'report', path: zipPath, name: HTML_REPORT_ZIP, test: null });
+        }
+    }
+
+    const names = new Set();
+    for (const test of report ? report.tests.filter(t => t.status === 'failed') : []) {
+        const lastRetry = Math.max(0, ...test.attachments.map(attachment => attachment.retry));
+        for (const attachment of test.attachments) {
+            const kind = getKind(attachment);
+            if (!kind || !options[KIND_OPTIONS[kind]] || attachment.retry !== lastRetry || !attachment.path) continue;
+
+            const filePath = path.join(repoDir, attachment.path);
+            if (!existsSync(filePath)) continue;
+
+            const base = [test.project, test.title].filter(Boolean).map(slugify).join('-');
+            let name = `${base}-${path.basename(filePath)}`;
+            for (let n = 2; names.has(name); n++) name = `${base}-${n}-${path.basename(filePath)}`;
+            names.add(name);
+
+            artifacts.push({ kind, path: filePath, name, test: { title: test.title, project: test.project } });
+        }
+    }
+
+    return artifacts;
+}
+
+/**
+ * Upload artifacts to the issue within the size limits. Files over maxFileSizeMb, or
+ * that would take the run over maxTotalSizeMb, are skipped rather than uploaded, as
+ * are artifacts collectArtifacts already left out.
+ *
+ * Returns { uploaded, skipped }: the artifacts with their Jira filename and size, and
+ * for skipped ones the reason.
+ */
+async function uploadArtifacts(issueKey, artifacts, options, prefix) {
+    const uploaded = [];
+    const skipped = [];
+    let totalSize = 0;
+
+    for (const artifact of artifacts) {
+        const filename = `${prefix}${artifact.name}`;
+        if (artifact.reason) {
+            skipped.push({ ...artifact, filename });
+            continue;
+        }
+        const { size } = await fs.stat(artifact.path);
+        const entry = { ...artifact, filename, size };
+
+        if (size > options.maxFileSizeMb * MB) {
+            skipped.push({ ...entry, reason: `over the ${options.maxFileSizeMb} MB file limit` });
+            continue;
+        }
+        if (totalSize + size > options.maxTotalSizeMb * MB) {
+            skipped.push({ ...entry, reason: `over the ${options.maxTotalSizeMb} MB limit per run` });
+            continue;
+        }
+
+        try {
+            const attachment = await uploadAttachment(issueKey, artifact.path, filename);
+            uploaded.push({ ...entry, id: attachment.id, url: attachment.url });
+            totalSize += size;
+        } catch (error) {
+            skipped.push({ ...entry, reason: `upload failed: ${error.message}` });
+        }
+    }
+
+    return { uploaded, skipped };
+}
+
+/**
+ * Delete Agent 3's attachments from all but the newest keepRuns runs on the issue.
+ * Returns the number of attachments deleted.
+ */
+async function pruneOldAttachments(issueKey, keepRuns) {
+    if (keepRuns === 0) return 0;
+
+    const runAttachments = (await listAttachments(issueKey))
+        .map(attachment => ({ ...attachment, run: (attachment.filename.match(RUN_PREFIX) || [])[1] }))
+        .filter(attachment => attachment.run);
+    const keep = new Set([...new Set(runAttachments.map(attachment => attachment.run))].sort().reverse().slice(0, keepRuns));
+
+    let deleted = 0;
+    for (const attachment of runAttachments.filter(a => !keep.has(a.run))) {
+        await deleteAttachment(attachment.id);
+        deleted++;
+    }
+    return deleted;
+}
+
+/**
+ * Attach a run's HTML report and failure artifacts to the issue and prune the
+ * attachments of older runs. Attachments are best effort: problems are logged and
+ * never fail the run.
+ *
+ * Returns { uploaded, skipped, deleted } (see uploadArtifacts)
+ */
+async function attachRunArtifacts(issueKey, repoDir, report, options, startTime) {
+    const result = { uploaded: [], skipped: [], deleted: 0 };
+    if (!options.enabled) return result;
+
+    try {
+        const artifacts = await collectArtifacts(repoDir, report, options);
+        Object.assign(result, await uploadArtifacts(issueKey, artifacts, options, getRunPrefix(startTime)));
+        console.log(`📎 Attached ${result.uploaded.length} file${result.uploaded.length === 1 ? '' : 's'} to ${issueKey}${result.skipped.length > 0 ? ` (${result.skipped.length} skipped)` : ''}`);
+        result.deleted = await pruneOldAttachments(issueKey, options.keepRuns);
+        if (result.deleted > 0) console.log(`🗑️ Removed ${result.deleted} attachment${result.deleted === 1 ? '' : 's'} of older runs`);
+    } catch (error) {
+        console.warn(`⚠️ Could not attach test artifacts to ${issueKey}: ${error.message}`);
+    }
+    return result;
+}
+
+function formatSize(size) {
+    return `${(size / MB).toFixed(1)} MB`;
+}
+
+function formatArtifact(artifact) {
+    return artifact.kind === 'screenshot' ? `!${artifact.filename}|thumbnail!` : `[^${artifact.filename}]`;
+}
+
+/**
+ * Jira section with the run's attachments: a link to the HTML report, and per failed
+ * test its screenshots as thumbnails and links to its traces and videos
+ */
+function formatAttachmentsSection(attachments) {
+    if (!attachments || (attachments.uploaded.length === 0 && attachments.skipped.length === 0)) return '';
+
+    let section = `📎 *Attachments:*\n`;
+    const report = attachments.uploaded.find(artifact => artifact.kind === 'report');
+    if (report) section += `- 📦 HTML report: [^${report.filename}] (unzip and open index.html)\n`;
+
+    const byTest = new Map();
+    for (const artifact of attachments.uploaded.filter(a => a.test)) {
+        const label = `${artifact.test.title}${artifact.test.project ? ` [${artifact.test.project}]` : ''}`;
+        if (!byTest.has(label)) byTest.set(label, []);
+        byTest.get(label).push(artifact);
+    }
+    for (const [label, artifacts] of byTest) {
+        section += `- ❌ ${label}: ${artifacts.map(formatArtifact).join(' ')}\n`;
+    }
+    if (attachments.uploaded.some(artifact => artifact.kind === 'trace')) {
+        section += `_Open traces with \`npx playwright show-trace <file>\` or at trace.playwright.dev_\n`;
+    }
+
+    attachments.skipped.forEach(artifact => {
+        section += `- ⚠️ Not attached: ${artifact.name} (${formatSize(artifact.size)}, ${artifact.reason})\n`;
+    });
+
+    return `${section}\n`;
+}
+
+module.exports = {
+    HTML_REPORT_DIR,
+    getAttachmentOptions,
+    getRunPrefix,
+    collectArtifacts,
+    uploadArtifacts,
+    pruneOldAttachments,
+    attachRunArtifacts,
+    formatAttachmentsSection
+};
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+const { devices } = require('playwright');
+const { getRepoConfig } = require('../../shared/utils/repo-config.js');
+
+const BROWSERS = ['chromium', 'firefox', 'webkit'];
+const PROFILE_SETTINGS = ['browser', 'device', 'viewport', 'locale', 'headed', 'retries'];
+const BASE_CONFIG_FILES = [
+    'playwright.config.ts', 'playwright.config.js', 'playwright.config.mts',
+    'playwright.config.mjs', 'playwright.config.cts', 'playwright.config.cjs'
+];
+
+// Written next to the repository's own config so paths in it resolve the same way
+const PROFILE_CONFIG_FILE = 'playwright.agent3.config.ts';
+
+const DEFAULT_EXECUTION = {
+    headed: false,
+    retries: null,
+    profiles: []
+};
+
+/**
+ * Agent 3's execution settings for a repository, from the "execution" section of
+ * shared/config/target-repos.json: { headed, retries, profiles }.
+ *
+ * Each profile becomes a Playwright project and is run with --project:
+ * { name, browser, device, viewport: { width, height }, locale, headed, retries }.
+ * A profile with only a name selects the repository's own project of that name.
+ * Invalid profiles throw, so a typo doesn't silently run the wrong browsers.
+ */
+function getExecutionOptions(repoUrl) {
+    const execution = { ...DEFAULT_EXECUTION, ...(getRepoConfig(repoUrl).execution || {}) };
+    const names = new Set();
+
+    for (const profile of execution.profiles) {
+        if (!profile || typeof profile.name !== 'string' || !profile.name) {
+            throw new Error(`Execution profile ${JSON.stringify(profile)} needs a name`);
+        }
+        if (names.has(profile.name)) {
+            throw new Error(`Execution profile "${profile.name}" is defined twice`);
+        }
+        names.add(profile.name);
+
+        if (profile.browser && !BROWSERS.includes(profile.browser)) {
+            throw new Error(`Execution profile "${profile.name}": unknown browser "${profile.browser}". Use one of: ${BROWSERS.join(', ')}`);
+        }
+        if (profile.device && !devices[profile.device]) {
+            throw new Error(`Execution profile "${profile.name}": unknown device "${profile.device}" (see Playwright's device list)`);
+        }
+        if (profile.viewport && !(profile.viewport.width > 0 && profile.viewport.height > 0)) {
+            throw new Error(`Execution profile "${profile.name}": viewport needs a positive width and height`);
+        }
+    }
+
+    return execution;
+}
+
+/**
+ * Headed runs need a display; on Linux without one they fall back to headless
+ */
+function canRunHeaded() {
+    return process.platform !== 'linux' || Boolean(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+}
+
+function definesProject(profile) {
+    return PROFILE_SETTINGS.some(setting => profile[setting] !== undefined && profile[setting] !== null);
+}
+
+/**
+ * Playwright project for a profile. The device descriptor comes first so browser,
+ * viewport and locale override it.
+ */
+function toProject(profile, headed) {
+    const use = {};
+    if (profile.browser) use.browserName = profile.browser;
+    if (profile.viewport) use.viewport = profile.viewport;
+    if (profile.locale) use.locale = profile.locale;
+    if (profile.headed !== undefined && profile.headed !== null) use.headless = !(profile.headed && headed);
+
+    const project = { name: profile.name, use };
+    if (typeof profile.retries === 'number') project.retries = profile.retries;
+    return project;
+}
+
+function renderProject(profile, headed) {
+    const project = toProject(profile, headed);
+    const use = JSON.stringify(project.use);
+    const useSource = profile.device
+        ? `{ ...devices[${JSON.stringify(profile.device)}]${use === '{}' ? '' : `, ...${use}`} }`
+        : use;
+    const retries = project.retries === undefined ? '' : `, retries: ${project.retries}`;
+    return `    { name: ${JSON.stringify(project.name)}, use: ${useSource}${retries} },`;
+}
+
+/**
+ * Prepare a run of the repository's tests: write a config adding the profiles as projects
+ * (on top of the repository's own config) when any profile needs one, and build the
+ * Playwright arguments that select them.
+ *
+ * Returns { args, config, profiles, headed } where config is the generated config file (null
+ * when none was needed) and headed is what actually runs (false without a display).
+ */
+async function prepareExecution(repoDir, execution) {
+    let headed = Boolean(execution.headed) || execution.profiles.some(profile => profile.headed);
+    if (headed && !canRunHeaded()) {
+        console.warn('⚠️ Headed runs need a display (e.g. Xvfb); running headless instead');
+        headed = false;
+    }
+
+    const args = [];
+    let config = null;
+    const projects = execution.profiles.filter(definesProject);
+    if (projects.length > 0) {
+        const baseConfig = BASE_CONFIG_FILES.find(file => existsSync(path.join(repoDir, file)));
+        const baseImport = baseConfig
+            ? `import baseConfig from './${/\.[jt]s$/.test(baseConfig) ? baseConfig.replace(/\.[jt]s$/, '') : baseConfig}';\n`
+            : '';
+        const source = `// Generated by Agent 3 from the execution profiles in target-repos.json
+import { defineConfig, devices } from '@playwright/test';
+${baseImport}
+export default defineConfig(${baseConfig ? 'baseConfig, ' : ''}{
+  projects: [
+${projects.map(profile => renderProject(profile, headed)).join('\n')}
+  ],
+});
+`;
+        await fs.writeFile(path.join(repoDir, PROFILE_CONFIG_FILE), source);
+        config = PROFILE_CONFIG_FILE;
+        args.push('--config', config);
+    }
+
+    execution.profiles.forEach(profile => args.push('--project', profile.name));
+    if (typeof execution.retries === 'number') args.push('--retries', String(execution.retries));
+    if (execution.headed && headed) args.push('--headed');
+
+    return { args, config, profiles: execution.profiles, headed };
+}
+
+/**
+ * Short description of a profile for logs and Jira, e.g. "iPhone 13 (webkit), de-DE, headed"
+ */
+function describeProfile(profile) {
+    const parts = [];
+    if (profile.device) parts.push(profile.browser ? profile.device : `${profile.device} (${devices[profile.device].defaultBrowserType})`);
+    if (profile.browser) parts.push(profile.browser);
+    if (profile.viewport) parts.push(`${profile.viewport.width}x${profile.viewport.height}`);
+    if (profile.locale) parts.push(profile.locale);
+    if (profile.headed) parts.push('headed');
+    if (typeof profile.retries === 'number') parts.push(`${profile.retries} retr${profile.retries === 1 ? 'y' : 'ies'}`);
+    return parts.join(', ');
+}
+
+module.exports = {
+    PROFILE_CONFIG_FILE,
+    getExecutionOptions,
+    prepareExecution,
+    describeProfile
+};
@@ -1,44 +1,75 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const simpleGit = require('simple-git');
-const axios = require('axios');
-const { updateJiraCard } = require('../../shared/utils/jira-utils.js');
-
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const { updateJiraCard, getIssueUrl } = require('../../shared/utils/jira-utils.js');
+const { throwIfCancelled } = require('../../shared/utils/job-queue.js');
+const { describeOutputFailure } = require('../../shared/utils/failure-report.js');
+const { getTargetRepoUrl, getScmProvider } = require('../../shared/scm');
+const { runPlaywright, installDependencies } = require('../../shared/utils/playwright-utils.js');
+const { getPullRequestOptions, resolveBaseBranch } = require('../../shared/utils/pull-request.js');
+const { getScopeMode, resolveTestScope, describeTestScope } = require('./test-scope.js');
+const { readPlaywrightReport } = require('./playwright-report.js');
+const { getExecutionOptions, prepareExecution, describeProfile } = require('./execution-profiles.js');
+const { HTML_REPORT_DIR, getAttachmentOptions, attachRunArtifacts, formatAttachmentsSection } = require('./artifacts.js');
+const { healFailedSelectors } = require('./selector-healing.js');
+
+// Where Playwright's JSON reporter writes, relative to the cloned repository
+const RESULTS_FILE = path.join('test-results', 'results.json');
+const MAX_LISTED_FAILURES = 10;
 
 /**
  * Agent 3: Test Executor with AI-Powered Selector Correction
  * 
  * Workflow:
- * 1. Clone the test repository
- * 2. Run Playwright tests
+ * 1. Clone the test repository (the PR's branch while the PR is open)
+ * 2. Run the issue's Playwright tests (see test-scope.js) in each execution profile
+ *    (browser, device, viewport, locale; see execution-profiles.js)
  * 3. Capture failed selector errors
- * 4. Use Claude to analyze page HTML and suggest correct selectors
- * 5. Auto-correct page objects
+ * 4. Replay each failing test in a real browser up to the failure point and have Claude
+ *    suggest role/label/test id locators from the live DOM and accessibility snapshot
+ *    (see selector-healing.js)
+ * 5. Auto-correct page objects with the suggestions that match on the live page
  * 6. Re-run tests with corrected selectors
- * 7. Update Jira with final results
- * 8. Push corrections to GitHub (PR)
+ * 7. Attach the HTML report and failure screenshots, traces and videos to the issue
+ *    (see artifacts.js), then update Jira with final results
+ * 8. Push corrections to the target repository (PR)
+ *
+ * Options:
+ * - workspaceDir: per-job directory to clone the target repo into
+ * - signal: AbortSignal used to cancel the job
+ * - runId: workflow run that LLM token usage is recorded against
+ * - scope: 'issue', 'affected' or 'full' (default TEST_RUN_SCOPE, then 'issue')
  */
-async function triggerAgent3(issue, prUrl) {
+async function triggerAgent3(issue, prUrl, options = {}) {
     console.log('\n' + '='.repeat(60));
     console.log('🤖 AGENT 3: TEST EXECUTOR (With AI Selector Correction)');
     console.log('='.repeat(60));
 
     const issueKey = issue.key;
-    const repoUrl = process.env.TARGET_REPO_URL;
-    const username = process.env.GITHUB_USERNAME;
-    const token = process.env.GITHUB_TOKEN;
-    const repoDir = path.join(__dirname, '..', '..', 'temp-repo');
+    const repoUrl = getTargetRepoUrl();
+    const { signal } = options;
+    const repoDir = options.workspaceDir
+        ? path.join(options.workspaceDir, 'repo')
+        : path.join(__dirname, '..', '..', 'temp-repo');
+    const prOptions = getPullRequestOptions(repoUrl);
 
     let testResults = {
+        scope: null,
+        profiles: [],
         totalTests: 0,
         passed: 0,
         failed: 0,
+        flaky: 0,
+        skipped: 0,
+        testDuration: 0,
+        projects: {},
+        failures: [],
+        flakyTests: [],
+        errors: [],
+        reportError: null,
+        attachments: null,
         correctedSelectors: [],
+        outputFailures: [],
         startTime: new Date(),
         endTime: null
     };
@@ -46,38 +77,56 @@ async function triggerAgent3(issue, prUrl) {
     try {
         // 1. Setup repository
         console.log('🔄 Preparing test repository...');
-        await prepareTestRepo(repoDir, repoUrl, username, token);
+        const scm = getScmProvider(repoUrl);
+        const scopeMode = getScopeMode(options);
+        const executionOptions = getExecutionOptions(repoUrl);
+        const attachmentOptions = getAttachmentOptions(repoUrl);
+        const baseBranch = await resolveBaseBranch(scm, prOptions);
+        const testedBranch = await resolveTestedBranch(scm, prUrl, baseBranch);
+        await prepareTestRepo(repoDir, scm, testedBranch, signal);
+
+        const scope = await resolveTestScope(repoDir, issueKey, scopeMode);
+        testResults.scope = scope;
+        console.log(`🎯 Test scope: ${describeTestScope(scope)}`);
+        if (scope.files !== null && scope.files.length === 0) {
+            console.warn(`⚠️ No tests found for ${issueKey} (no test manifest and no spec tagged @${issueKey})`);
+            testResults.endTime = new Date();
+            await updateJiraWithResults(issueKey, testResults, prUrl);
+            return testResults;
+        }
+
+        const execution = await prepareExecution(repoDir, executionOptions);
+        testResults.profiles = execution.profiles;
+        execution.profiles.forEach(profile => console.log(`🧭 Profile ${profile.name}${describeProfile(profile) ? `: ${describeProfile(profile)}` : ''}`));
 
         // 2. Run initial tests
-        console.log('\n🔄 Running Playwright tests (Headed mode with screenshots)...');
-        const initialResults = await runPlaywrightTests(repoDir, true); // true = headed mode
-        testResults.totalTests = initialResults.totalTests;
-        testResults.passed = initialResults.passed;
-        testResults.failed = initialResults.failed;
+        console.log(`\n🔄 Running Playwright tests (${execution.headed ? 'headed' : 'headless'})...`);
+        const initialResults = await runPlaywrightTests(repoDir, execution, signal, scope);
+        applyRunResults(testResults, initialResults);
+        let finalResults = initialResults;
 
         console.log(`\n📊 Initial Test Results:`);
-        console.log(`   ✅ Passed: ${testResults.passed}`);
-        console.log(`   ❌ Failed: ${testResults.failed}`);
-        console.log(`   📊 Total: ${testResults.totalTests}`);
+        logRunTotals(testResults);
 
         // 3. If tests failed, attempt AI-powered selector correction
         if (testResults.failed > 0) {
+            throwIfCancelled(signal);
             console.log('\n🔄 Analyzing failed selectors with AI...');
-            const corrections = await correctFailedSelectors(repoDir, initialResults.failedTests);
+            const { corrections, outputFailures } = await healFailedSelectors(repoDir, initialResults.failedTests, execution, options);
             testResults.correctedSelectors = corrections;
+            testResults.outputFailures = outputFailures;
 
             if (corrections.length > 0) {
                 console.log(`\n✅ Corrected ${corrections.length} selectors`);
 
                 // 4. Re-run tests with corrected selectors
                 console.log('\n🔄 Re-running tests with corrected selectors...');
-                const retryResults = await runPlaywrightTests(repoDir, true);
-                testResults.passed = retryResults.passed;
-                testResults.failed = retryResults.failed;
+                const retryResults = await runPlaywrightTests(repoDir, execution, signal, scope);
+                applyRunResults(testResults, retryResults);
+                finalResults = retryResults;
 
                 console.log(`\n📊 Retry Test Results:`);
-                console.log(`   ✅ Passed: ${testResults.passed}`);
-                console.log(`   ❌ Failed: ${testResults.failed}`);
+                logRunTotals(testResults);
             }
         }
 
@@ -85,6 +134,7 @@ async function triggerAgent3(issue, prUrl) {
         const duration = (testResults.endTime - testResults.startTime) / 1000; // seconds
 
         // 5. Commit corrected selectors if any
+        throwIfCancelled(signal);
         if (testResults.correctedSelectors.length > 0) {
             console.log('\n💾 Committing corrected page objects...');
             await commitCorrections(repoDir, issueKey, testResults.correctedSelectors);
@@ -92,15 +142,19 @@ async function triggerAgent3(issue, prUrl) {
             // Push to new branch
             const timestamp = Date.now();
             const branchName = `fix/${issueKey}-selectors-${timestamp}`;
-            await pushCorrections(repoDir, branchName, username, token);
+            await pushCorrections(repoDir, branchName);
 
             // Create PR for corrections
             console.log('\n🔄 Creating PR for selector corrections...');
-            const correctionPrUrl = await createCorrectionPR(issueKey, branchName, username, token, repoUrl);
+            const correctionPrUrl = await createCorrectionPR(scm, issueKey, branchName, testedBranch, prOptions, testResults.correctedSelectors);
             testResults.correctionPrUrl = correctionPrUrl;
         }
 
-        // 6. Update Jira with results
+        // 6. Attach the last run's artifacts and update Jira with results
+        throwIfCancelled(signal);
+        console.log('\n📎 Attaching test artifacts...');
+        testResults.attachments = await attachRunArtifacts(issueKey, repoDir, finalResults.report, attachmentOptions, testResults.startTime);
+
         console.log('\n🔄 Updating Jira issue...');
         await updateJiraWithResults(issueKey, testResults, prUrl);
 
@@ -113,7 +167,7 @@ async function triggerAgent3(issue, prUrl) {
 
         try {
             await updateJiraCard(issueKey, {
-                comment: `🤖 *Agent 3 failed*\n\n❌ Error: ${error.message}`
+                comment: `🤖 *Agent 3 failed*\n\n❌ Error: ${error.message}${await describeOutputFailure(issueKey, error)}`
             });
         } catch (e) { }
 
@@ -121,240 +175,134 @@ async function triggerAgent3(issue, prUrl) {
     }
 }
 
-async function prepareTestRepo(repoDir, repoUrl, username, token) {
+/**
+ * Branch to test: the head of the issue's PR while it is open (its tests aren't on
+ * the base branch yet), otherwise the base branch. A PR from a fork is tested on the
+ * base branch too, as its head branch isn't in the cloned repository.
+ */
+async function resolveTestedBranch(scm, prUrl, baseBranch) {
+    if (!prUrl) return baseBranch;
+    try {
+        const pullRequest = (await scm.listOpenPullRequests()).find(pr => pr.url === prUrl);
+        return pullRequest && !pullRequest.fromFork ? pullRequest.head : baseBranch;
+    } catch (error) {
+        console.warn(`⚠️ Could not look up ${prUrl}, testing ${baseBranch}: ${error.message}`);
+        return baseBranch;
+    }
+}
+
+async function prepareTestRepo(repoDir, scm, branch, signal) {
     try {
         await fs.rm(repoDir, { recursive: true, force: true });
     } catch (e) { }
     await fs.mkdir(repoDir, { recursive: true });
 
-    const git = simpleGit(repoDir);
-    const cleanUrl = repoUrl.replace(/^https?:\/\//, '');
-    const authRemote = `https://${username}:${token}@${cleanUrl}`;
+    const git = simpleGit({ baseDir: repoDir, abort: signal });
+    const authRemote = await scm.getAuthRemote();
 
     console.log('🔄 Cloning test repository...');
     await git.clone(authRemote, '.');
-    console.log('✅ Repository cloned');
+    await git.checkout(branch);
+    console.log(`✅ Repository cloned (${branch})`);
 
-    // Install dependencies
-    console.log('🔄 Installing dependencies...');
-    const { execSync } = require('child_process');
-    try {
-        execSync('npm install', { cwd: repoDir, stdio: 'pipe' });
-    } catch (e) {
-        console.warn('⚠️ npm install warnings (non-critical)');
-    }
-    console.log('✅ Dependencies installed');
+    await installDependencies(repoDir, signal);
 }
 
-async function runPlaywrightTests(repoDir, headedMode = false) {
-    const { execSync } = require('child_process');
-    
-    try {
-        const command = headedMode 
-            ? 'npx playwright test --headed --reporter=html,json'
-            : 'npx playwright test --reporter=html,json';
-
-        console.log('Running:', command);
-        execSync(command, { 
-            cwd: repoDir,
-            stdio: 'pipe',
-            env: { ...process.env, HEADED: headedMode ? 'true' : 'false' }
-        });
-    } catch (e) {
+/**
+ * Run Playwright in the repository with the execution profiles (from prepareExecution),
+ * limited to scope (from resolveTestScope) when given.
+ * Returns the parsed JSON report (see playwright-report.js) with its totals, and the
+ * failed tests for selector correction. report is null when Playwright wrote none,
+ * with the reason in reportError. The HTML report is written to HTML_REPORT_DIR.
+ */
+async function runPlaywrightTests(repoDir, execution, signal, scope = null) {
+    const resultsPath = path.join(repoDir, RESULTS_FILE);
+    const htmlReportDir = path.join(repoDir, HTML_REPORT_DIR);
+    await fs.rm(resultsPath, { force: true });
+    await fs.rm(htmlReportDir, { recursive: true, force: true });
+
+    const args = ['test', ...(scope && scope.files ? scope.files : [])];
+    if (scope && scope.grep) args.push('--grep', scope.grep);
+    args.push(...execution.args);
+    args.push('--reporter=html,json');
+
+    const { exitCode } = await runPlaywright(repoDir, args, {
+        signal,
+        env: {
+            HEADED: execution.headed ? 'true' : 'false',
+            // --reporter replaces the config's reporters, so the JSON output path is set here
+            PLAYWRIGHT_JSON_OUTPUT_FILE: resultsPath,
+            PLAYWRIGHT_JSON_OUTPUT_NAME: resultsPath,
+            // Older Playwright versions read PLAYWRIGHT_HTML_REPORT
+            PLAYWRIGHT_HTML_OUTPUT_DIR: htmlReportDir,
+            PLAYWRIGHT_HTML_REPORT: htmlReportDir,
+            // The HTML reporter would otherwise serve the report and wait when tests fail
+            PLAYWRIGHT_HTML_OPEN: 'never'
+        }
+    });
+    if (exitCode !== 0) {
         // Playwright exit code is non-zero if tests fail, but it's expected
         console.log('Test run completed (some tests may have failed)');
     }
 
-    // Parse test results
-    const resultsPath = path.join(repoDir, 'test-results', 'results.json');
-    let testResults = {
-        totalTests: 0,
-        passed: 0,
-        failed: 0,
-        failedTests: []
-    };
-
+    let report = null;
+    let reportError = null;
     try {
-        const resultsFile = await fs.readFile(resultsPath, 'utf-8');
-        const results = JSON.parse(resultsFile);
-
-        results.suites?.forEach(suite => {
-            suite.tests?.forEach(test => {
-                testResults.totalTests++;
-                if (test.status === 'passed') {
-                    testResults.passed++;
-                } else {
-                    testResults.failed++;
-                    testResults.failedTests.push({
-                        name: test.title,
-                        file: test.file,
-                        error: test.error?.message || 'Unknown error'
-                    });
-                }
-            });
-        });
+        report = await readPlaywrightReport(resultsPath, repoDir);
     } catch (e) {
-        console.warn('⚠️ Could not parse test results:', e.message);
+        reportError = e.code === 'ENOENT' ? `Playwright wrote no JSON report to ${RESULTS_FILE}` : e.message;
+        console.warn('⚠️ Could not parse test results:', reportError);
     }
 
-    // Get screenshots
-    try {
-        const screenshotDir = path.join(repoDir, 'test-results');
-        const screenshots = await fs.readdir(screenshotDir);
-        testResults.screenshots = screenshots.filter(f => f.endsWith('.png'));
-    } catch (e) { }
-
-    return testResults;
-}
-
-async function correctFailedSelectors(repoDir, failedTests) {
-    const corrections = [];
-
-    for (const failedTest of failedTests) {
-        try {
-            console.log(`\n🔄 Analyzing selector error in: ${failedTest.name}`);
-
-            // Extract element name from error
-            const elementMatch = failedTest.error.match(/locator\('([^']+)'\)|selector\('([^']+)'\)|'([^']+)'/);
-            const failedSelector = elementMatch?.[1] || elementMatch?.[2] || elementMatch?.[3];
-
-            if (!failedSelector) {
-                console.log(`   ⚠️ Could not extract selector from error`);
-                continue;
-            }
-
-            // Get page HTML for analysis
-            const pageFile = path.join(repoDir, failedTest.file);
-            const pageContent = await fs.readFile(pageFile, 'utf-8');
-            
-            // Extract page URL from test
-            const urlMatch = pageContent.match(/page\.goto\(['"]([^'"]+)['"]\)/);
-            const pageUrl = urlMatch?.[1];
-
-            if (!pageUrl) {
-                console.log(`   ⚠️ Could not extract page URL from test`);
-                continue;
-            }
-
-            console.log(`   📄 Fetching page HTML from: ${pageUrl}`);
-            
-            // Fetch page HTML
-            const pageHtml = await axios.get(pageUrl, { timeout: 10000 }).then(r => r.data).catch(() => null);
-            if (!pageHtml) {
-                console.log(`   ⚠️ Could not fetch page HTML`);
-                continue;
-            }
-
-            // Use Claude to analyze and suggest correct selector
-            const correctionPrompt = `You are an expert in Playwright and CSS/XPath selectors.
-
-TASK: The following CSS selector FAILED in a Playwright test:
-Failed Selector: ${failedSelector}
-
-The error indicates this selector does not exist on the page. Please analyze the HTML provided and suggest a CORRECT selector that will find the intended element.
-
-PAGE HTML (relevant section):
-${pageHtml.substring(0, 5000)}
-
-REQUIREMENTS:
-1. Return ONLY a JSON object with this exact structure:
-{
-  "originalSelector": "${failedSelector}",
-  "suggestedSelector": "[CSS selector or XPath that should work]",
-  "elementType": "[button/input/link/etc]",
-  "confidence": "[high/medium/low]",
-  "explanation": "[brief explanation of what changed]"
-}
-
-2. Prefer CSS selectors over XPath when possible
-3. Use data-testid or id attributes if available
-4. Return ONLY valid JSON, no markdown, no explanation text
-
-CRITICAL: Return ONLY the JSON object, nothing else.`;
-
-            const response = await anthropic.messages.create({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 1000,
-                messages: [{ role: 'user', content: correctionPrompt }]
-            });
-
-            let jsonResponse = response.content[0].text;
-            jsonResponse = jsonResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            
-            const suggestion = JSON.parse(jsonResponse);
-
-            if (suggestion.confidence === 'high' || suggestion.confidence === 'medium') {
-                console.log(`   ✅ Suggested selector: ${suggestion.suggestedSelector}`);
-                console.log(`   📝 Reason: ${suggestion.explanation}`);
-
-                // Update page object with new selector
-                const updated = await updatePageObjectSelector(repoDir, failedTest.file, suggestion);
-                if (updated) {
-                    corrections.push({
-                        test: failedTest.name,
-                        file: failedTest.file,
-                        originalSelector: suggestion.originalSelector,
-                        newSelector: suggestion.suggestedSelector
-                    });
-                    console.log(`   ✅ Page object updated`);
-                }
-            } else {
-                console.log(`   ⚠️ Low confidence suggestion, skipping`);
-            }
-
-        } catch (error) {
-            console.log(`   ❌ Error analyzing selector: ${error.message}`);
-        }
-    }
-
-    return corrections;
+    const tests = report ? report.tests : [];
+    const totals = report ? report.totals : { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0 };
+    return {
+        report,
+        reportError,
+        totalTests: totals.total,
+        passed: totals.passed,
+        failed: totals.failed,
+        flaky: totals.flaky,
+        skipped: totals.skipped,
+        failedTests: tests.filter(test => test.status === 'failed').map(test => ({
+            name: test.title,
+            file: test.file,
+            line: test.line,
+            project: test.project,
+            error: test.error ? test.error.message : 'Unknown error',
+            location: test.error ? test.error.location : null
+        }))
+    };
 }
 
-async function updatePageObjectSelector(repoDir, testFile, suggestion) {
-    try {
-        // Find corresponding page object file
-        const testContent = await fs.readFile(path.join(repoDir, testFile), 'utf-8');
-        
-        // Extract page import
-        const pageImportMatch = testContent.match(/import\s+{\s*(\w+)\s*}\s+from\s+['"]([^'"]+)['"]/);
-        if (!pageImportMatch) return false;
-
-        const pageClassName = pageImportMatch[1];
-        const pageFilePath = path.join(path.dirname(testFile), pageImportMatch[2] + '.ts');
-        const absolutePagePath = path.join(repoDir, pageFilePath);
-
-        // Read and update page object
-        let pageContent = await fs.readFile(absolutePagePath, 'utf-8');
-
-        // Replace old selector with new one (handle various selector patterns)
-        const selectorPatterns = [
-            new RegExp(`(['"\`\\(])${escapeRegex(suggestion.originalSelector)}(['"\`\\)])`, 'g'),
-            new RegExp(`: ['"\`]${escapeRegex(suggestion.originalSelector)}['"\`]`, 'g')
-        ];
-
-        let updated = false;
-        for (const pattern of selectorPatterns) {
-            if (pattern.test(pageContent)) {
-                pageContent = pageContent.replace(pattern, `$1${suggestion.suggestedSelector}$2`);
-                updated = true;
-                break;
-            }
-        }
-
-        if (updated) {
-            await fs.writeFile(absolutePagePath, pageContent);
-            return true;
-        }
-
-        return false;
-    } catch (error) {
-        console.log(`   ⚠️ Could not update page object: ${error.message}`);
-        return false;
-    }
+function logRunTotals(testResults) {
+    console.log(`   ✅ Passed: ${testResults.passed}`);
+    console.log(`   ❌ Failed: ${testResults.failed}`);
+    if (testResults.flaky > 0) console.log(`   🔁 Flaky: ${testResults.flaky}`);
+    if (testResults.skipped > 0) console.log(`   ⏭️ Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total: ${testResults.totalTests}`);
 }
 
-function escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/**
+ * Copy a run's totals, projects and failures onto Agent 3's results
+ */
+function applyRunResults(testResults, runResults) {
+    const { report } = runResults;
+    Object.assign(testResults, {
+        totalTests: runResults.totalTests,
+        passed: runResults.passed,
+        failed: runResults.failed,
+        flaky: runResults.flaky,
+        skipped: runResults.skipped,
+        testDuration: report ? report.duration : 0,
+        projects: report ? report.projects : {},
+        failures: runResults.failedTests,
+        flakyTests: report
+            ? report.tests.filter(test => test.status === 'flaky').map(test => ({ name: test.title, file: test.file, project: test.project, retries: test.retries }))
+            : [],
+        errors: report ? report.errors : [],
+        reportError: runResults.reportError
+    });
 }
 
 async function commitCorrections(repoDir, issueKey, corrections) {
@@ -368,7 +316,7 @@ ${corrections.map(c => `- ${c.originalSelector} → ${c.newSelector}`).join('\n'
 Generated by Agent 3 (AI Selector Correction)`;
 
     try {
-        await git.add('tests/pages/');
+        await git.add([...new Set(corrections.map(c => c.file))]);
         await git.commit(commitMessage);
         console.log('✅ Changes committed');
     } catch (error) {
@@ -380,7 +328,7 @@ Generated by Agent 3 (AI Selector Correction)`;
     }
 }
 
-async function pushCorrections(repoDir, branchName, username, token, repoUrl) {
+async function pushCorrections(repoDir, branchName) {
     const git = simpleGit(repoDir);
 
     // Configure git
@@ -396,47 +344,125 @@ async function pushCorrections(repoDir, branchName, username, token, repoUrl) {
     }
 }
 
-async function createCorrectionPR(issueKey, branchName, username, token, repoUrl) {
-    const parts = repoUrl.replace('.git', '').split('/');
-    const repoName = parts[parts.length - 1];
-    const owner = parts[parts.length - 2];
-
-    const apiUrl = `https://api.github.com/repos/${owner}/${repoName}/pulls`;
-
+async function createCorrectionPR(scm, issueKey, branchName, baseBranch, prOptions, corrections) {
     try {
-        const payload = {
+        const issueUrl = getIssueUrl(issueKey);
+        const correctionList = corrections
+            .map(c => `- \`${c.originalSelector}\` → \`${c.newSelector}\` (${c.test})`)
+            .join('\n');
+        const pullRequest = await scm.createPullRequest({
             title: `fix: Auto-corrected selectors for ${issueKey}`,
             head: branchName,
-            base: 'main',
-            body: `This PR contains automatically corrected selectors for failed tests in issue ${issueKey}.\n\nGenerated by AI Agent 3 (Selector Correction Engine).`
-        };
-
-        const response = await axios.post(apiUrl, payload, {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
+            base: baseBranch,
+            draft: Boolean(prOptions.draft),
+            body: `This PR contains automatically corrected selectors for failed tests in issue ${issueUrl ? `[${issueKey}](${issueUrl})` : issueKey}.\n\n### Corrected selectors\n${correctionList}\n\nGenerated by AI Agent 3 (Selector Correction Engine).`,
+            reviewers: prOptions.reviewers,
+            teamReviewers: prOptions.teamReviewers,
+            labels: prOptions.labels
         });
-
-        return response.data.html_url;
+        return pullRequest.url;
     } catch (error) {
         console.error('Could not create correction PR:', error.message);
         return null;
     }
 }
 
+/**
+ * Jira section with the results of each Playwright project (browser or device profile),
+ * when more than one ran or profiles are configured
+ */
+function formatProjectBreakdown(testResults) {
+    const projects = Object.entries(testResults.projects);
+    if (projects.length === 0 || (projects.length === 1 && testResults.profiles.length === 0)) return '';
+
+    let section = `🧭 *Per Browser:*\n`;
+    for (const [name, counts] of projects) {
+        const profile = testResults.profiles.find(p => p.name === name);
+        const description = profile ? describeProfile(profile) : '';
+        section += `- *${name}*${description ? ` (${description})` : ''}: ${counts.passed + counts.flaky}/${counts.total - counts.skipped} passed`;
+        if (counts.failed > 0) section += `, ${counts.failed} failed`;
+        if (counts.flaky > 0) section += `, ${counts.flaky} flaky`;
+        if (counts.skipped > 0) section += `, ${counts.skipped} skipped`;
+        section += '\n';
+    }
+    return `${section}\n`;
+}
+
+/**
+ * Jira section listing failed and flaky tests with where they failed, and errors
+ * outside tests (e.g. a spec that doesn't compile)
+ */
+function formatFailures(testResults) {
+    const location = loc => (loc && loc.file ? ` (${loc.file}:${loc.line})` : '');
+    const project = test => (test.project ? ` [${test.project}]` : '');
+    let section = '';
+
+    if (testResults.failures.length > 0) {
+        section += `❌ *Failed Tests:*\n`;
+        testResults.failures.slice(0, MAX_LISTED_FAILURES).forEach(test => {
+            section += `- ${test.name}${project(test)}${location(test.location)}: ${test.error.split('\n')[0]}\n`;
+        });
+        if (testResults.failures.length > MAX_LISTED_FAILURES) {
+            section += `- … and ${testResults.failures.length - MAX_LISTED_FAILURES} more\n`;
+        }
+        section += '\n';
+    }
+
+    if (testResults.flakyTests.length > 0) {
+        section += `🔁 *Flaky Tests:*\n`;
+        testResults.flakyTests.forEach(test => {
+            section += `- ${test.name}${project(test)}: passed after ${test.retries} ${test.retries === 1 ? 'retry' : 'retries'}\n`;
+        });
+        section += '\n';
+    }
+
+    if (testResults.errors.length > 0) {
+        section += `⚠️ *Errors Outside Tests:*\n`;
+        testResults.errors.forEach(error => {
+            section += `- ${error.message.split('\n')[0]}${location(error.location)}\n`;
+        });
+        section += '\n';
+    }
+
+    return section;
+}
+
 async function updateJiraWithResults(issueKey, testResults, prUrl) {
     const duration = Math.round((testResults.endTime - testResults.startTime) / 1000);
-    const passPercentage = testResults.totalTests > 0 
-        ? Math.round((testResults.passed / testResults.totalTests) * 100)
+    // Flaky tests passed in the end; skipped tests didn't run
+    const executed = testResults.totalTests - testResults.skipped;
+    const passPercentage = executed > 0
+        ? Math.round(((testResults.passed + testResults.flaky) / executed) * 100)
         : 0;
 
     let comment = `🤖 *Agent 3: Test Execution Complete*\n\n`;
+    if (testResults.scope) {
+        const { scope } = testResults;
+        comment += `🎯 *Scope:* ${describeTestScope(scope)}\n`;
+        if (scope.files !== null && scope.files.length === 0) {
+            comment += `⚠️ No tests found for ${issueKey}: there is no test manifest and no spec tagged \`@${issueKey}\`. Run with scope \`full\` to run the whole suite.\n`;
+        }
+        comment += (scope.files || []).map(file => `- ${file}\n`).join('') + '\n';
+    }
     comment += `📊 *Test Results:*\n`;
     comment += `- ✅ Passed: ${testResults.passed}/${testResults.totalTests}\n`;
     comment += `- ❌ Failed: ${testResults.failed}/${testResults.totalTests}\n`;
+    if (testResults.flaky > 0) {
+        comment += `- 🔁 Flaky: ${testResults.flaky}/${testResults.totalTests} (passed on a retry)\n`;
+    }
+    if (testResults.skipped > 0) {
+        comment += `- ⏭️ Skipped: ${testResults.skipped}/${testResults.totalTests}\n`;
+    }
     comment += `- 📈 Success Rate: ${passPercentage}%\n`;
-    comment += `- ⏱️ Duration: ${duration}s\n\n`;
+    comment += `- ⏱️ Duration: ${duration}s${testResults.testDuration ? ` (tests: ${Math.round(testResults.testDuration / 1000)}s)` : ''}\n\n`;
+
+    comment += formatProjectBreakdown(testResults);
+
+    if (testResults.reportError) {
+        comment += `⚠️ *No test results:* ${testResults.reportError}\n\n`;
+    }
+    comment += formatFailures(testResults);
+    comment += formatAttachmentsSection(testResults.attachments);
 
     if (testResults.correctedSelectors.length > 0) {
         comment += `🔧 *Selectors Corrected:* ${testResults.correctedSelectors.length}\n`;
@@ -446,6 +472,10 @@ async function updateJiraWithResults(issueKey, testResults, prUrl) {
         comment += '\n';
     }
 
+    for (const failure of testResults.outputFailures) {
+        comment += `⚠️ Selector suggestion rejected${await describeOutputFailure(issueKey, failure)}\n\n`;
+    }
+
     if (testResults.correctionPrUrl) {
         comment += `📝 *Correction PR:* [${testResults.correctionPrUrl}|${testResults.correctionPrUrl}]\n`;
     }
@@ -456,10 +486,11 @@ async function updateJiraWithResults(issueKey, testResults, prUrl) {
 
     comment += `\n_Generated by Antigravity Agent 3 with AI Selector Correction Engine_`;
 
-    await updateJiraCard(issueKey, {
-        comment: comment,
-        status: testResults.failed === 0 ? 'DONE' : 'IN PROGRESS'
-    });
+    // Without tests or results there is nothing to move the issue on for
+    const noTests = testResults.scope && testResults.scope.files !== null && testResults.scope.files.length === 0;
+    await updateJiraCard(issueKey, noTests || testResults.reportError
+        ? { comment: comment }
+        : { comment: comment, status: testResults.failed === 0 ? 'DONE' : 'IN PROGRESS' });
 }
 
 module.exports = { triggerAgent3 };
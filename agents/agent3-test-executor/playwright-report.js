@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Playwright's test outcome -> our status ("flaky" passed on a retry)
+const OUTCOMES = {
+    expected: 'passed',
+    unexpected: 'failed',
+    flaky: 'flaky',
+    skipped: 'skipped'
+};
+
+const ANSI_ESCAPE = /\u001b\[[0-9;]*m/g;
+
+function emptyCounts() {
+    return { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0 };
+}
+
+/**
+ * Repository-relative, forward-slash path for a file in the report. Report files are
+ * relative to config.rootDir; error locations are absolute.
+ */
+function toRepoPath(repoDir, rootDir, file) {
+    if (!file) return null;
+    const absolute = path.isAbsolute(file) ? file : path.join(rootDir || repoDir, file);
+    return path.relative(repoDir, absolute).split(path.sep).join('/');
+}
+
+function toError(repoDir, rootDir, error) {
+    if (!error) return null;
+    const message = (error.message || error.value || 'Unknown error').replace(ANSI_ESCAPE, '');
+    const location = error.location
+        ? { file: toRepoPath(repoDir, rootDir, error.location.file), line: error.location.line, column: error.location.column }
+        : null;
+    return { message, location };
+}
+
+// Specs with the titles of the test.describe() blocks around them (the file suites are left out)
+function collectSpecs(suite, titlePath, specs) {
+    for (const spec of suite.specs || []) {
+        specs.push({ spec, titlePath: [...titlePath, spec.title] });
+    }
+    for (const child of suite.suites || []) {
+        collectSpecs(child, [...titlePath, child.title], specs);
+    }
+    return specs;
+}
+
+/**
+ * Turn Playwright's JSON report (suites -> specs -> tests -> results) into a flat
+ * results model. Every test of every project is one entry:
+ *
+ * { title, titlePath, file, line, column, project, tags, status, duration, retries,
+ *   error: { message, location } | null, attachments: [{ name, contentType, path, retry }] }
+ *
+ * status is passed, failed, flaky (failed, then passed on a retry) or skipped. error is
+ * the last failed attempt's first error. Paths are relative to repoDir.
+ *
+ * Returns { tests, totals, projects, errors, duration } where totals and each
+ * projects[name] count { total, passed, failed, flaky, skipped } and errors are the
+ * report's errors outside tests (e.g. a spec that doesn't compile).
+ */
+function parsePlaywrightReport(report, repoDir) {
+    const rootDir = report.config && report.config.rootDir;
+    const specs = (report.suites || []).flatMap(suite => collectSpecs(suite, [], []));
+
+    const tests = [];
+    for (const { spec, titlePath } of specs) {
+        for (const test of spec.tests || []) {
+            const results = test.results || [];
+            const failedAttempts = results.filter(result => !['passed', 'skipped'].includes(result.status));
+            const lastFailure = failedAttempts[failedAttempts.length - 1];
+
+            tests.push({
+                title: titlePath.join(' › '),
+                titlePath,
+                file: toRepoPath(repoDir, rootDir, spec.file),
+                line: spec.line,
+                column: spec.column,
+                project: test.projectName || test.projectId || null,
+                tags: spec.tags || [],
+                status: OUTCOMES[test.status] || 'failed',
+                duration: results.reduce((sum, result) => sum + (result.duration || 0), 0),
+                retries: Math.max(results.length - 1, 0),
+                error: lastFailure
+                    ? toError(repoDir, rootDir, (lastFailure.errors && lastFailure.errors[0]) || lastFailure.error || {})
+                    : null,
+                attachments: results.flatMap(result => (result.attachments || []).map(attachment => ({
+                    name: attachment.name,
+                    contentType: attachment.contentType,
+                    path: attachment.path ? toRepoPath(repoDir, rootDir, attachment.path) : null,
+                    retry: result.retry || 0
+                })))
+            });
+        }
+    }
+
+    const totals = emptyCounts();
+    const projects = {};
+    for (const test of tests) {
+        const project = test.project || 'default';
+        projects[project] = projects[project] || emptyCounts();
+        for (const counts of [totals, projects[project]]) {
+            counts.total++;
+            counts[test.status]++;
+        }
+    }
+
+    return {
+        tests,
+        totals,
+        projects,
+        errors: (report.errors || []).map(error => toError(repoDir, rootDir, error)),
+        duration: report.stats && typeof report.stats.duration === 'number'
+            ? report.stats.duration
+            : tests.reduce((sum, test) => sum + test.duration, 0)
+    };
+}
+
+/**
+ * Read and parse the JSON report Playwright wrote to reportPath
+ */
+async function readPlaywrightReport(reportPath, repoDir) {
+    return parsePlaywrightReport(JSON.parse(await fs.readFile(reportPath, 'utf-8')), repoDir);
+}
+
+module.exports = {
+    parsePlaywrightReport,
+    readPlaywrightReport
+};
@@ -0,0 +1,385 @@
+const llm = require('../../shared/llm');
+const fs = require('fs').promises;
+const path = require('path');
+const { runPlaywright } = require('../../shared/utils/playwright-utils.js');
+const { isCancellation } = require('../../shared/utils/job-queue.js');
+const { listRelativeImports } = require('../../shared/utils/test-manifest.js');
+
+/**
+ * Selector healing: when a test fails on a selector, replay it in a real browser up to
+ * the failure point, capture the live DOM and accessibility snapshot there, ask the
+ * model for role/label/test id based locators, check them against the live page with a
+ * second replay, and apply the first one that matches exactly one visible element.
+ *
+ * A replay runs a copy of the failing spec (next to it, so its imports resolve) with an
+ * afterEach hook appended. The hook runs while the failed test's page is still open.
+ */
+const LOCATOR_STRATEGIES = ['role', 'testId', 'label', 'placeholder', 'text', 'css'];
+
+// Scratch space for replays inside the cloned repository (outside test-results, which
+// holds the artifacts of the real run)
+const HEAL_DIR = '.agent3-heal';
+const MAX_SNAPSHOT_CHARS = 8000;
+const MAX_DOM_CHARS = 15000;
+
+const CAPTURE_HOOK = `
+// Added by Agent 3 to capture the page where this test fails (selector healing); never committed
+test.afterEach(async ({ page }, testInfo) => {
+  if (testInfo.status === testInfo.expectedStatus || !process.env.AGENT3_HEAL_OUTPUT) return;
+  const { writeFileSync } = await import('fs');
+  const toLocator = (candidate) => {
+    const options = candidate.exact ? { exact: true } : {};
+    switch (candidate.strategy) {
+      case 'role': return page.getByRole(candidate.role, candidate.name ? { name: candidate.name, ...options } : options);
+      case 'testId': return page.getByTestId(candidate.value);
+      case 'label': return page.getByLabel(candidate.value, options);
+      case 'placeholder': return page.getByPlaceholder(candidate.value, options);
+      case 'text': return page.getByText(candidate.value, options);
+      default: return page.locator(candidate.value);
+    }
+  };
+  const capture = { url: page.url(), title: '', dom: '', ariaSnapshot: null, candidates: [] };
+  capture.title = await page.title().catch(() => '');
+  capture.dom = await page.content().catch(() => '');
+  capture.ariaSnapshot = await page.locator('body').ariaSnapshot({ timeout: 5000 }).catch(() => null);
+  for (const candidate of JSON.parse(process.env.AGENT3_HEAL_CANDIDATES || '[]')) {
+    const locator = toLocator(candidate);
+    const count = await locator.count().catch(() => -1);
+    const visible = count === 1 && await locator.isVisible().catch(() => false);
+    capture.candidates.push({ ...candidate, count, visible });
+  }
+  writeFileSync(process.env.AGENT3_HEAL_OUTPUT, JSON.stringify(capture));
+});
+`;
+
+// Tool the model must call with its locator suggestions
+const LOCATOR_TOOL = {
+    name: 'suggest_locators',
+    description: 'Suggest locators, best first, for the element a failed Playwright selector was meant to find.',
+    schema: {
+        type: 'object',
+        required: ['originalSelector', 'locators', 'elementType', 'confidence', 'explanation'],
+        additionalProperties: false,
+        properties: {
+            originalSelector: { type: 'string' },
+            locators: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 3,
+                items: {
+                    type: 'object',
+                    required: ['strategy'],
+                    additionalProperties: false,
+                    properties: {
+                        strategy: { type: 'string', enum: LOCATOR_STRATEGIES },
+                        role: { type: 'string' },
+                        name: { type: 'string' },
+                        value: { type: 'string' },
+                        exact: { type: 'boolean' }
+                    }
+                }
+            },
+            elementType: { type: 'string' },
+            confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+            explanation: { type: 'string' }
+        }
+    }
+};
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function quote(str) {
+    return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * The selector a failed test was waiting for, from the locator('...') in its error
+ */
+function extractFailedSelector(error) {
+    const match = error.match(/locator\('([^']+)'\)|selector\('([^']+)'\)|'([^']+)'/);
+    return match?.[1] || match?.[2] || match?.[3] || null;
+}
+
+// role needs a role; every other strategy a value
+function isCompleteLocator(locator) {
+    return locator.strategy === 'role' ? Boolean(locator.role) : Boolean(locator.value);
+}
+
+/**
+ * Playwright code for a suggested locator, e.g. getByRole('button', { name: 'Sign in' })
+ */
+function renderLocator(locator) {
+    const exact = locator.exact ? 'exact: true' : '';
+    switch (locator.strategy) {
+        case 'role': {
+            const options = [locator.name ? `name: ${quote(locator.name)}` : '', exact].filter(Boolean).join(', ');
+            return `getByRole(${quote(locator.role)}${options ? `, { ${options} }` : ''})`;
+        }
+        case 'testId':
+            return `getByTestId(${quote(locator.value)})`;
+        case 'label':
+            return `getByLabel(${quote(locator.value)}${exact ? `, { ${exact} }` : ''})`;
+        case 'placeholder':
+            return `getByPlaceholder(${quote(locator.value)}${exact ? `, { ${exact} }` : ''})`;
+        case 'text':
+            return `getByText(${quote(locator.value)}${exact ? `, { ${exact} }` : ''})`;
+        default:
+            return `locator(${quote(locator.value)})`;
+    }
+}
+
+/**
+ * Replace a failed selector in a page object or spec source with a locator.
+ * `locator('#login-button')` calls become the locator's code; a selector kept as a plain
+ * string can only take a CSS replacement. Returns the new source, or null when the
+ * selector isn't there in a form the locator can replace.
+ */
+function applyLocator(source, selector, locator) {
+    const call = new RegExp(`locator\\(\\s*(['"\`])${escapeRegex(selector)}\\1\\s*\\)`, 'g');
+    if (call.test(source)) {
+        return source.replace(call, () => renderLocator(locator));
+    }
+    const literal = new RegExp(`(['"\`])${escapeRegex(selector)}\\1`, 'g');
+    if (locator.strategy === 'css' && literal.test(source)) {
+        return source.replace(literal, () => quote(locator.value));
+    }
+    return null;
+}
+
+/**
+ * Copy of a spec with the capture hook appended, or null when the spec has no `test` to
+ * hook into. Lines are unchanged, so file:line still selects the failed test.
+ */
+function buildReplaySpec(source) {
+    if (!/import\s*\{[^}]*\btest\b[^}]*\}\s*from/.test(source)) return null;
+    return `${source.replace(/\s*$/, '\n')}${CAPTURE_HOOK}`;
+}
+
+// tests/e2e/login.spec.ts -> tests/e2e/login.agent3-heal.spec.ts
+function getReplaySpecPath(specFile) {
+    return specFile.replace(/\.spec\.([cm]?[jt]s)$/, '.agent3-heal.spec.$1');
+}
+
+/**
+ * Replay a failed test ({ file, line, project } from the run's results) in the browser
+ * and project it failed in. candidates are locators to check against the page.
+ *
+ * Returns the capture at the failure point, { url, title, dom, ariaSnapshot, candidates }
+ * with { count, visible } on each candidate, or null when the replay didn't fail (or
+ * failed before a page was open).
+ */
+async function replayToFailure(repoDir, failedTest, execution, candidates = [], signal) {
+    const specPath = path.join(repoDir, failedTest.file);
+    const replaySpec = getReplaySpecPath(failedTest.file);
+    const capturePath = path.join(repoDir, HEAL_DIR, 'capture.json');
+
+    const source = buildReplaySpec(await fs.readFile(specPath, 'utf-8'));
+    if (!source) {
+        console.log(`   ⚠️ ${failedTest.file} doesn't import test from @playwright/test; cannot replay it`);
+        return null;
+    }
+
+    await fs.mkdir(path.dirname(capturePath), { recursive: true });
+    await fs.rm(capturePath, { force: true });
+    await fs.writeFile(path.join(repoDir, replaySpec), source);
+    try {
+        // The line reporter and a separate output folder keep the real run's reports and artifacts
+        const args = ['test', `${replaySpec}:${failedTest.line}`, '--retries', '0', '--workers', '1',
+            '--reporter', 'line', '--output', path.join(HEAL_DIR, 'output')];
+        if (execution.config) args.push('--config', execution.config);
+        if (failedTest.project) args.push('--project', failedTest.project);
+
+        await runPlaywright(repoDir, args, {
+            signal,
+            env: {
+                HEADED: 'false',
+                AGENT3_HEAL_OUTPUT: capturePath,
+                AGENT3_HEAL_CANDIDATES: JSON.stringify(candidates)
+            }
+        });
+
+        const capture = JSON.parse(await fs.readFile(capturePath, 'utf-8'));
+        return capture.url && capture.url !== 'about:blank' ? capture : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    } finally {
+        await fs.rm(path.join(repoDir, replaySpec), { force: true });
+    }
+}
+
+/**
+ * The live DOM without scripts, styles, inline SVG and comments, whitespace collapsed
+ */
+function condenseDom(html) {
+    const body = (html.match(/<body[\s\S]*<\/body>/i) || [html])[0];
+    return body
+        .replace(/<(script|style|svg|noscript)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function buildHealingPrompt(failedTest, failedSelector, capture) {
+    return `You are an expert in Playwright locators.
+
+TASK: This Playwright test failed because the selector below matched no element:
+Failed Selector: ${failedSelector}
+Test: ${failedTest.name}
+Error: ${failedTest.error.split('\n')[0]}
+
+The test was replayed in a real browser up to the failure point. This is the page at that moment.
+
+URL: ${capture.url}
+Title: ${capture.title}
+
+ACCESSIBILITY SNAPSHOT (Playwright aria snapshot):
+${(capture.ariaSnapshot || '(not available)').substring(0, MAX_SNAPSHOT_CHARS)}
+
+LIVE DOM (scripts and styles removed):
+${condenseDom(capture.dom).substring(0, MAX_DOM_CHARS)}
+
+REQUIREMENTS:
+1. Call the suggest_locators tool with up to 3 locators for the element the failed selector was meant to find, best first:
+{
+  "originalSelector": "${failedSelector}",
+  "locators": [{ "strategy": "role", "role": "button", "name": "Sign in" }, { "strategy": "testId", "value": "sign-in" }],
+  "elementType": "[button/input/link/etc]",
+  "confidence": "[high/medium/low]",
+  "explanation": "[brief explanation of what changed]"
+}
+2. Prefer, in this order: "role" with the accessible name from the snapshot, "testId" (the element's test id attribute, data-testid unless the project configures another), "label", "placeholder", "text". Use "css" (value is a CSS selector) only when nothing else identifies the element.
+3. Only use roles, names and attribute values that appear in the snapshot or DOM above. Set "exact": true when a shorter name or text would match other elements.`;
+}
+
+/**
+ * File to correct for a failed test: where the error points, else the spec or one of
+ * the files it imports, whichever contains the selector
+ */
+async function findSelectorFile(repoDir, failedTest, selector) {
+    const specSource = await fs.readFile(path.join(repoDir, failedTest.file), 'utf-8');
+    const candidates = [
+        failedTest.location && failedTest.location.file,
+        ...listRelativeImports(failedTest.file, specSource),
+        failedTest.file
+    ].filter(Boolean);
+
+    const quoted = new RegExp(`(['"\`])${escapeRegex(selector)}\\1`);
+    for (const file of [...new Set(candidates)]) {
+        const source = await fs.readFile(path.join(repoDir, file), 'utf-8').catch(() => null);
+        if (source && quoted.test(source)) return { file, source };
+    }
+    return null;
+}
+
+/**
+ * Heal the selectors of failed tests (failedTests from runPlaywrightTests) by replaying
+ * them in the run's execution profiles (from prepareExecution).
+ *
+ * Returns { corrections, outputFailures } where each correction is
+ * { test, file, originalSelector, newSelector, strategy } with newSelector the locator
+ * code now in file, and outputFailures are the StructuredOutputErrors of suggestions
+ * that never validated against the tool schema.
+ */
+async function healFailedSelectors(repoDir, failedTests, execution, options = {}) {
+    const corrections = [];
+    const outputFailures = [];
+    const healed = new Set();
+
+    for (const failedTest of failedTests) {
+        try {
+            console.log(`\n🔄 Analyzing selector error in: ${failedTest.name}${failedTest.project ? ` [${failedTest.project}]` : ''}`);
+
+            const failedSelector = extractFailedSelector(failedTest.error);
+            if (!failedSelector) {
+                console.log(`   ⚠️ Could not extract selector from error`);
+                continue;
+            }
+            if (healed.has(failedSelector)) {
+                console.log(`   ℹ️ ${failedSelector} was already corrected`);
+                continue;
+            }
+
+            const target = await findSelectorFile(repoDir, failedTest, failedSelector);
+            if (!target) {
+                console.log(`   ⚠️ Could not find ${failedSelector} in ${failedTest.file} or the files it imports`);
+                continue;
+            }
+
+            console.log(`   🌐 Replaying the test up to the failure point...`);
+            const capture = await replayToFailure(repoDir, failedTest, execution, [], options.signal);
+            if (!capture) {
+                console.log(`   ⚠️ The replay didn't fail on a page; nothing to heal`);
+                continue;
+            }
+            console.log(`   📄 Captured ${capture.url} (${capture.ariaSnapshot ? 'DOM and accessibility snapshot' : 'DOM only'})`);
+
+            const { data: suggestion } = await llm.completeStructured('agent3', {
+                messages: [{ role: 'user', content: buildHealingPrompt(failedTest, failedSelector, capture) }],
+                tool: LOCATOR_TOOL
+            }, options);
+
+            if (suggestion.confidence !== 'high' && suggestion.confidence !== 'medium') {
+                console.log(`   ⚠️ Low confidence suggestion, skipping`);
+                continue;
+            }
+            const locators = suggestion.locators.filter(isCompleteLocator);
+            if (locators.length === 0) {
+                console.log(`   ⚠️ No usable locator suggested`);
+                continue;
+            }
+
+            console.log(`   🔍 Checking ${locators.map(renderLocator).join(', ')} on the live page...`);
+            const validation = await replayToFailure(repoDir, failedTest, execution, locators, options.signal);
+            const checked = validation ? validation.candidates : [];
+            const match = checked.find(candidate => candidate.count === 1 && candidate.visible);
+            if (!match) {
+                const counts = checked.map(candidate => `${renderLocator(candidate)}: ${candidate.count < 0 ? 'invalid' : `${candidate.count} match${candidate.count === 1 ? ' (hidden)' : 'es'}`}`);
+                console.log(`   ⚠️ No suggestion matched exactly one visible element${counts.length > 0 ? ` (${counts.join('; ')})` : ''}`);
+                continue;
+            }
+
+            const { count, visible, ...locator } = match;
+            const updated = applyLocator(target.source, failedSelector, locator);
+            if (!updated) {
+                console.log(`   ⚠️ ${target.file} keeps ${failedSelector} as a string; only a CSS locator could replace it`);
+                continue;
+            }
+
+            await fs.writeFile(path.join(repoDir, target.file), updated);
+            healed.add(failedSelector);
+            corrections.push({
+                test: failedTest.name,
+                file: target.file,
+                originalSelector: failedSelector,
+                newSelector: renderLocator(locator),
+                strategy: locator.strategy
+            });
+            console.log(`   ✅ ${target.file}: ${failedSelector} → ${renderLocator(locator)}`);
+            console.log(`   📝 Reason: ${suggestion.explanation}`);
+
+        } catch (error) {
+            if (isCancellation(error)) throw error;
+            console.log(`   ❌ Error healing selector: ${error.message}`);
+            if (error instanceof llm.StructuredOutputError) {
+                outputFailures.push(error);
+            }
+        }
+    }
+
+    await fs.rm(path.join(repoDir, HEAL_DIR), { recursive: true, force: true });
+    return { corrections, outputFailures };
+}
+
+module.exports = {
+    LOCATOR_TOOL,
+    extractFailedSelector,
+    renderLocator,
+    applyLocator,
+    buildReplaySpec,
+    buildHealingPrompt,
+    replayToFailure,
+    healFailedSelectors
+};
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getIssueTag, listRelativeImports, readManifest } = require('../../shared/utils/test-manifest.js');
+
+const TESTS_DIR = 'tests';
+const PAGES_DIR = 'tests/pages/';
+const SPEC_FILE = /\.spec\.[jt]s$/;
+
+/**
+ * Which tests Agent 3 runs:
+ * - issue: the issue's own specs (default)
+ * - affected: the issue's specs and every other spec using the page objects they use
+ * - full: the whole suite (full regression)
+ */
+const SCOPE_MODES = ['issue', 'affected', 'full'];
+
+/**
+ * Scope mode for a run: options.scope, then TEST_RUN_SCOPE, then "issue"
+ */
+function getScopeMode(options = {}) {
+    const mode = options.scope || process.env.TEST_RUN_SCOPE || 'issue';
+    if (!SCOPE_MODES.includes(mode)) {
+        throw new Error(`Unknown test run scope "${mode}". Use one of: ${SCOPE_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regular expression source matching the tag on its own, so @KEY-6 doesn't also match @KEY-60
+ */
+function tagPattern(tag) {
+    return `${escapeRegExp(tag)}(?![\\w-])`;
+}
+
+async function listSpecFiles(repoDir, dir = TESTS_DIR) {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(repoDir, dir), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const relativePath = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules') files.push(...await listSpecFiles(repoDir, relativePath));
+        } else if (SPEC_FILE.test(entry.name)) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Resolve the tests to run for an issue in a checked out repository.
+ *
+ * The issue's specs come from its manifest (tests/manifests/<ISSUE>.json, written by
+ * Agent 2), or else from the spec files that mention its @ISSUE tag.
+ *
+ * Returns { mode, source, files, tag, grep }:
+ * - files: spec files to pass to `playwright test` (null for the full suite; empty
+ *   when the issue has no tests)
+ * - tag, grep: when every selected spec is tagged, the issue's tag and the --grep
+ *   pattern matching just that tag, which narrows shared spec files down to the
+ *   issue's own tests (both null otherwise)
+ * - source: where the issue's specs came from ('manifest', 'tag' or null)
+ */
+async function resolveTestScope(repoDir, issueKey, mode = 'issue') {
+    if (mode === 'full') {
+        return { mode, source: null, files: null, tag: null, grep: null };
+    }
+
+    const tag = getIssueTag(issueKey);
+    const specFiles = await listSpecFiles(repoDir);
+    const sources = new Map();
+    for (const file of specFiles) {
+        sources.set(file, await fs.readFile(path.join(repoDir, file), 'utf-8'));
+    }
+    const tagged = new RegExp(tagPattern(tag));
+    const isTagged = file => tagged.test(sources.get(file));
+
+    const manifest = await readManifest(repoDir, issueKey);
+    const issueSpecs = manifest
+        ? manifest.specs.map(spec => spec.file).filter(file => sources.has(file))
+        : specFiles.filter(isTagged);
+    const source = manifest ? 'manifest' : issueSpecs.length > 0 ? 'tag' : null;
+
+    if (mode === 'issue') {
+        const narrow = issueSpecs.length > 0 && issueSpecs.every(isTagged);
+        return { mode, source, files: issueSpecs, tag: narrow ? tag : null, grep: narrow ? tagPattern(tag) : null };
+    }
+
+    // affected: every spec importing a page object the issue's specs use
+    const pageObjects = new Set(manifest ? manifest.pageObjects : []);
+    for (const file of issueSpecs) {
+        listRelativeImports(file, sources.get(file))
+            .filter(imported => imported.startsWith(PAGES_DIR))
+            .forEach(imported => pageObjects.add(imported));
+    }
+    const affected = specFiles.filter(file => issueSpecs.includes(file)
+        || listRelativeImports(file, sources.get(file)).some(imported => pageObjects.has(imported)));
+
+    return { mode, source, files: affected, tag: null, grep: null };
+}
+
+/**
+ * One-line description of a resolved scope for logs and Jira
+ */
+function describeTestScope(scope) {
+    if (scope.files === null) return 'full regression (all specs)';
+    const count = `${scope.files.length} spec file${scope.files.length === 1 ? '' : 's'}`;
+    const label = scope.mode === 'affected' ? 'tests affected by the issue\'s page objects' : 'the issue\'s tests';
+    return `${label}: ${count}${scope.tag ? `, tagged ${scope.tag}` : ''}`;
+}
+
+module.exports = {
+    SCOPE_MODES,
+    getScopeMode,
+    resolveTestScope,
+    describeTestScope
+};
@@ -3,17 +3,28 @@ const express = require("express");
 const { triggerAgent1 } = require('./agents/agent1-test-creator/index.js');
 const { triggerAgent2, generatePlaywrightScript } = require('./agents/agent2-script-generator/index.js');
 const { triggerAgent3 } = require('./agents/agent3-test-executor/index.js');
-const fs = require('fs').promises;
-const path = require('path');
+const { SCOPE_MODES } = require('./agents/agent3-test-executor/test-scope.js');
+const { getIssue, updateJiraCard } = require('./shared/utils/jira-utils.js');
+const runStore = require('./shared/utils/run-store.js');
+const jobQueue = require('./shared/utils/job-queue.js');
+const webhookFilter = require('./shared/utils/webhook-filter.js');
+const { claimRun } = require('./shared/utils/idempotency.js');
+const approval = require('./shared/utils/approval.js');
+const { readTestCases, getTestCasePath, TestCaseValidationError, TestCaseNotFoundError } = require('./shared/utils/test-cases.js');
+const { isMockMode } = require('./shared/mocks');
 
 const app = express();
 
-// Built-in JSON parser
-app.use(express.json());
+// Built-in JSON parser (keeps the raw body for webhook signature verification)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
-// Request logging middleware
+// Request logging middleware. The webhook's ?secret= is redacted so it never reaches the logs.
 app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url.replace(/([?&]secret=)[^&]*/gi, '$1[REDACTED]')}`);
     next();
 });
 
@@ -43,149 +54,573 @@ app.get("/health", (req, res) => {
  */
 app.post("/jira-webhook", async (req, res) => {
     console.log("Webhook received!");
+
+    const verification = webhookFilter.verifyWebhookSignature(req);
+    if (!verification.valid) {
+        webhookFilter.recordRejected(verification.reason, req.body || {});
+        return res.status(401).json({ error: `Webhook rejected: ${verification.reason}` });
+    }
+
     console.log(JSON.stringify(req.body, null, 2));
 
     const payload = req.body;
 
-    // Check if it's an issue event
-    if (payload.issue) {
-        const issueKey = payload.issue.key;
-        console.log(`Received webhook for issue: ${issueKey}`);
+    // Approve/reject comments and transitions resume a paused run instead of starting one
+    const decision = approval.parseApprovalEvent(payload);
+    if (decision) {
+        let waitingRun;
+        try {
+            waitingRun = await findRunAwaitingApproval(payload.issue.key);
+        } catch (error) {
+            console.error(`❌ Could not look up runs awaiting approval for ${payload.issue.key}:`, error.message);
+            return res.status(500).json({ error: error.message });
+        }
+        if (waitingRun) {
+            try {
+                const job = await applyApprovalDecision(waitingRun, decision);
+                return res.status(200).json({ status: decision.decision, issueKey: payload.issue.key, runId: waitingRun.id, jobId: job.id });
+            } catch (error) {
+                console.error(`❌ Could not apply approval for run ${waitingRun.id}:`, error.message);
+                const status = error instanceof runStore.RunStateError ? 409 : 500;
+                return res.status(status).json({ error: error.message });
+            }
+        }
+    }
 
-        // Return 200 immediately to Jira so we don't time out
-        res.status(200).send(`Processing issue ${issueKey}...`);
+    // Check if it's an issue event we're configured to handle
+    const filter = webhookFilter.filterWebhookEvent(payload);
+    if (!filter.accepted) {
+        webhookFilter.recordRejected(filter.reason, payload);
+        // Still 200 so Jira doesn't retry an event we deliberately ignore
+        return res.status(200).json({ status: "ignored", reason: filter.reason });
+    }
 
-        // Trigger full workflow asynchronously
-        triggerFullWorkflow(payload.issue).catch(err => {
-            console.error("Error in full workflow:", err);
-        });
-    } else {
-        res.status(200).send("No issue in payload");
+    webhookFilter.recordAccepted();
+    const issueKey = payload.issue.key;
+    console.log(`Received webhook for issue: ${issueKey}`);
+
+    // Skip bursts of identical updates, then queue the workflow and
+    // return 200 immediately to Jira so we don't time out
+    try {
+        const claim = await claimRun(payload.issue, { trigger: 'webhook' });
+        if (claim.action === 'skip') {
+            console.log(`⏭️ Skipping ${issueKey}: ${claim.reason}`);
+            return res.status(200).json({ status: "skipped", issueKey, reason: claim.reason, previousRunId: claim.previousRun.id });
+        }
+
+        const job = enqueueWorkflow(payload.issue, claim.run.id);
+        res.status(200).json({ status: `Processing issue ${issueKey}...`, issueKey, mode: claim.run.mode, runId: claim.run.id, jobId: job.id });
+    } catch (error) {
+        console.error(`Error starting a run for ${issueKey}:`, error.message);
+        res.status(500).json({ error: error.message });
     }
 });
 
+// Webhook acceptance/rejection counters and active filters
+app.get("/jira-webhook/stats", (req, res) => {
+    res.json(webhookFilter.getWebhookStats());
+});
+
+/**
+ * Queue a full workflow run for an issue.
+ * Runs for the same issue are serialized and each job gets its own workspace.
+ * resume ({ resumeFrom, feedback }) continues a run that was paused for approval.
+ */
+function enqueueWorkflow(issue, runId, resume = {}) {
+    return jobQueue.enqueueJob({
+        type: 'workflow',
+        issueKey: issue.key,
+        runId,
+        handler: job => triggerFullWorkflow(issue, runId, {
+            ...resume,
+            workspaceDir: job.workspaceDir,
+            signal: job.signal,
+            runId
+        })
+    });
+}
+
+/**
+ * Latest run of an issue that is paused for approval, or null
+ */
+async function findRunAwaitingApproval(issueKey) {
+    const [run] = await runStore.listRunsForIssue(issueKey, { status: 'awaiting_approval', limit: 1 });
+    return run || null;
+}
+
+/**
+ * Record a reviewer's decision on a paused run and queue its continuation.
+ * Approval moves on to the next step; rejection regenerates the paused step
+ * with the reviewer's feedback. Returns the queued job.
+ */
+async function applyApprovalDecision(run, decision) {
+    const step = run.approval.step;
+
+    // Fetched before the decision is recorded so a Jira outage leaves the run paused
+    const issue = await getIssue(run.issueKey);
+    await runStore.resolveApproval(run.id, decision);
+
+    const resumeFrom = decision.decision === 'approved'
+        ? runStore.AGENT_STEPS[runStore.AGENT_STEPS.indexOf(step) + 1]
+        : step;
+    console.log(`${decision.decision === 'approved' ? '✅' : '↩️'} Run ${run.id} ${decision.decision} after ${step} (${decision.source}), resuming from ${resumeFrom}`);
+
+    try {
+        await updateJiraCard(run.issueKey, { comment: approval.formatApprovalDecision(step, decision) });
+    } catch (e) {
+        console.error(`⚠️ Failed to post approval decision to ${run.issueKey}:`, e.message);
+    }
+
+    return enqueueWorkflow(issue, run.id, { resumeFrom, feedback: decision.feedback });
+}
+
+/**
+ * Pause the run for approval after a step if APPROVAL_MODE requires it.
+ * Returns true when the run was paused.
+ */
+async function pauseForApproval(issue, runId, step, details = {}) {
+    if (!approval.requiresApproval(step)) {
+        return false;
+    }
+
+    await runStore.awaitApproval(runId, step);
+    console.log(`⏸️ Run ${runId} awaiting approval after ${step}`);
+    try {
+        await updateJiraCard(issue.key, { comment: approval.formatApprovalRequest(runId, step, details) });
+    } catch (e) {
+        console.error(`⚠️ Failed to request approval on ${issue.key}:`, e.message);
+    }
+    return true;
+}
+
 /**
  * Full automation workflow:
  * 1. Agent 1: Generate test cases
  * 2. Agent 2: Generate Playwright scripts
  * 3. Agent 3: Execute tests with AI-powered selector correction
+ *
+ * Progress of every step is recorded in the run store under runId.
+ * Runs in 'rerun' mode (unchanged issue) skip steps 1 and 2 and re-execute
+ * the tests from the previous run's PR.
+ * With APPROVAL_MODE set, the run pauses after step 1 (and 2) and is resumed by a
+ * new job with options.resumeFrom (and the reviewer's options.feedback on rejection).
+ * Options carry the job context (workspaceDir, signal, runId) through to the agents.
  */
-async function triggerFullWorkflow(issue) {
+async function triggerFullWorkflow(issue, runId, options = {}) {
+    const { signal } = options;
+
     try {
+        const run = await runStore.startRun(runId);
+
         console.log(`\n${'='.repeat(60)}`);
-        console.log(`🚀 STARTING FULL AUTOMATION WORKFLOW FOR ${issue.key}`);
+        console.log(`🚀 STARTING ${run.mode === 'rerun' ? 'TEST RE-RUN' : 'FULL AUTOMATION WORKFLOW'} FOR ${issue.key} (run ${runId})`);
         console.log(`${'='.repeat(60)}`);
 
-        // Step 1: Agent 1 - Create test cases
-        console.log(`\n📝 Step 1: Running Agent 1 (Test Creator)...`);
-        await triggerAgent1(issue);
-        console.log(`✅ Agent 1 completed`);
-
-        // Get test cases for Agent 2
-        const testCasePath = path.join(__dirname, 'shared', 'test-cases', `${issue.key}-test-cases.json`);
-        let testCases = [];
-        try {
-            const content = await fs.readFile(testCasePath, 'utf-8');
-            const data = JSON.parse(content);
-            testCases = data.testCases || [];
-            console.log(`📊 Loaded ${testCases.length} test cases`);
-        } catch (e) {
-            console.warn(`⚠️ Could not load test cases from ${testCasePath}`);
-        }
-
-        // Step 2: Agent 2 - Generate Playwright scripts
-        console.log(`\n🎭 Step 2: Running Agent 2 (Script Generator)...`);
         let prUrl = null;
-        try {
-            await triggerAgent2(issue, testCases, testCasePath);
-            // Try to extract PR URL from recent git operations
-            prUrl = `https://github.com/${process.env.GITHUB_USERNAME}/${process.env.TARGET_REPO_URL.split('/').pop().replace('.git', '')}/pulls`;
-            console.log(`✅ Agent 2 completed - PR: ${prUrl}`);
-        } catch (e) {
-            console.error(`⚠️ Agent 2 error: ${e.message}`);
+        if (run.mode === 'rerun') {
+            // Unchanged issue: re-execute the tests already pushed by the previous run
+            const previousRun = await runStore.getRun(run.previousRunId);
+            prUrl = (previousRun && previousRun.prUrls[0]) || null;
+            await runStore.skipStep(runId, 'agent1', 'issue unchanged');
+            await runStore.skipStep(runId, 'agent2', 'issue unchanged');
+            if (prUrl) {
+                await runStore.updateRun(runId, r => { r.prUrls.push(prUrl); });
+            }
+        } else {
+            const outcome = await generateAndPublishTests(issue, runId, options);
+            if (outcome.awaitingApproval) {
+                console.log(`\n⏸️ WORKFLOW FOR ${issue.key} PAUSED FOR APPROVAL (run ${runId})\n`);
+                return;
+            }
+            prUrl = outcome.prUrl;
         }
 
         // Step 3: Agent 3 - Execute tests with selector correction
         console.log(`\n🧪 Step 3: Running Agent 3 (Test Executor)...`);
+        jobQueue.throwIfCancelled(signal);
+        await runStore.startStep(runId, 'agent3');
         try {
-            await triggerAgent3(issue, prUrl);
+            const testResults = await triggerAgent3(issue, prUrl, options);
+            const summary = summarizeTestResults(testResults);
+            await runStore.setTestResults(runId, summary);
+            await runStore.completeStep(runId, 'agent3', summary);
             console.log(`✅ Agent 3 completed`);
         } catch (e) {
+            await runStore.failStep(runId, 'agent3', e);
+            if (jobQueue.isCancellation(e)) throw e;
             console.error(`⚠️ Agent 3 error: ${e.message}`);
         }
 
+        const finalRun = await runStore.getRun(runId);
+        const failedSteps = runStore.AGENT_STEPS.filter(step => finalRun.steps[step].status === 'failed');
+        await runStore.finishRun(
+            runId,
+            failedSteps.length === 0 ? 'completed' : 'failed',
+            failedSteps.length === 0 ? null : `Failed steps: ${failedSteps.join(', ')}`
+        );
+
         console.log(`\n${'='.repeat(60)}`);
         console.log(`✅ WORKFLOW COMPLETED FOR ${issue.key}`);
         console.log(`${'='.repeat(60)}\n`);
 
     } catch (error) {
-        console.error("❌ Fatal error in workflow:", error);
+        const cancelled = jobQueue.isCancellation(error) || (signal && signal.aborted);
+        if (cancelled) {
+            console.log(`🚫 Workflow for ${issue.key} cancelled (run ${runId})`);
+        } else {
+            console.error("❌ Fatal error in workflow:", error);
+        }
+        try {
+            await runStore.finishRun(runId, cancelled ? 'cancelled' : 'failed', cancelled ? null : error);
+        } catch (e) {
+            console.error(`❌ Failed to record run failure for ${runId}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Workflow steps 1 and 2: generate test cases and publish Playwright scripts,
+ * starting from options.resumeFrom ('agent1' by default) when a paused run resumes.
+ * Returns { prUrl } with the PR created by Agent 2 (null if Agent 2 failed),
+ * or { awaitingApproval: true } when the run paused for approval.
+ */
+async function generateAndPublishTests(issue, runId, options) {
+    const { resumeFrom = 'agent1' } = options;
+    const testCasePath = getTestCasePath(issue.key);
+
+    if (resumeFrom === 'agent3') {
+        const run = await runStore.getRun(runId);
+        return { prUrl: (run.steps.agent2.result && run.steps.agent2.result.prUrl) || null };
+    }
+
+    if (resumeFrom === 'agent1') {
+        // Step 1: Agent 1 - Create test cases
+        console.log(`\n📝 Step 1: Running Agent 1 (Test Creator)...`);
+        await runStore.startStep(runId, 'agent1');
+        let testCaseCount;
+        let exportedTests = [];
+        let changes;
+        try {
+            ({ exportedTests } = await triggerAgent1(issue, {
+                ...options,
+                chainAgent2: false,
+                awaitApproval: approval.requiresApproval('agent1')
+            }));
+
+            const document = await readTestCases(testCasePath);
+            testCaseCount = document.scenarios.length;
+            changes = document.changes;
+        } catch (e) {
+            await runStore.failStep(runId, 'agent1', e);
+            throw e;
+        }
+        console.log(`✅ Agent 1 completed`);
+        await runStore.completeStep(runId, 'agent1', { testCasePath, testCaseCount, exportedTests, changes });
+
+        if (await pauseForApproval(issue, runId, 'agent1')) {
+            return { awaitingApproval: true };
+        }
     }
+
+    // Step 2: Agent 2 - Generate Playwright scripts
+    console.log(`\n🎭 Step 2: Running Agent 2 (Script Generator)...`);
+    jobQueue.throwIfCancelled(options.signal);
+    let prUrl = null;
+    await runStore.startStep(runId, 'agent2');
+    try {
+        // Get test cases for Agent 2 (possibly approved after a pause)
+        const testCases = (await readTestCases(testCasePath)).scenarios;
+        console.log(`📊 Loaded ${testCases.length} test cases`);
+
+        const agent2Result = await triggerAgent2(issue, testCases, testCasePath, options);
+        prUrl = agent2Result.prUrl;
+        await runStore.completeStep(runId, 'agent2', agent2Result);
+        console.log(`✅ Agent 2 completed - PR: ${prUrl}`);
+    } catch (e) {
+        await runStore.failStep(runId, 'agent2', e);
+        if (jobQueue.isCancellation(e)) throw e;
+        console.error(`⚠️ Agent 2 error: ${e.message}`);
+    }
+
+    if (prUrl && await pauseForApproval(issue, runId, 'agent2', { prUrl })) {
+        return { awaitingApproval: true };
+    }
+
+    return { prUrl };
 }
 
+/**
+ * Keep the parts of Agent 3's results that are useful in a run record
+ */
+function summarizeTestResults(testResults) {
+    if (!testResults) return null;
+    return {
+        scope: testResults.scope || null,
+        profiles: (testResults.profiles || []).map(profile => profile.name),
+        totalTests: testResults.totalTests,
+        passed: testResults.passed,
+        failed: testResults.failed,
+        flaky: testResults.flaky,
+        skipped: testResults.skipped,
+        projects: testResults.projects,
+        failures: testResults.failures,
+        flakyTests: testResults.flakyTests,
+        attachments: testResults.attachments
+            ? testResults.attachments.uploaded.map(({ kind, filename, size, url }) => ({ kind, filename, size, url }))
+            : [],
+        correctedSelectors: testResults.correctedSelectors,
+        correctionPrUrl: testResults.correctionPrUrl || null,
+        startTime: testResults.startTime,
+        endTime: testResults.endTime
+    };
+}
+
+/**
+ * Run status API
+ */
+
+// List recent runs (optionally filtered by ?status= and ?issueKey=)
+app.get("/runs", async (req, res) => {
+    try {
+        const runs = await runStore.listRuns({
+            status: req.query.status,
+            issueKey: req.query.issueKey,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+        res.json({ runs });
+    } catch (error) {
+        console.error("Error listing runs:", error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a single run
+app.get("/runs/:id", async (req, res) => {
+    try {
+        const run = await runStore.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run ${req.params.id} not found` });
+        }
+        res.json(run);
+    } catch (error) {
+        console.error("Error reading run:", error.message);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * Approve or reject a run paused for approval.
+ * Rejections take { feedback } in the body; both take an optional { by }.
+ */
+async function handleApprovalRequest(req, res, decision) {
+    try {
+        const run = await runStore.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: `Run ${req.params.id} not found` });
+        }
+        if (run.status !== 'awaiting_approval') {
+            return res.status(409).json({ error: `Run ${run.id} is not awaiting approval (status: ${run.status})` });
+        }
+
+        const job = await applyApprovalDecision(run, {
+            decision,
+            feedback: decision === 'rejected' ? (req.body && req.body.feedback) || null : null,
+            source: 'api',
+            by: (req.body && req.body.by) || null
+        });
+        res.json({ status: decision, runId: run.id, jobId: job.id });
+    } catch (error) {
+        console.error(`Error applying approval to run ${req.params.id}:`, error.message);
+        res.status(error instanceof runStore.RunStateError ? 409 : 500).json({ error: error.message });
+    }
+}
+
+// Approve the output of the step a run is paused after
+app.post("/runs/:id/approve", (req, res) => handleApprovalRequest(req, res, 'approved'));
+
+// Reject it and regenerate that step with the feedback
+app.post("/runs/:id/reject", (req, res) => handleApprovalRequest(req, res, 'rejected'));
+
+// List runs for a Jira issue
+app.get("/issues/:key/runs", async (req, res) => {
+    try {
+        const runs = await runStore.listRunsForIssue(req.params.key, {
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+        res.json({ issueKey: req.params.key, runs });
+    } catch (error) {
+        console.error("Error listing runs:", error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Manual triggers for individual agents
  */
 
+/**
+ * Fetch the issue from Jira for a manual trigger, so the agents get the same
+ * data as the webhook path. Responds with an error and returns null on failure.
+ */
+async function fetchIssueForTrigger(issueKey, res) {
+    try {
+        return await getIssue(issueKey);
+    } catch (error) {
+        const status = error.statusCode === 404 ? 404 : 502;
+        res.status(status).json({ error: `Could not fetch ${issueKey} from Jira: ${error.message}` });
+        return null;
+    }
+}
+
 // Trigger Agent 1 only
 app.post("/agents/1", async (req, res) => {
     const issueKey = req.body.issueKey || "SCRUM-6";
     console.log(`Manual trigger for Agent 1 with issue: ${issueKey}`);
-    res.json({ status: "Agent 1 triggered", issueKey });
-    
-    // In real scenario, would fetch from Jira API
-    triggerAgent1({ key: issueKey, summary: "Manual test" }).catch(err => {
-        console.error("Agent 1 error:", err);
+
+    const issue = await fetchIssueForTrigger(issueKey, res);
+    if (!issue) return;
+
+    const job = jobQueue.enqueueJob({
+        type: 'agent1',
+        issueKey,
+        handler: job => triggerAgent1(issue, job)
     });
+    res.json({ status: "Agent 1 triggered", issueKey, jobId: job.id });
 });
 
 // Trigger Agent 2 only
 app.post("/agents/2", async (req, res) => {
     const issueKey = req.body.issueKey || "SCRUM-6";
     console.log(`Manual trigger for Agent 2 with issue: ${issueKey}`);
-    res.json({ status: "Agent 2 triggered", issueKey });
-    
-    const testCasePath = path.join(__dirname, 'shared', 'test-cases', `${issueKey}-test-cases.json`);
-    let testCases = [];
+
+    const issue = await fetchIssueForTrigger(issueKey, res);
+    if (!issue) return;
+
+    const testCasePath = getTestCasePath(issueKey);
+    let testCases;
     try {
-        const content = await fs.readFile(testCasePath, 'utf-8');
-        const data = JSON.parse(content);
-        testCases = data.testCases || [];
+        testCases = (await readTestCases(testCasePath)).scenarios;
     } catch (e) {
         console.warn(`Could not load test cases: ${e.message}`);
+        if (e instanceof TestCaseNotFoundError) {
+            return res.status(404).json({ error: `${e.message}. Run Agent 1 for ${issueKey} first.` });
+        }
+        if (e instanceof TestCaseValidationError) {
+            return res.status(422).json({ error: e.message, errors: e.errors });
+        }
+        return res.status(500).json({ error: e.message });
     }
 
-    triggerAgent2({ key: issueKey }, testCases, testCasePath).catch(err => {
-        console.error("Agent 2 error:", err);
+    const job = jobQueue.enqueueJob({
+        type: 'agent2',
+        issueKey,
+        handler: job => triggerAgent2(issue, testCases, testCasePath, job)
     });
+    res.json({ status: "Agent 2 triggered", issueKey, jobId: job.id });
 });
 
 // Trigger Agent 3 only
 app.post("/agents/3", async (req, res) => {
     const issueKey = req.body.issueKey || "SCRUM-6";
     const prUrl = req.body.prUrl || null;
+    const scope = req.body.scope;
     console.log(`Manual trigger for Agent 3 with issue: ${issueKey}`);
-    res.json({ status: "Agent 3 triggered", issueKey, prUrl });
-    
-    triggerAgent3({ key: issueKey }, prUrl).catch(err => {
-        console.error("Agent 3 error:", err);
+
+    if (scope !== undefined && !SCOPE_MODES.includes(scope)) {
+        return res.status(400).json({ error: `scope must be one of: ${SCOPE_MODES.join(', ')}` });
+    }
+
+    const issue = await fetchIssueForTrigger(issueKey, res);
+    if (!issue) return;
+
+    const job = jobQueue.enqueueJob({
+        type: 'agent3',
+        issueKey,
+        handler: job => triggerAgent3(issue, prUrl, { ...job, scope })
     });
+    res.json({ status: "Agent 3 triggered", issueKey, prUrl, scope: scope || null, jobId: job.id });
 });
 
 // Trigger all agents
 app.post("/agents/all", async (req, res) => {
     const issueKey = req.body.issueKey || "SCRUM-6";
-    console.log(`Manual trigger for all agents with issue: ${issueKey}`);
-    res.json({ status: "All agents triggered", issueKey });
-    
-    triggerFullWorkflow({ key: issueKey, summary: "Manual test" }).catch(err => {
-        console.error("Workflow error:", err);
+    const force = req.body.force === true || req.query.force === 'true';
+    console.log(`Manual trigger for all agents with issue: ${issueKey}${force ? ' (forced)' : ''}`);
+
+    const issue = await fetchIssueForTrigger(issueKey, res);
+    if (!issue) return;
+
+    try {
+        const claim = await claimRun(issue, { trigger: 'manual', force });
+        if (claim.action === 'skip') {
+            return res.json({ status: "skipped", issueKey, reason: claim.reason, previousRunId: claim.previousRun.id });
+        }
+
+        const job = enqueueWorkflow(issue, claim.run.id);
+        res.json({ status: "All agents triggered", issueKey, mode: claim.run.mode, runId: claim.run.id, jobId: job.id });
+    } catch (error) {
+        console.error(`Error starting a run for ${issueKey}:`, error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Job queue API
+ */
+
+// List jobs (optionally filtered by ?status= and ?issueKey=)
+app.get("/jobs", (req, res) => {
+    res.json({
+        ...jobQueue.getQueueStats(),
+        jobs: jobQueue.listJobs({ status: req.query.status, issueKey: req.query.issueKey })
     });
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
+// Get a single job
+app.get("/jobs/:id", (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    res.json(job);
+});
 
-app.listen(PORT, () => {
-    console.log(`✅ Server running on http://localhost:${PORT}`);
+// Cancel a queued or running job
+app.post("/jobs/:id/cancel", async (req, res) => {
+    const job = jobQueue.cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+
+    // Queued workflow jobs never start, so their run has to be closed here
+    if (job.status === 'cancelled' && job.runId) {
+        try {
+            await runStore.finishRun(job.runId, 'cancelled');
+        } catch (e) {
+            console.error(`❌ Failed to mark run ${job.runId} cancelled:`, e.message);
+        }
+    }
+
+    res.json(job);
 });
+
+// Start server (unless loaded by the e2e tests)
+const PORT = process.env.PORT || 3000;
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`✅ Server running on http://localhost:${PORT}`);
+        const { mode: approvalMode } = approval.getApprovalConfig();
+        if (approvalMode !== 'off') {
+            console.log(`⏸️ APPROVAL_MODE=${approvalMode} - runs pause for review between agents`);
+        }
+        if (isMockMode()) {
+            console.log('🧪 MOCK_SERVICES enabled - Jira, GitHub, LLM and Playwright are simulated offline');
+        }
+        if (!process.env.JIRA_WEBHOOK_SECRET) {
+            console.warn('⚠️ JIRA_WEBHOOK_SECRET is not set - /jira-webhook accepts unsigned requests');
+        }
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,304 @@
+const { createAnthropicProvider } = require('./providers/anthropic.js');
+const { createOpenAIProvider } = require('./providers/openai.js');
+const { createFakeProvider } = require('./providers/fake.js');
+const runStore = require('../utils/run-store.js');
+const { isMockMode } = require('../mocks');
+const { validateSchema, dereferenceSchema, formatSchemaErrors } = require('../utils/json-schema.js');
+
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  fake: createFakeProvider
+};
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o',
+  fake: 'fake-model'
+};
+
+// Per-agent defaults, overridable with AGENT1_MAX_TOKENS etc.
+const AGENT_DEFAULTS = {
+  agent1: { maxTokens: 4000 },
+  agent2: { maxTokens: 8000 },
+  agent3: { maxTokens: 1000 }
+};
+
+// USD per million tokens, matched by longest model-name prefix. Override/extend with LLM_PRICING (JSON).
+const DEFAULT_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'fake-model': { input: 0, output: 0 }
+};
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const providers = new Map();
+
+/**
+ * Structured output that still didn't match its schema after all repair attempts.
+ * payload is the raw (unparsed or invalid) tool input from the last attempt.
+ */
+class StructuredOutputError extends Error {
+  constructor(agent, toolName, errors, payload) {
+    super(`${agent} returned invalid ${toolName} output:\n${formatSchemaErrors(errors)}`);
+    this.name = 'StructuredOutputError';
+    this.agent = agent;
+    this.toolName = toolName;
+    this.errors = errors;
+    this.payload = payload;
+  }
+}
+
+function getProvider(name) {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Resolve model settings for an agent.
+ * AGENT<N>_<SETTING> wins over LLM_<SETTING>, e.g. AGENT2_MODEL over LLM_MODEL.
+ * The provider defaults to anthropic, or to the fixture-backed fake in mock mode.
+ */
+function getAgentConfig(agent) {
+  const prefix = agent.toUpperCase();
+  const env = name => {
+    const value = process.env[`${prefix}_${name}`];
+    return value !== undefined && value !== '' ? value : process.env[`LLM_${name}`];
+  };
+  const defaults = AGENT_DEFAULTS[agent] || { maxTokens: 4000 };
+  const provider = env('PROVIDER') || (isMockMode() ? 'fake' : 'anthropic');
+  const temperature = env('TEMPERATURE');
+  const maxRetries = env('MAX_RETRIES');
+
+  return {
+    provider,
+    model: env('MODEL') || DEFAULT_MODELS[provider],
+    temperature: temperature !== undefined && temperature !== '' ? parseFloat(temperature) : undefined,
+    maxTokens: parseInt(env('MAX_TOKENS'), 10) || defaults.maxTokens,
+    timeoutMs: parseInt(env('TIMEOUT_MS'), 10) || 120000,
+    maxRetries: maxRetries !== undefined && maxRetries !== '' ? parseInt(maxRetries, 10) : 4,
+    maxRepairAttempts: parseInt(env('MAX_REPAIR_ATTEMPTS') || '2', 10),
+    retryBaseDelayMs: parseInt(env('RETRY_BASE_DELAY_MS'), 10) || 1000
+  };
+}
+
+function getPricing(model) {
+  let pricing = DEFAULT_PRICING;
+  if (process.env.LLM_PRICING) {
+    try {
+      pricing = { ...DEFAULT_PRICING, ...JSON.parse(process.env.LLM_PRICING) };
+    } catch (error) {
+      console.warn(`⚠️ Ignoring invalid LLM_PRICING: ${error.message}`);
+    }
+  }
+
+  const prefix = Object.keys(pricing)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Estimated cost in USD, or null if the model has no known pricing
+ */
+function estimateCost(model, usage) {
+  const pricing = getPricing(model);
+  if (!pricing) return null;
+  return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+}
+
+function isRetryable(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.timeout || error.overloaded) return true;
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+function abortError() {
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait ms milliseconds, or reject with an AbortError when signal aborts first.
+ * The abort listener is removed either way so long-lived signals don't collect them.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(abortError());
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Send a completion request for an agent.
+ *
+ * request: { system, messages, tool } in Anthropic message format (string contents).
+ *   tool ({ name, description, schema }) forces a call to that tool.
+ * context: { runId, signal } - usage is recorded on the run when runId is set
+ *
+ * Retries rate-limit, overload, timeout and connection errors with exponential backoff.
+ * Returns { text, toolPayload, stopReason, usage: { inputTokens, outputTokens, costUsd }, model, provider }.
+ */
+async function complete(agent, request, context = {}) {
+  const config = getAgentConfig(agent);
+  const provider = getProvider(config.provider);
+  const { signal, runId } = context;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await provider.complete({
+        agent,
+        model: config.model,
+        system: request.system,
+        messages: request.messages,
+        maxTokens: request.maxTokens || config.maxTokens,
+        temperature: config.temperature,
+        timeoutMs: config.timeoutMs,
+        signal,
+        tool: request.tool
+      });
+
+      const usage = {
+        ...result.usage,
+        costUsd: estimateCost(config.model, result.usage)
+      };
+
+      if (runId) {
+        await runStore.recordUsage(runId, agent, { ...usage, model: config.model }).catch(error => {
+          console.warn(`⚠️ Could not record LLM usage for run ${runId}: ${error.message}`);
+        });
+      }
+
+      return {
+        text: result.text,
+        toolPayload: result.toolPayload,
+        stopReason: result.stopReason,
+        usage,
+        model: config.model,
+        provider: provider.name
+      };
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= config.maxRetries) {
+        throw error;
+      }
+
+      const backoff = config.retryBaseDelayMs * 2 ** attempt + Math.floor(Math.random() * 250);
+      const delay = Math.min(error.retryAfterMs || backoff, 60000);
+      console.warn(`⚠️ ${agent} LLM call failed (${error.status || error.code || error.message}), retrying in ${delay}ms (${attempt + 1}/${config.maxRetries})`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Parse a tool payload (object, or JSON string from providers that return one)
+ * and validate it. Returns { data, payloadText, errors }.
+ */
+function checkToolPayload(payload, schema, validate) {
+  if (payload === undefined || payload === null) {
+    return { data: null, payloadText: '', errors: [{ path: '', message: 'no tool call in response' }] };
+  }
+
+  let data = payload;
+  const payloadText = typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+  if (typeof payload === 'string') {
+    try {
+      data = JSON.parse(payload.trim().replace(/^```(?:json)?\s*/, '').replace(/```\s*$/, ''));
+    } catch (error) {
+      return { data: null, payloadText, errors: [{ path: '', message: `is not valid JSON: ${error.message}` }] };
+    }
+  }
+
+  let errors = validateSchema(data, schema);
+  if (errors.length === 0 && validate) {
+    errors = validate(data) || [];
+  }
+  return { data, payloadText, errors };
+}
+
+/**
+ * Get schema-validated structured output from an agent's model via a forced tool call.
+ *
+ * request: { system, messages, tool: { name, description, schema }, validate }
+ *   validate(data) may return extra { path, message } errors the schema can't express.
+ *
+ * Invalid output is sent back to the model with the violations for up to
+ * <AGENT>_MAX_REPAIR_ATTEMPTS extra rounds. If it still doesn't validate a
+ * StructuredOutputError is thrown and, when context.runId is set, the failure and
+ * offending payload are recorded on the run.
+ * Returns the complete() result plus data (the validated tool input).
+ */
+async function completeStructured(agent, request, context = {}) {
+  const config = getAgentConfig(agent);
+  const schema = dereferenceSchema(request.tool.schema);
+  const tool = { ...request.tool, schema };
+  const messages = [...request.messages];
+  let lastCheck;
+
+  for (let attempt = 0; attempt <= config.maxRepairAttempts; attempt++) {
+    const result = await complete(agent, { system: request.system, messages, tool }, context);
+    lastCheck = checkToolPayload(result.toolPayload, schema, request.validate);
+
+    if (lastCheck.errors.length === 0) {
+      return { ...result, data: lastCheck.data };
+    }
+
+    console.warn(`⚠️ ${agent} ${tool.name} output failed validation (attempt ${attempt + 1}/${config.maxRepairAttempts + 1}):\n${formatSchemaErrors(lastCheck.errors)}`);
+
+    messages.push(
+      { role: 'assistant', content: lastCheck.payloadText || '(no tool call)' },
+      {
+        role: 'user',
+        content: `That ${tool.name} input does not match the required schema. Fix these problems:\n${formatSchemaErrors(lastCheck.errors)}\n\nCall the ${tool.name} tool again with the complete, corrected input.`
+      }
+    );
+  }
+
+  const error = new StructuredOutputError(agent, tool.name, lastCheck.errors, lastCheck.payloadText);
+  if (context.runId) {
+    await runStore.recordOutputFailure(context.runId, {
+      agent,
+      tool: tool.name,
+      errors: lastCheck.errors,
+      payload: lastCheck.payloadText
+    }).catch(e => {
+      console.warn(`⚠️ Could not record output failure for run ${context.runId}: ${e.message}`);
+    });
+  }
+  throw error;
+}
+
+module.exports = {
+  StructuredOutputError,
+  complete,
+  completeStructured,
+  getAgentConfig,
+  estimateCost
+};
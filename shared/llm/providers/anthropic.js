@@ -0,0 +1,80 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Anthropic Messages API provider
+ */
+function createAnthropicProvider() {
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    // Retries are handled by the shared LLM client so every provider behaves the same
+    maxRetries: 0
+  });
+
+  async function complete({ model, system, messages, maxTokens, temperature, timeoutMs, signal, tool }) {
+    const params = {
+      model,
+      max_tokens: maxTokens,
+      messages
+    };
+    if (system) params.system = system;
+    if (temperature !== undefined) params.temperature = temperature;
+    if (tool) {
+      // Force a call to the one declared tool so the output is structured
+      params.tools = [{ name: tool.name, description: tool.description, input_schema: tool.schema }];
+      params.tool_choice = { type: 'tool', name: tool.name };
+    }
+
+    try {
+      const message = await client.messages.create(params, { timeout: timeoutMs, signal });
+      const text = message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const toolUse = message.content.find(block => block.type === 'tool_use');
+
+      return {
+        text,
+        toolPayload: toolUse ? toolUse.input : undefined,
+        stopReason: message.stop_reason,
+        usage: {
+          inputTokens: message.usage.input_tokens,
+          outputTokens: message.usage.output_tokens
+        }
+      };
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  }
+
+  return { name: 'anthropic', complete };
+}
+
+/**
+ * Attach the fields the retry logic looks at (status, retryAfterMs, timeout)
+ */
+function normalizeError(error) {
+  if (error instanceof Anthropic.APIUserAbortError) {
+    error.name = 'AbortError';
+    return error;
+  }
+
+  if (error instanceof Anthropic.APIConnectionTimeoutError) {
+    error.timeout = true;
+  }
+
+  if (error instanceof Anthropic.APIError) {
+    const retryAfter = error.headers && typeof error.headers.get === 'function'
+      ? error.headers.get('retry-after')
+      : null;
+    if (retryAfter && !Number.isNaN(Number(retryAfter))) {
+      error.retryAfterMs = Number(retryAfter) * 1000;
+    }
+    if (error.error && error.error.error && error.error.error.type === 'overloaded_error') {
+      error.overloaded = true;
+    }
+  }
+
+  return error;
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { isMockMode } = require('../../mocks');
+
+// Recorded responses used by MOCK_SERVICES=true when LLM_FIXTURES_DIR isn't set
+const MOCK_FIXTURES_DIR = path.join(__dirname, '..', '..', 'mocks', 'fixtures', 'llm');
+
+/**
+ * Deterministic fake provider for tests (LLM_PROVIDER=fake).
+ *
+ * Responses are taken, in order, from:
+ * 1. responses queued with queueResponse(agent, text)
+ * 2. the function set with setResponder(({ agent, system, messages }) => text)
+ * 3. the fixture file <LLM_FIXTURES_DIR>/<agent>.txt (shared/mocks/fixtures/llm in mock mode)
+ *
+ * Every request is kept in getRequests() so tests can assert on prompts.
+ */
+const queued = new Map();
+const requests = [];
+let responder = null;
+
+function queueResponse(agent, text) {
+  if (!queued.has(agent)) queued.set(agent, []);
+  queued.get(agent).push(text);
+}
+
+function setResponder(fn) {
+  responder = fn;
+}
+
+function getRequests() {
+  return requests;
+}
+
+function reset() {
+  queued.clear();
+  requests.length = 0;
+  responder = null;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+async function resolveResponse(request) {
+  const agentQueue = queued.get(request.agent);
+  if (agentQueue && agentQueue.length > 0) {
+    return agentQueue.shift();
+  }
+
+  if (responder) {
+    const text = await responder(request);
+    if (text !== undefined && text !== null) return text;
+  }
+
+  const fixturesDir = process.env.LLM_FIXTURES_DIR || (isMockMode() ? MOCK_FIXTURES_DIR : null);
+  if (fixturesDir) {
+    const fixturePath = path.join(fixturesDir, `${request.agent}.txt`);
+    if (fs.existsSync(fixturePath)) {
+      return fs.readFileSync(fixturePath, 'utf-8');
+    }
+  }
+
+  throw new Error(`No fake LLM response available for ${request.agent}`);
+}
+
+function createFakeProvider() {
+  async function complete({ agent, model, system, messages, tool }) {
+    const request = { agent, model, system, messages, tool };
+    requests.push(request);
+
+    const text = await resolveResponse(request);
+    const promptText = (system || '') + messages.map(m => typeof m.content === 'string' ? m.content : JSON.stringify(m.content)).join('');
+
+    return {
+      text,
+      // For tool calls the fake response text is the (JSON) tool input
+      toolPayload: tool ? text : undefined,
+      stopReason: tool ? 'tool_use' : 'end_turn',
+      usage: {
+        inputTokens: estimateTokens(promptText),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+
+  return { name: 'fake', complete };
+}
+
+module.exports = {
+  createFakeProvider,
+  queueResponse,
+  setResponder,
+  getRequests,
+  reset
+};
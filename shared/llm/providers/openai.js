@@ -0,0 +1,84 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-compatible Chat Completions provider.
+ * Works with OpenAI and with local servers that expose the same API
+ * (Ollama, vLLM, LM Studio) via LLM_BASE_URL.
+ */
+function createOpenAIProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+
+  async function complete({ model, system, messages, maxTokens, temperature, timeoutMs, signal, tool }) {
+    const payload = {
+      model,
+      max_tokens: maxTokens,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+    };
+    if (temperature !== undefined) payload.temperature = temperature;
+    if (tool) {
+      payload.tools = [{
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.schema }
+      }];
+      payload.tool_choice = { type: 'function', function: { name: tool.name } };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    try {
+      const response = await axios.post(`${baseUrl}/chat/completions`, payload, {
+        headers,
+        timeout: timeoutMs,
+        signal
+      });
+
+      const choice = response.data.choices[0];
+      const usage = response.data.usage || {};
+      const toolCall = (choice.message.tool_calls || [])[0];
+
+      return {
+        text: choice.message.content || '',
+        // Function arguments arrive as a JSON string; the shared client parses and validates them
+        toolPayload: toolCall ? toolCall.function.arguments : undefined,
+        stopReason: choice.finish_reason,
+        usage: {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  }
+
+  return { name: 'openai', complete };
+}
+
+function normalizeError(error) {
+  if (axios.isCancel(error)) {
+    error.name = 'AbortError';
+    return error;
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    error.timeout = true;
+  }
+
+  if (error.response) {
+    error.status = error.response.status;
+    const retryAfter = error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter && !Number.isNaN(Number(retryAfter))) {
+      error.retryAfterMs = Number(retryAfter) * 1000;
+    }
+    const apiMessage = error.response.data && error.response.data.error && error.response.data.error.message;
+    if (apiMessage) {
+      error.message = `${error.message}: ${apiMessage}`;
+    }
+  }
+
+  return error;
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Offline stand-in for `npx playwright` (MOCK_SERVICES=true).
+ *
+ * Supports `test` and `test --list`, with file filters and --grep. Finds the test()
+ * calls in the *.spec.ts files under ./tests and reports every one of them as passed, writing a
+ * JSON report in Playwright's format to PLAYWRIGHT_JSON_OUTPUT_FILE or PLAYWRIGHT_JSON_OUTPUT_NAME
+ * (default test-results/results.json), and a one-page HTML report to PLAYWRIGHT_HTML_OUTPUT_DIR
+ * (default playwright-report). No browser is started.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DIR = 'tests';
+const DEFAULT_PROJECT = 'chromium';
+
+// Options that take a value, which must not be mistaken for file filters
+const VALUE_OPTIONS = ['--config', '-c', '--retries', '--workers', '-j', '--timeout', '--output', '--reporter', '--max-failures'];
+
+function findSpecFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findSpecFiles(fullPath);
+    return /\.spec\.[jt]s$/.test(entry.name) ? [fullPath] : [];
+  });
+}
+
+// Tags from a `{ tag: '@x' }` or `{ tag: ['@x', '@y'] }` details argument on the line
+function parseTags(text) {
+  const details = text.match(/\{\s*tag:\s*([^}]*)\}/);
+  return details ? details[1].match(/@[\w-]+/g) || [] : [];
+}
+
+/**
+ * Collect { describe, title, tags, line, column } for each test in a spec file.
+ * Only one level of test.describe() is tracked, which is what the generated specs use.
+ */
+function parseSpec(content) {
+  const tests = [];
+  let describe = null;
+  let describeTags = [];
+
+  content.split('\n').forEach((text, index) => {
+    const describeMatch = text.match(/test\.describe\(\s*(['"`])(.+?)\1/);
+    if (describeMatch) {
+      describe = describeMatch[2];
+      describeTags = parseTags(text);
+      return;
+    }
+    const testMatch = text.match(/^(\s*)test(?:\.only)?\(\s*(['"`])(.+?)\2/);
+    if (testMatch) {
+      const tags = [...describeTags, ...parseTags(text)];
+      tests.push({ describe, title: testMatch[3], tags, line: index + 1, column: testMatch[1].length + 1 });
+    }
+  });
+
+  return tests;
+}
+
+/**
+ * { files, grep, projects, list } from the arguments after `test`. Like Playwright, each
+ * file filter is a regular expression matched against the spec's absolute path, and --grep
+ * is matched against the test's titles and tags. Every --project runs each test once more;
+ * --config and other options are accepted and ignored.
+ */
+function parseArgs(args) {
+  const options = { files: [], grep: null, projects: [], list: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--project') {
+      options.projects.push(args[++i]);
+    } else if (arg.startsWith('--project=')) {
+      options.projects.push(arg.slice('--project='.length));
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      i++;
+    } else if (arg === '--grep' || arg === '-g') {
+      options.grep = new RegExp(args[++i]);
+    } else if (arg.startsWith('--grep=')) {
+      options.grep = new RegExp(arg.slice('--grep='.length));
+    } else if (arg === '--list') {
+      options.list = true;
+    } else if (!arg.startsWith('-')) {
+      options.files.push(new RegExp(arg));
+    }
+  }
+  if (options.projects.length === 0) options.projects.push(DEFAULT_PROJECT);
+  return options;
+}
+
+function buildSpec(test, file, projects) {
+  return {
+    title: test.title,
+    ok: true,
+    tags: test.tags.map(tag => tag.slice(1)),
+    tests: projects.map(project => ({
+      timeout: 30000,
+      annotations: [],
+      expectedStatus: 'passed',
+      projectId: project,
+      projectName: project,
+      results: [{
+        workerIndex: 0,
+        status: 'passed',
+        duration: 5,
+        errors: [],
+        stdout: [],
+        stderr: [],
+        retry: 0,
+        startTime: new Date().toISOString(),
+        attachments: []
+      }],
+      status: 'expected'
+    })),
+    id: `${file}-${test.line}`,
+    file,
+    line: test.line,
+    column: test.column
+  };
+}
+
+function buildReport(specFiles, { grep = null, projects = [DEFAULT_PROJECT] } = {}) {
+  const suites = [];
+  let total = 0;
+
+  for (const fullPath of specFiles) {
+    const file = path.relative(TEST_DIR, fullPath).split(path.sep).join('/');
+    const tests = parseSpec(fs.readFileSync(fullPath, 'utf-8'))
+      .filter(test => !grep || grep.test([test.describe, test.title, ...test.tags].filter(Boolean).join(' ')));
+    if (tests.length === 0) continue;
+    total += tests.length * projects.length;
+
+    const fileSuite = { title: file, file, line: 0, column: 0, specs: [], suites: [] };
+    for (const test of tests) {
+      const spec = buildSpec(test, file, projects);
+      if (!test.describe) {
+        fileSuite.specs.push(spec);
+        continue;
+      }
+      let describeSuite = fileSuite.suites.find(s => s.title === test.describe);
+      if (!describeSuite) {
+        describeSuite = { title: test.describe, file, line: test.line, column: 1, specs: [] };
+        fileSuite.suites.push(describeSuite);
+      }
+      describeSuite.specs.push(spec);
+    }
+    suites.push(fileSuite);
+  }
+
+  return {
+    config: {
+      rootDir: path.resolve(TEST_DIR),
+      projects: projects.map(project => ({ id: project, name: project, testDir: path.resolve(TEST_DIR) }))
+    },
+    suites,
+    errors: [],
+    stats: {
+      startTime: new Date().toISOString(),
+      duration: total * 5,
+      expected: total,
+      skipped: 0,
+      unexpected: 0,
+      flaky: 0
+    }
+  };
+}
+
+function writeHtmlReport(report, outputDir) {
+  fs.mkdirSync(path.join(outputDir, 'data'), { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'data', 'report.json'), JSON.stringify(report.stats));
+  fs.writeFileSync(path.join(outputDir, 'index.html'),
+    `<!DOCTYPE html>\n<html><body><h1>Playwright report (fake-playwright)</h1><p>${report.stats.expected} passed</p></body></html>\n`);
+}
+
+function listTests(report) {
+  console.log('Listing tests:');
+  let count = 0;
+  const print = (suite, titles) => {
+    for (const spec of suite.specs) {
+      for (const test of spec.tests) {
+        console.log(`  [${test.projectName}] › ${spec.file}:${spec.line}:${spec.column} › ${[...titles, spec.title].join(' › ')}`);
+        count++;
+      }
+    }
+    (suite.suites || []).forEach(child => print(child, [...titles, child.title]));
+  };
+  report.suites.forEach(suite => print(suite, []));
+  console.log(`Total: ${count} test${count === 1 ? '' : 's'} in ${report.suites.length} file${report.suites.length === 1 ? '' : 's'}`);
+}
+
+function main(args) {
+  if (args[0] !== 'test') {
+    console.error(`fake-playwright: unsupported command "${args.join(' ')}"`);
+    return 1;
+  }
+
+  const options = parseArgs(args.slice(1));
+  const specFiles = findSpecFiles(TEST_DIR)
+    .filter(file => options.files.length === 0 || options.files.some(filter => filter.test(path.resolve(file))));
+  const report = buildReport(specFiles, options);
+
+  if (options.list) {
+    listTests(report);
+    return 0;
+  }
+
+  if (report.suites.length === 0) {
+    console.error('Error: No tests found');
+    return 1;
+  }
+
+  const outputFile = process.env.PLAYWRIGHT_JSON_OUTPUT_FILE || process.env.PLAYWRIGHT_JSON_OUTPUT_NAME || path.join('test-results', 'results.json');
+  fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(report, null, 2));
+  writeHtmlReport(report, process.env.PLAYWRIGHT_HTML_OUTPUT_DIR || process.env.PLAYWRIGHT_HTML_REPORT || 'playwright-report');
+
+  const { expected } = report.stats;
+  console.log(`\n  ${expected} passed (fake-playwright)`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,9 @@
+import { defineConfig } from '@playwright/test';
+
+export default defineConfig({
+  testDir: './tests',
+  reporter: [['html'], ['json', { outputFile: 'test-results/results.json' }]],
+  use: {
+    baseURL: 'https://www.saucedemo.com',
+  },
+});
@@ -0,0 +1,12 @@
+import { test, expect } from '@playwright/test';
+import { LoginPage } from '../pages/LoginPage';
+import { users } from '../testdata';
+
+test.describe('Login', () => {
+  test('should login with a standard user', async ({ page }) => {
+    const loginPage = new LoginPage(page);
+    await loginPage.open();
+    await loginPage.login(users.standard.username, users.standard.password);
+    await expect(page).toHaveURL(/inventory/);
+  });
+});
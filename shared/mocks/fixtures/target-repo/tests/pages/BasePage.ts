@@ -0,0 +1,9 @@
+import { Page } from '@playwright/test';
+
+export class BasePage {
+  constructor(protected readonly page: Page) {}
+
+  async goto(path: string) {
+    await this.page.goto(path);
+  }
+}
@@ -0,0 +1,23 @@
+import { Page } from '@playwright/test';
+import { BasePage } from './BasePage';
+
+export class LoginPage extends BasePage {
+  readonly username = this.page.locator('#user-name');
+  readonly password = this.page.locator('#password');
+  readonly loginButton = this.page.locator('#login-button');
+  readonly error = this.page.locator('[data-test="error"]');
+
+  constructor(page: Page) {
+    super(page);
+  }
+
+  async open() {
+    await this.goto('/');
+  }
+
+  async login(username: string, password: string) {
+    await this.username.fill(username);
+    await this.password.fill(password);
+    await this.loginButton.click();
+  }
+}
@@ -0,0 +1,6 @@
+export const users = {
+  standard: {
+    username: 'standard_user',
+    password: 'secret_sauce',
+  },
+};
@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const simpleGit = require('simple-git');
+
+/**
+ * Offline stand-in for the GitHub side of the agents (MOCK_SERVICES=true).
+ *
+ * The "remote" is a local bare repository, seeded from fixtures/target-repo
+ * unless MOCK_GIT_REMOTE points at an existing one. Pull requests are kept in
+ * memory and must reference a branch that was pushed to the bare remote.
+ */
+const FIXTURE_REPO = path.join(__dirname, 'fixtures', 'target-repo');
+const MOCK_HOST = 'https://github.mock';
+
+const pullRequests = [];
+let remotePath = null;
+let remoteReady = null;
+
+async function seedRemote(target) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-remote-seed-'));
+  try {
+    await fs.cp(FIXTURE_REPO, workDir, { recursive: true });
+
+    const git = simpleGit(workDir);
+    await git.init();
+    await git.raw(['symbolic-ref', 'HEAD', 'refs/heads/main']);
+    await git.addConfig('user.name', 'Mock GitHub');
+    await git.addConfig('user.email', 'mock-github@example.com');
+    await git.add('.');
+    await git.commit('Initial commit');
+
+    await simpleGit().clone(workDir, target, ['--bare']);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Path of the bare repository the agents clone from and push to.
+ * Created on first use.
+ */
+function getRemotePath() {
+  if (!remoteReady) {
+    if (process.env.MOCK_GIT_REMOTE) {
+      remotePath = process.env.MOCK_GIT_REMOTE;
+      remoteReady = Promise.resolve(remotePath);
+    } else {
+      remotePath = path.join(os.tmpdir(), `mock-github-remote-${process.pid}.git`);
+      remoteReady = fs.rm(remotePath, { recursive: true, force: true })
+        .then(() => seedRemote(remotePath))
+        .then(() => remotePath);
+      remoteReady.catch(() => { remoteReady = null; });
+    }
+  }
+  return remoteReady;
+}
+
+/**
+ * Branches currently in the bare remote
+ */
+async function listBranches() {
+  const remote = await getRemotePath();
+  const output = await simpleGit().listRemote(['--heads', remote]);
+  return output.split('\n')
+    .filter(Boolean)
+    .map(line => line.split('refs/heads/')[1]);
+}
+
+/**
+ * Branch the bare remote's HEAD points at (GitHub's default_branch)
+ */
+async function getDefaultBranch() {
+  const remote = await getRemotePath();
+  return (await simpleGit(remote).raw(['symbolic-ref', '--short', 'HEAD'])).trim();
+}
+
+/**
+ * Record a pull request. Mirrors the GitHub API response fields the agents use.
+ */
+async function createPullRequest(owner, repo, payload) {
+  const branches = await listBranches();
+  for (const ref of [payload.head, payload.base]) {
+    if (!branches.includes(ref)) {
+      const error = new Error(`Request failed with status code 422 (branch "${ref}" not found)`);
+      error.response = { status: 422, data: { message: 'Validation Failed', errors: [{ field: 'head', code: 'invalid' }] } };
+      throw error;
+    }
+  }
+
+  const number = pullRequests.length + 1;
+  const pullRequest = {
+    number,
+    owner,
+    repo,
+    state: 'open',
+    draft: false,
+    html_url: `${MOCK_HOST}/${owner}/${repo}/pull/${number}`,
+    // Full name of the repository the head branch is in (another one for a fork's PR)
+    head_repo: `${owner}/${repo}`,
+    requested_reviewers: [],
+    requested_teams: [],
+    labels: [],
+    comments: [],
+    ...payload
+  };
+  pullRequests.push(pullRequest);
+  return pullRequest;
+}
+
+function findPullRequest(owner, repo, number) {
+  const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === number);
+  if (!pullRequest) {
+    const error = new Error('Request failed with status code 404');
+    error.response = { status: 404, data: { message: 'Not Found' } };
+    throw error;
+  }
+  return pullRequest;
+}
+
+/**
+ * Request reviews on a pull request ({ reviewers, team_reviewers } as in the GitHub API)
+ */
+async function requestReviewers(owner, repo, number, { reviewers = [], team_reviewers = [] }) {
+  const pullRequest = findPullRequest(owner, repo, number);
+  pullRequest.requested_reviewers.push(...reviewers);
+  pullRequest.requested_teams.push(...team_reviewers);
+  return pullRequest;
+}
+
+/**
+ * Close a pull request, as if someone closed or merged it on GitHub
+ */
+function closePullRequest(number, { merged = false } = {}) {
+  const pullRequest = pullRequests.find(pr => pr.number === number);
+  pullRequest.state = 'closed';
+  pullRequest.merged = merged;
+  return pullRequest;
+}
+
+/**
+ * Comment on a pull request
+ */
+async function addComment(owner, repo, number, body) {
+  const pullRequest = findPullRequest(owner, repo, number);
+  pullRequest.comments.push({ body, created_at: new Date().toISOString() });
+  return pullRequest;
+}
+
+/**
+ * Add labels to a pull request
+ */
+async function addLabels(owner, repo, number, labels) {
+  const pullRequest = findPullRequest(owner, repo, number);
+  pullRequest.labels.push(...labels.filter(label => !pullRequest.labels.includes(label)));
+  return pullRequest;
+}
+
+function getPullRequests() {
+  return pullRequests;
+}
+
+/**
+ * Forget recorded pull requests and recreate the remote from the fixture on next use
+ */
+async function reset() {
+  pullRequests.length = 0;
+  if (remoteReady && !process.env.MOCK_GIT_REMOTE) {
+    await remoteReady.catch(() => { });
+    await fs.rm(remotePath, { recursive: true, force: true });
+  }
+  remoteReady = null;
+  remotePath = null;
+}
+
+module.exports = {
+  MOCK_HOST,
+  getRemotePath,
+  listBranches,
+  getDefaultBranch,
+  createPullRequest,
+  requestReviewers,
+  addLabels,
+  addComment,
+  closePullRequest,
+  getPullRequests,
+  reset
+};
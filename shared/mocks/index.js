@@ -0,0 +1,16 @@
+/**
+ * Offline stand-ins for Jira, GitHub, the LLM provider and the Playwright runner.
+ *
+ * Enabled with MOCK_SERVICES=true, which must be set before the agents are loaded:
+ * - Jira: in-memory issues, comments and attachments (./jira.js)
+ * - GitHub: a local bare git repository as the remote and in-memory PRs (./github.js)
+ * - LLM: the fake provider replaying ./fixtures/llm/<agent>.txt
+ * - Playwright: ./fake-playwright.js, which "passes" every test it finds
+ */
+function isMockMode() {
+  return process.env.MOCK_SERVICES === 'true';
+}
+
+module.exports = {
+  isMockMode
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const fixtureIssues = require('./fixtures/jira-issues.json');
+
+/**
+ * In-memory stand-in for the jira-client API (MOCK_SERVICES=true).
+ *
+ * Implements the subset of JiraClient that jira-utils uses, plus helpers to
+ * seed issues and inspect what the agents wrote back. Starts with the issues
+ * in fixtures/jira-issues.json.
+ */
+const MOCK_HOST = 'jira.mock';
+
+const issues = new Map();
+const comments = new Map();
+const attachments = new Map();
+let nextAttachmentId = 10000;
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', custom: false },
+  { id: 'description', name: 'Description', custom: false },
+  { id: 'labels', name: 'Labels', custom: false },
+  { id: 'customfield_10035', name: 'Acceptance Criteria', custom: true },
+  { id: 'customfield_10100', name: 'Test Type', custom: true },
+  { id: 'customfield_10101', name: 'Manual Test Steps', custom: true }
+];
+
+const TRANSITIONS = [
+  { id: '11', name: 'To Do', to: { name: 'To Do' } },
+  { id: '21', name: 'In Progress', to: { name: 'In Progress' } },
+  { id: '31', name: 'Done', to: { name: 'Done' } }
+];
+
+function notFound(issueKey) {
+  const error = new Error(`404 - {"errorMessages":["Issue ${issueKey} does not exist"]}`);
+  error.statusCode = 404;
+  return error;
+}
+
+function requireIssue(issueKey) {
+  const issue = issues.get(issueKey);
+  if (!issue) throw notFound(issueKey);
+  return issue;
+}
+
+/**
+ * Add or replace an issue. Accepts the webhook/REST shape ({ key, fields }).
+ */
+function seedIssue(issue) {
+  const [projectKey] = issue.key.split('-');
+  const stored = {
+    id: issue.id || String(10000 + issues.size),
+    key: issue.key,
+    fields: {
+      summary: '',
+      description: null,
+      labels: [],
+      components: [],
+      attachment: [],
+      issuelinks: [],
+      issuetype: { name: 'Story' },
+      project: { key: projectKey },
+      status: { name: 'To Do' },
+      ...issue.fields
+    }
+  };
+  issues.set(issue.key, stored);
+  return JSON.parse(JSON.stringify(stored));
+}
+
+function nextIssueKey(projectKey) {
+  const numbers = [...issues.keys()]
+    .filter(key => key.startsWith(`${projectKey}-`))
+    .map(key => parseInt(key.split('-')[1], 10));
+  return `${projectKey}-${Math.max(100, ...numbers) + 1}`;
+}
+
+/**
+ * The JQL the agents use: "labels in (...)" / "labels = ...", optionally
+ * combined with "project = ..." using AND. Anything else is rejected.
+ */
+function matchJql(jql) {
+  const clauses = jql.split(/\s+AND\s+/i).map(clause => clause.trim());
+  const matchers = clauses.map(clause => {
+    const values = text => text.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+    let match = clause.match(/^labels\s+in\s*\((.*)\)$/i) || clause.match(/^labels\s*=\s*(.+)$/i);
+    if (match) {
+      const labels = values(match[1]);
+      return issue => (issue.fields.labels || []).some(label => labels.includes(label));
+    }
+    match = clause.match(/^project\s*=\s*(.+)$/i);
+    if (match) {
+      const [projectKey] = values(match[1]);
+      return issue => issue.fields.project.key === projectKey;
+    }
+    throw new Error(`400 - Mock Jira does not support JQL clause: ${clause}`);
+  });
+  return issue => matchers.every(matches => matches(issue));
+}
+
+function getComments(issueKey) {
+  return comments.get(issueKey) || [];
+}
+
+function getAttachments(issueKey) {
+  return attachments.get(issueKey) || [];
+}
+
+/**
+ * Store an uploaded file, as jira-utils.uploadAttachment would on Jira
+ */
+function addAttachment(issueKey, filePath, filename) {
+  requireIssue(issueKey);
+  if (!attachments.has(issueKey)) attachments.set(issueKey, []);
+  const content = fs.readFileSync(filePath);
+  const id = String(nextAttachmentId++);
+  const attachment = {
+    id,
+    filename,
+    size: content.length,
+    created: new Date().toISOString(),
+    url: `https://${MOCK_HOST}/secure/attachment/${id}/${encodeURIComponent(filename)}`,
+    content
+  };
+  attachments.get(issueKey).push(attachment);
+  return attachment;
+}
+
+/**
+ * Remove an attachment from whichever issue it is on
+ */
+function deleteAttachment(attachmentId) {
+  for (const list of attachments.values()) {
+    const index = list.findIndex(attachment => attachment.id === String(attachmentId));
+    if (index !== -1) {
+      list.splice(index, 1);
+      return;
+    }
+  }
+  const error = new Error(`404 - Attachment ${attachmentId} does not exist`);
+  error.statusCode = 404;
+  throw error;
+}
+
+/**
+ * Drop everything written so far and restore the fixture issues
+ */
+function reset() {
+  issues.clear();
+  comments.clear();
+  attachments.clear();
+  fixtureIssues.forEach(seedIssue);
+}
+
+function getIssues() {
+  return [...issues.values()].map(issue => JSON.parse(JSON.stringify(issue)));
+}
+
+const client = {
+  async findIssue(issueKey) {
+    return JSON.parse(JSON.stringify(requireIssue(issueKey)));
+  },
+
+  async searchJira(jql, { maxResults = 50 } = {}) {
+    const matches = [...issues.values()].filter(matchJql(jql));
+    return {
+      total: matches.length,
+      issues: matches.slice(0, maxResults).map(issue => JSON.parse(JSON.stringify(issue)))
+    };
+  },
+
+  async addNewIssue({ fields }) {
+    const key = nextIssueKey(fields.project.key);
+    const issue = seedIssue({ key, fields: { ...fields, project: { key: fields.project.key } } });
+    return { id: issue.id, key };
+  },
+
+  async issueLink({ type, inwardIssue, outwardIssue }) {
+    const inward = requireIssue(inwardIssue.key);
+    const outward = requireIssue(outwardIssue.key);
+    inward.fields.issuelinks.push({ type: { name: type.name }, outwardIssue: { key: outward.key } });
+    outward.fields.issuelinks.push({ type: { name: type.name }, inwardIssue: { key: inward.key } });
+  },
+
+  async addComment(issueKey, body) {
+    requireIssue(issueKey);
+    if (!comments.has(issueKey)) comments.set(issueKey, []);
+    const comment = { id: String(Date.now()), body, created: new Date().toISOString() };
+    comments.get(issueKey).push(comment);
+    return comment;
+  },
+
+  async updateIssue(issueKey, { fields = {} }) {
+    const issue = requireIssue(issueKey);
+    Object.assign(issue.fields, fields);
+  },
+
+  async listFields() {
+    return FIELDS;
+  },
+
+  async listTransitions(issueKey) {
+    requireIssue(issueKey);
+    return { transitions: TRANSITIONS };
+  },
+
+  async transitionIssue(issueKey, { transition }) {
+    const issue = requireIssue(issueKey);
+    const match = TRANSITIONS.find(t => t.id === transition.id);
+    if (!match) throw new Error(`400 - Transition ${transition.id} is not valid`);
+    issue.fields.status = { name: match.to.name };
+  }
+};
+
+reset();
+
+module.exports = {
+  MOCK_HOST,
+  client,
+  seedIssue,
+  getIssues,
+  getComments,
+  getAttachments,
+  addAttachment,
+  deleteAttachment,
+  reset
+};
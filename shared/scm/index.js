@@ -0,0 +1,71 @@
+const { createGitHubProvider } = require('./providers/github.js');
+const { createGitLabProvider } = require('./providers/gitlab.js');
+const { createBitbucketCloudProvider } = require('./providers/bitbucket-cloud.js');
+const { createBitbucketServerProvider } = require('./providers/bitbucket-server.js');
+const { parseRepoUrl } = require('./repo-url.js');
+const { getRepoConfig } = require('../utils/repo-config.js');
+const { isMockMode } = require('../mocks');
+const githubMock = require('../mocks/github.js');
+
+const PROVIDER_FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  'bitbucket-cloud': createBitbucketCloudProvider,
+  'bitbucket-server': createBitbucketServerProvider
+};
+
+const MOCK_REPO_URL = `${githubMock.MOCK_HOST}/mock-org/playwright-tests.git`;
+
+/**
+ * URL of the Playwright repository the agents push tests to
+ */
+function getTargetRepoUrl() {
+  return process.env.TARGET_REPO_URL || (isMockMode() ? MOCK_REPO_URL : undefined);
+}
+
+/**
+ * Provider name for a repository URL: bitbucket.org is Bitbucket Cloud, "scm/" and
+ * "projects/X/repos/" paths or a bitbucket host are Bitbucket Server, a gitlab host is
+ * GitLab, and anything else is GitHub (including GitHub Enterprise)
+ */
+function detectProvider(repoUrl) {
+  const { host, path } = parseRepoUrl(repoUrl);
+  if (host === 'bitbucket.org') return 'bitbucket-cloud';
+  if (/(^|\/)scm\/[^/]+\/[^/]+$/.test(path) || /(^|\/)projects\/[^/]+\/repos\//.test(path) || host.includes('bitbucket')) {
+    return 'bitbucket-server';
+  }
+  if (host.includes('gitlab')) return 'gitlab';
+  return 'github';
+}
+
+/**
+ * Source control provider for the target repository (TARGET_REPO_URL by default).
+ * The repository's "scm" config section (shared/config/target-repos.json) can set
+ * "provider" (github, gitlab, bitbucket-cloud or bitbucket-server) when the URL doesn't
+ * tell, and "apiUrl" for an API that isn't at the usual place for the host.
+ *
+ * Every provider has getAuthRemote() (git remote to clone from and push branches to),
+ * getDefaultBranch(), createPullRequest({ title, head, base, body, draft, reviewers,
+ * teamReviewers, labels }) -> { id, url }, listOpenPullRequests() -> [{ id, url, head, base,
+ * fromFork }] (all of them, across every page of the API; fromFork is true when the head
+ * branch is in another repository, so it can't be checked out from the target repository)
+ * and commentOnPullRequest(id, body).
+ */
+function getScmProvider(repoUrl = getTargetRepoUrl()) {
+  if (!repoUrl) {
+    throw new Error('TARGET_REPO_URL is not set');
+  }
+
+  const config = getRepoConfig(repoUrl).scm || {};
+  const name = config.provider || detectProvider(repoUrl);
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown SCM provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  return PROVIDER_FACTORIES[name](repoUrl, { apiUrl: config.apiUrl });
+}
+
+module.exports = {
+  getTargetRepoUrl,
+  detectProvider,
+  getScmProvider
+};
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const { parseRepoUrl, withCredentials } = require('../repo-url.js');
+
+/**
+ * Bitbucket Cloud (bitbucket.org) pull requests.
+ * Credentials: BITBUCKET_USERNAME with an app password in BITBUCKET_TOKEN, or just
+ * BITBUCKET_TOKEN holding a repository or workspace access token.
+ */
+function createBitbucketCloudProvider(repoUrl, options = {}) {
+  const { origin, path } = parseRepoUrl(repoUrl);
+  const [workspace, repo] = path.split('/').slice(-2);
+  const username = options.username || process.env.BITBUCKET_USERNAME;
+  const token = options.token || process.env.BITBUCKET_TOKEN;
+  const http = options.http || axios;
+
+  const apiUrl = (options.apiUrl || 'https://api.bitbucket.org/2.0').replace(/\/$/, '');
+  const repoApi = `${apiUrl}/repositories/${workspace}/${repo}`;
+  const headers = username
+    ? { 'Authorization': `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}` }
+    : { 'Authorization': `Bearer ${token}` };
+
+  async function getAuthRemote() {
+    return withCredentials(`${origin}/${workspace}/${repo}.git`, username || 'x-token-auth', token);
+  }
+
+  async function getDefaultBranch() {
+    const response = await http.get(repoApi, { headers });
+    return response.data.mainbranch.name;
+  }
+
+  async function createPullRequest({ title, head, base, body, draft = false, reviewers = [], teamReviewers = [], labels = [] }) {
+    if (teamReviewers.length > 0 || labels.length > 0) {
+      console.warn('⚠️ Bitbucket Cloud pull requests have no team reviewers or labels, ignoring them');
+    }
+
+    const payload = {
+      title,
+      description: body,
+      source: { branch: { name: head } },
+      destination: { branch: { name: base } },
+      draft,
+      // Reviewers are account ids, or uuids in braces
+      reviewers: reviewers.map(reviewer => (reviewer.startsWith('{') ? { uuid: reviewer } : { account_id: reviewer }))
+    };
+
+    const response = await http.post(`${repoApi}/pullrequests`, payload, { headers });
+    return { id: response.data.id, url: response.data.links.html.href };
+  }
+
+  async function listOpenPullRequests() {
+    const pullRequests = [];
+    let response = await http.get(`${repoApi}/pullrequests`, { headers, params: { state: 'OPEN', pagelen: 50 } });
+    for (;;) {
+      pullRequests.push(...response.data.values.map(pr => ({
+        id: pr.id,
+        url: pr.links.html.href,
+        head: pr.source.branch.name,
+        base: pr.destination.branch.name,
+        // The source repository is null once the fork is deleted
+        fromFork: !pr.source.repository || pr.source.repository.full_name !== pr.destination.repository.full_name
+      })));
+      // "next" is the full URL of the following page, query included
+      if (!response.data.next) return pullRequests;
+      response = await http.get(response.data.next, { headers });
+    }
+  }
+
+  async function commentOnPullRequest(id, body) {
+    await http.post(`${repoApi}/pullrequests/${id}/comments`, { content: { raw: body } }, { headers });
+  }
+
+  return {
+    name: 'bitbucket-cloud',
+    displayName: 'Bitbucket Cloud',
+    getAuthRemote,
+    getDefaultBranch,
+    createPullRequest,
+    listOpenPullRequests,
+    commentOnPullRequest
+  };
+}
+
+module.exports = { createBitbucketCloudProvider };
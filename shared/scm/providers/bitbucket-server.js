@@ -0,0 +1,94 @@
+const axios = require('axios');
+const { parseRepoUrl, withCredentials } = require('../repo-url.js');
+
+/**
+ * Project key, repository slug and context path (e.g. "/bitbucket") from a Bitbucket
+ * Server clone URL (.../scm/PROJ/repo.git) or browse URL (.../projects/PROJ/repos/repo/browse)
+ */
+function parseServerPath(repoPath) {
+  const match = repoPath.match(/^(.*?)\/?scm\/([^/]+)\/([^/]+)$/)
+    || repoPath.match(/^(.*?)\/?projects\/([^/]+)\/repos\/([^/]+)(?:\/.*)?$/);
+  if (!match) {
+    throw new Error(`Not a Bitbucket Server repository URL path: ${repoPath} (expected .../scm/PROJECT/repo.git)`);
+  }
+  return { contextPath: match[1] ? `/${match[1]}` : '', project: match[2], repo: match[3] };
+}
+
+/**
+ * Bitbucket Server / Data Center pull requests.
+ * Credentials: BITBUCKET_USERNAME with a password or HTTP access token in BITBUCKET_TOKEN
+ * (basic auth), or just BITBUCKET_TOKEN holding an HTTP access token (bearer auth).
+ */
+function createBitbucketServerProvider(repoUrl, options = {}) {
+  const { origin, path } = parseRepoUrl(repoUrl);
+  const { contextPath, project, repo } = parseServerPath(path);
+  const username = options.username || process.env.BITBUCKET_USERNAME;
+  const token = options.token || process.env.BITBUCKET_TOKEN;
+  const http = options.http || axios;
+
+  const apiUrl = (options.apiUrl || `${origin}${contextPath}/rest/api/1.0`).replace(/\/$/, '');
+  const repoApi = `${apiUrl}/projects/${project}/repos/${repo}`;
+  const headers = username
+    ? { 'Authorization': `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}` }
+    : { 'Authorization': `Bearer ${token}` };
+
+  async function getAuthRemote() {
+    return withCredentials(`${origin}${contextPath}/scm/${project}/${repo}.git`, username || 'x-token-auth', token);
+  }
+
+  async function getDefaultBranch() {
+    const response = await http.get(`${repoApi}/branches/default`, { headers });
+    return response.data.displayId;
+  }
+
+  async function createPullRequest({ title, head, base, body, draft = false, reviewers = [], teamReviewers = [], labels = [] }) {
+    if (teamReviewers.length > 0 || labels.length > 0) {
+      console.warn('⚠️ Bitbucket Server pull requests have no team reviewers or labels, ignoring them');
+    }
+
+    const payload = {
+      title,
+      description: body,
+      fromRef: { id: `refs/heads/${head}` },
+      toRef: { id: `refs/heads/${base}` },
+      reviewers: reviewers.map(name => ({ user: { name } }))
+    };
+    // Drafts need Bitbucket 8.18 or later; older versions reject the field
+    if (draft) payload.draft = true;
+
+    const response = await http.post(`${repoApi}/pull-requests`, payload, { headers });
+    return { id: response.data.id, url: response.data.links.self[0].href };
+  }
+
+  async function listOpenPullRequests() {
+    const pullRequests = [];
+    for (let start = 0; ;) {
+      const response = await http.get(`${repoApi}/pull-requests`, { headers, params: { state: 'OPEN', limit: 100, start } });
+      pullRequests.push(...response.data.values.map(pr => ({
+        id: pr.id,
+        url: pr.links.self[0].href,
+        head: pr.fromRef.displayId,
+        base: pr.toRef.displayId,
+        fromFork: pr.fromRef.repository.id !== pr.toRef.repository.id
+      })));
+      if (response.data.isLastPage !== false) return pullRequests;
+      start = response.data.nextPageStart;
+    }
+  }
+
+  async function commentOnPullRequest(id, body) {
+    await http.post(`${repoApi}/pull-requests/${id}/comments`, { text: body }, { headers });
+  }
+
+  return {
+    name: 'bitbucket-server',
+    displayName: 'Bitbucket Server',
+    getAuthRemote,
+    getDefaultBranch,
+    createPullRequest,
+    listOpenPullRequests,
+    commentOnPullRequest
+  };
+}
+
+module.exports = { createBitbucketServerProvider };
@@ -0,0 +1,117 @@
+const axios = require('axios');
+const { isMockMode } = require('../../mocks');
+const githubMock = require('../../mocks/github.js');
+const { parseRepoUrl, withCredentials } = require('../repo-url.js');
+
+const PAGE_SIZE = 100;
+
+/**
+ * GitHub (github.com or GitHub Enterprise Server) pull requests.
+ * Credentials: GITHUB_USERNAME and GITHUB_TOKEN. With MOCK_SERVICES=true the offline
+ * GitHub mock stands in for both the git remote and the API.
+ */
+function createGitHubProvider(repoUrl, options = {}) {
+  const { host, origin, path } = parseRepoUrl(repoUrl);
+  const [owner, repo] = path.split('/').slice(-2);
+  const username = options.username || process.env.GITHUB_USERNAME;
+  const token = options.token || process.env.GITHUB_TOKEN;
+  const http = options.http || axios;
+  const mock = !options.http && isMockMode();
+
+  const apiUrl = (options.apiUrl || (host === 'github.com' ? 'https://api.github.com' : `${origin}/api/v3`)).replace(/\/$/, '');
+  const repoApi = `${apiUrl}/repos/${owner}/${repo}`;
+  const headers = {
+    'Authorization': `token ${token}`,
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  async function getAuthRemote() {
+    return mock ? githubMock.getRemotePath() : withCredentials(`${origin}/${path}.git`, username, token);
+  }
+
+  async function getDefaultBranch() {
+    if (mock) return githubMock.getDefaultBranch();
+    const response = await http.get(repoApi, { headers });
+    return response.data.default_branch;
+  }
+
+  // Reviewers and labels are extras: failures (e.g. an unknown reviewer) are logged and the PR is kept
+  async function decorate(number, { reviewers, teamReviewers, labels }) {
+    if (reviewers.length > 0 || teamReviewers.length > 0) {
+      const body = { reviewers, team_reviewers: teamReviewers };
+      try {
+        if (mock) {
+          await githubMock.requestReviewers(owner, repo, number, body);
+        } else {
+          await http.post(`${repoApi}/pulls/${number}/requested_reviewers`, body, { headers });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not request reviewers on PR #${number}: ${error.message}`);
+      }
+    }
+
+    if (labels.length > 0) {
+      try {
+        if (mock) {
+          await githubMock.addLabels(owner, repo, number, labels);
+        } else {
+          await http.post(`${repoApi}/issues/${number}/labels`, { labels }, { headers });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not add labels to PR #${number}: ${error.message}`);
+      }
+    }
+  }
+
+  async function createPullRequest({ title, head, base, body, draft = false, reviewers = [], teamReviewers = [], labels = [] }) {
+    const payload = { title, head, base, body, draft };
+    const pullRequest = mock
+      ? await githubMock.createPullRequest(owner, repo, payload)
+      : (await http.post(`${repoApi}/pulls`, payload, { headers })).data;
+
+    await decorate(pullRequest.number, { reviewers, teamReviewers, labels });
+    return { id: pullRequest.number, url: pullRequest.html_url };
+  }
+
+  async function listOpenPullRequests() {
+    if (mock) {
+      return githubMock.getPullRequests()
+        .filter(pr => pr.owner === owner && pr.repo === repo && pr.state === 'open')
+        .map(pr => ({ id: pr.number, url: pr.html_url, head: pr.head, base: pr.base, fromFork: pr.head_repo !== `${owner}/${repo}` }));
+    }
+    // Every page: the PR being looked for can be anywhere in a busy repository
+    const pullRequests = [];
+    for (let page = 1; ; page++) {
+      const response = await http.get(`${repoApi}/pulls`, { headers, params: { state: 'open', per_page: PAGE_SIZE, page } });
+      pullRequests.push(...response.data.map(pr => ({
+        id: pr.number,
+        url: pr.html_url,
+        head: pr.head.ref,
+        base: pr.base.ref,
+        // head.repo is null once the fork is deleted
+        fromFork: !pr.head.repo || pr.head.repo.full_name !== pr.base.repo.full_name
+      })));
+      if (response.data.length < PAGE_SIZE) return pullRequests;
+    }
+  }
+
+  async function commentOnPullRequest(id, body) {
+    if (mock) {
+      await githubMock.addComment(owner, repo, id, body);
+      return;
+    }
+    await http.post(`${repoApi}/issues/${id}/comments`, { body }, { headers });
+  }
+
+  return {
+    name: 'github',
+    displayName: 'GitHub',
+    getAuthRemote,
+    getDefaultBranch,
+    createPullRequest,
+    listOpenPullRequests,
+    commentOnPullRequest
+  };
+}
+
+module.exports = { createGitHubProvider };
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { parseRepoUrl, withCredentials } = require('../repo-url.js');
+
+const PAGE_SIZE = 100;
+
+/**
+ * GitLab (gitlab.com or self-managed) merge requests.
+ * Credentials: GITLAB_TOKEN, a personal, project or group access token with the api
+ * and write_repository scopes.
+ */
+function createGitLabProvider(repoUrl, options = {}) {
+  const { origin, path } = parseRepoUrl(repoUrl);
+  const token = options.token || process.env.GITLAB_TOKEN;
+  const http = options.http || axios;
+
+  const apiUrl = (options.apiUrl || `${origin}/api/v4`).replace(/\/$/, '');
+  const projectApi = `${apiUrl}/projects/${encodeURIComponent(path)}`;
+  const headers = { 'PRIVATE-TOKEN': token };
+
+  async function getAuthRemote() {
+    return withCredentials(`${origin}/${path}.git`, 'oauth2', token);
+  }
+
+  async function getDefaultBranch() {
+    const response = await http.get(projectApi, { headers });
+    return response.data.default_branch;
+  }
+
+  // GitLab takes reviewers as user ids; unknown usernames are logged and skipped
+  async function findUserIds(usernames) {
+    const ids = [];
+    for (const username of usernames) {
+      try {
+        const response = await http.get(`${apiUrl}/users`, { headers, params: { username } });
+        if (response.data.length > 0) {
+          ids.push(response.data[0].id);
+        } else {
+          console.warn(`⚠️ GitLab user ${username} not found, not adding them as a reviewer`);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not look up GitLab user ${username}: ${error.message}`);
+      }
+    }
+    return ids;
+  }
+
+  async function createPullRequest({ title, head, base, body, draft = false, reviewers = [], teamReviewers = [], labels = [] }) {
+    if (teamReviewers.length > 0) {
+      console.warn('⚠️ GitLab merge requests have no team reviewers, ignoring teamReviewers');
+    }
+
+    const payload = {
+      source_branch: head,
+      target_branch: base,
+      title: draft ? `Draft: ${title}` : title,
+      description: body
+    };
+    if (labels.length > 0) payload.labels = labels.join(',');
+    if (reviewers.length > 0) payload.reviewer_ids = await findUserIds(reviewers);
+
+    const response = await http.post(`${projectApi}/merge_requests`, payload, { headers });
+    return { id: response.data.iid, url: response.data.web_url };
+  }
+
+  async function listOpenPullRequests() {
+    const mergeRequests = [];
+    for (let page = 1; ; page++) {
+      const response = await http.get(`${projectApi}/merge_requests`, { headers, params: { state: 'opened', per_page: PAGE_SIZE, page } });
+      mergeRequests.push(...response.data.map(mr => ({
+        id: mr.iid,
+        url: mr.web_url,
+        head: mr.source_branch,
+        base: mr.target_branch,
+        fromFork: mr.source_project_id !== mr.target_project_id
+      })));
+      if (response.data.length < PAGE_SIZE) return mergeRequests;
+    }
+  }
+
+  async function commentOnPullRequest(id, body) {
+    await http.post(`${projectApi}/merge_requests/${id}/notes`, { body }, { headers });
+  }
+
+  return {
+    name: 'gitlab',
+    displayName: 'GitLab',
+    getAuthRemote,
+    getDefaultBranch,
+    createPullRequest,
+    listOpenPullRequests,
+    commentOnPullRequest
+  };
+}
+
+module.exports = { createGitLabProvider };
@@ -0,0 +1,44 @@
+/**
+ * Split a repository URL into its parts, e.g.
+ * https://gitlab.example.com/group/sub/repo.git ->
+ *   { host: 'gitlab.example.com', origin: 'https://gitlab.example.com', path: 'group/sub/repo' }
+ * SSH URLs (git@host:group/repo.git) are accepted too; origin is then https://host.
+ */
+function parseRepoUrl(repoUrl) {
+  const ssh = repoUrl.match(/^[\w.-]+@([^:/]+):(.+)$/);
+  if (ssh) {
+    return { host: ssh[1], origin: `https://${ssh[1]}`, path: trimPath(ssh[2]) };
+  }
+
+  const url = new URL(repoUrl);
+  return { host: url.hostname, origin: `${url.protocol}//${url.host}`, path: trimPath(url.pathname) };
+}
+
+function trimPath(repoPath) {
+  return repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+}
+
+/**
+ * Key a repository is configured under in shared/config/target-repos.json: its path,
+ * e.g. "owner/repo", "group/sub/repo", or "PROJECT/repo" for Bitbucket Server "scm/" URLs
+ */
+function getRepoKey(repoUrl) {
+  return parseRepoUrl(repoUrl).path.replace(/^(?:.*\/)?scm\//, '');
+}
+
+/**
+ * HTTPS remote for cloning and pushing with credentials embedded
+ */
+function withCredentials(remoteUrl, username, password) {
+  const url = new URL(remoteUrl);
+  // The URL setters percent-encode the credentials
+  url.username = username || '';
+  url.password = password || '';
+  return url.toString();
+}
+
+module.exports = {
+  parseRepoUrl,
+  getRepoKey,
+  withCredentials
+};
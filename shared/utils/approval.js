@@ -0,0 +1,160 @@
+const { toMarkdown } = require('./rich-text.js');
+
+/**
+ * Human-in-the-loop approval between agents.
+ *
+ * APPROVAL_MODE:
+ * - off (default): the workflow runs straight through
+ * - test-cases: pause after Agent 1 until the test cases are approved
+ * - all: pause after Agent 1 and again after Agent 2 (before the tests are executed)
+ *
+ * A paused run resumes when a reviewer comments "approve" or "reject: <feedback>"
+ * on the issue, transitions it to one of APPROVAL_APPROVE_STATUSES /
+ * APPROVAL_REJECT_STATUSES, or calls POST /runs/:id/approve or /runs/:id/reject.
+ * Rejection regenerates the paused step with the feedback.
+ */
+const APPROVAL_MODES = ['off', 'test-cases', 'all'];
+
+// Steps each mode pauses after
+const STEPS_BY_MODE = {
+  off: [],
+  'test-cases': ['agent1'],
+  all: ['agent1', 'agent2']
+};
+
+const STEP_NAMES = {
+  agent1: 'test cases',
+  agent2: 'Playwright scripts'
+};
+
+function statusList(name, defaultValue) {
+  return (process.env[name] || defaultValue)
+    .split(',')
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getApprovalConfig() {
+  const mode = (process.env.APPROVAL_MODE || 'off').toLowerCase();
+  if (!APPROVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown APPROVAL_MODE "${mode}". Use one of: ${APPROVAL_MODES.join(', ')}`);
+  }
+
+  return {
+    mode,
+    steps: STEPS_BY_MODE[mode],
+    approveStatuses: statusList('APPROVAL_APPROVE_STATUSES', 'Approved'),
+    rejectStatuses: statusList('APPROVAL_REJECT_STATUSES', 'Changes Requested')
+  };
+}
+
+/**
+ * Whether the workflow pauses for approval after an agent step
+ */
+function requiresApproval(step) {
+  return getApprovalConfig().steps.includes(step);
+}
+
+/**
+ * Read an approval decision from a Jira comment body (wiki markup or ADF).
+ * "approve" / "approved" approves; "reject" / "rejected" rejects, with any text
+ * after it as feedback. Returns { decision, feedback } or null.
+ */
+function parseApprovalComment(body) {
+  // Tolerate formatting around the keyword, e.g. *approve*
+  const text = toMarkdown(body).trim().replace(/^[*_\s]+/, '');
+
+  if (/^approved?\b/i.test(text)) {
+    return { decision: 'approved', feedback: null };
+  }
+
+  const rejection = text.match(/^reject(?:ed)?\b[*_]*[\s:,-]*([\s\S]*)$/i);
+  if (rejection) {
+    return { decision: 'rejected', feedback: rejection[1].trim() || null };
+  }
+
+  return null;
+}
+
+/**
+ * Read an approval decision from a Jira webhook payload: a comment_created event
+ * with an approve/reject comment, or an issue_updated event that moved the issue
+ * into an approve or reject status.
+ * Returns { decision, feedback, source, by } or null.
+ */
+function parseApprovalEvent(payload) {
+  if (!payload || !payload.issue) {
+    return null;
+  }
+
+  if (payload.webhookEvent === 'comment_created' && payload.comment) {
+    const parsed = parseApprovalComment(payload.comment.body);
+    const author = payload.comment.author || {};
+    return parsed && { ...parsed, source: 'comment', by: author.displayName || author.name || null };
+  }
+
+  if (payload.webhookEvent === 'jira:issue_updated') {
+    const items = (payload.changelog && payload.changelog.items) || [];
+    const statusChange = items.find(item => String(item.field).toLowerCase() === 'status');
+    if (!statusChange) {
+      return null;
+    }
+
+    const config = getApprovalConfig();
+    const status = String(statusChange.toString || '').toLowerCase();
+    const user = payload.user || {};
+    const by = user.displayName || user.name || null;
+
+    if (config.approveStatuses.includes(status)) {
+      return { decision: 'approved', feedback: null, source: 'transition', by };
+    }
+    if (config.rejectStatuses.includes(status)) {
+      return { decision: 'rejected', feedback: null, source: 'transition', by };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Jira comment asking for a review of a paused run
+ */
+function formatApprovalRequest(runId, step, { prUrl } = {}) {
+  const config = getApprovalConfig();
+  const subject = step === 'agent2' && prUrl
+    ? `the Playwright scripts in [${prUrl}|${prUrl}]`
+    : `the ${STEP_NAMES[step]} above`;
+
+  return `⏸️ *Awaiting approval*\n\n` +
+    `Please review ${subject}. The workflow continues once they are approved:\n` +
+    `• Comment *approve*, or *reject: <feedback>* to regenerate them with your feedback\n` +
+    `• Or move the issue to ${config.approveStatuses.join(' / ')} (approve) or ${config.rejectStatuses.join(' / ')} (reject)\n\n` +
+    `_Run ${runId}_`;
+}
+
+/**
+ * Jira comment acknowledging a reviewer's decision
+ */
+function formatApprovalDecision(step, { decision, feedback, by }) {
+  const reviewer = by ? ` by ${by}` : '';
+  if (decision === 'approved') {
+    return `✅ *${capitalize(STEP_NAMES[step])} approved*${reviewer}\n\n_Continuing the workflow..._`;
+  }
+  return `↩️ *${capitalize(STEP_NAMES[step])} rejected*${reviewer}\n\n` +
+    (feedback ? `*Feedback:* ${feedback}\n\n` : '') +
+    `_Regenerating the ${STEP_NAMES[step]}..._`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  APPROVAL_MODES,
+  getApprovalConfig,
+  requiresApproval,
+  parseApprovalComment,
+  parseApprovalEvent,
+  formatApprovalRequest,
+  formatApprovalDecision
+};
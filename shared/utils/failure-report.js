@@ -0,0 +1,40 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { uploadAttachment } = require('./jira-utils.js');
+const { StructuredOutputError } = require('../llm');
+
+const MAX_INLINE_PAYLOAD = 2000;
+
+/**
+ * Extra Jira comment text for an agent failure.
+ * For model output that failed schema validation, lists the violations and attaches
+ * the offending payload to the issue (falling back to an inline excerpt).
+ * Returns '' for other errors.
+ */
+async function describeOutputFailure(issueKey, error) {
+  if (!(error instanceof StructuredOutputError)) {
+    return '';
+  }
+
+  let text = `\n\n*Invalid model output* (${error.agent} / ${error.toolName}):\n`;
+  text += error.errors.map(e => `- ${e.path || '/'} ${e.message}`).join('\n');
+
+  const filename = `${error.agent}-${error.toolName}-invalid-output-${Date.now()}.json`;
+  const tmpPath = path.join(os.tmpdir(), filename);
+
+  try {
+    await fs.writeFile(tmpPath, error.payload || '');
+    await uploadAttachment(issueKey, tmpPath, filename);
+    text += `\n\nOffending payload attached: [^${filename}]`;
+  } catch (uploadError) {
+    const excerpt = (error.payload || '').slice(0, MAX_INLINE_PAYLOAD);
+    text += `\n\nOffending payload (excerpt):\n{code}${excerpt}{code}`;
+  } finally {
+    await fs.rm(tmpPath, { force: true }).catch(() => { });
+  }
+
+  return text;
+}
+
+module.exports = { describeOutputFailure };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const runStore = require('./run-store.js');
+
+// 'skip' ignores unchanged issues, 'rerun' re-executes the existing tests (Agent 3 only)
+const UNCHANGED_MODE = process.env.WEBHOOK_UNCHANGED_MODE === 'rerun' ? 'rerun' : 'skip';
+
+// Runs that will still produce results; a run awaiting approval counts as in flight
+const IN_FLIGHT_STATUSES = ['queued', 'running', 'awaiting_approval'];
+
+// Per-issue promise chains so the check and the run creation happen atomically
+const locks = new Map();
+
+/**
+ * Hash the parts of an issue that drive test generation
+ */
+function computeContentHash(issue) {
+  const fields = issue.fields || {};
+  const content = JSON.stringify({
+    summary: fields.summary || '',
+    description: fields.description || ''
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function decide(issue, { force, trigger }) {
+  const contentHash = computeContentHash(issue);
+
+  if (!force) {
+    const runs = await runStore.listRunsForIssue(issue.key, { limit: 100 });
+
+    const inFlight = runs.find(run =>
+      run.contentHash === contentHash && IN_FLIGHT_STATUSES.includes(run.status)
+    );
+    if (inFlight) {
+      return { action: 'skip', reason: 'identical run already in progress', previousRun: inFlight };
+    }
+
+    const completed = runs.find(run => run.contentHash === contentHash && run.status === 'completed');
+    if (completed) {
+      if (UNCHANGED_MODE === 'skip') {
+        return { action: 'skip', reason: 'issue unchanged since last completed run', previousRun: completed };
+      }
+
+      const run = await runStore.createRun(issue.key, {
+        trigger,
+        contentHash,
+        mode: 'rerun',
+        previousRunId: completed.id
+      });
+      return { action: 'rerun', reason: 'issue unchanged, re-executing tests only', run, previousRun: completed };
+    }
+  }
+
+  const run = await runStore.createRun(issue.key, { trigger, contentHash, mode: 'full' });
+  await supersedePendingApprovals(issue.key, run.id);
+  return { action: 'run', reason: force ? 'forced' : 'new or changed content', run, previousRun: null };
+}
+
+/**
+ * Cancel older runs of the issue that are still waiting for approval, so
+ * reviewers only ever decide on the latest generated output
+ */
+async function supersedePendingApprovals(issueKey, runId) {
+  const waiting = await runStore.listRunsForIssue(issueKey, { status: 'awaiting_approval', limit: 100 });
+  for (const run of waiting) {
+    await runStore.finishRun(run.id, 'cancelled', `Superseded by run ${runId}`);
+    console.log(`🚫 Run ${run.id} superseded by ${runId}`);
+  }
+}
+
+/**
+ * Decide whether an issue event should start a workflow run, and create the run if so.
+ *
+ * Returns { action, reason, run, previousRun } where action is:
+ * - 'run': new or changed content (or force) - full workflow
+ * - 'rerun': unchanged content in rerun mode - Agent 3 only, against previousRun's PR
+ * - 'skip': unchanged content in skip mode, or an identical run is already queued/running
+ */
+function claimRun(issue, { force = false, trigger = 'webhook' } = {}) {
+  const previous = locks.get(issue.key) || Promise.resolve();
+  const next = previous.catch(() => { }).then(() => decide(issue, { force, trigger }));
+
+  locks.set(issue.key, next);
+  next.finally(() => {
+    if (locks.get(issue.key) === next) locks.delete(issue.key);
+  }).catch(() => { });
+
+  return next;
+}
+
+module.exports = {
+  computeContentHash,
+  claimRun
+};
@@ -2,8 +2,11 @@ const JiraClient = require('jira-client');
 const axios = require('axios');
 const fs = require('fs');
 const FormData = require('form-data');
+const { isMockMode } = require('../mocks');
+const jiraMock = require('../mocks/jira.js');
 
-const jira = new JiraClient({
+// MOCK_SERVICES=true swaps in the in-memory Jira
+const jira = isMockMode() ? jiraMock.client : new JiraClient({
   protocol: 'https',
   host: process.env.JIRA_HOST,
   username: process.env.JIRA_EMAIL,
@@ -12,6 +15,15 @@ const jira = new JiraClient({
   strictSSL: true
 });
 
+/**
+ * Browser URL of an issue, e.g. https://your-instance.atlassian.net/browse/SCRUM-6
+ * (null when JIRA_HOST is not configured)
+ */
+function getIssueUrl(issueKey) {
+  const host = process.env.JIRA_HOST || (isMockMode() ? jiraMock.MOCK_HOST : null);
+  return host ? `https://${host}/browse/${issueKey}` : null;
+}
+
 /**
  * Add a comment to a Jira issue
  */
@@ -54,6 +66,130 @@ async function getCustomFieldId(fieldName) {
   }
 }
 
+// Field ids don't change, so each field name is looked up once per process
+const fieldIdsByName = new Map();
+
+/**
+ * Resolve the acceptance criteria custom field id.
+ * JIRA_ACCEPTANCE_CRITERIA_FIELD may be a field id (customfield_10035) or a field name.
+ * A failed lookup returns null and is retried on the next call.
+ */
+async function getAcceptanceCriteriaFieldId() {
+  const configured = process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD || 'Acceptance Criteria';
+  if (configured.startsWith('customfield_')) {
+    return configured;
+  }
+
+  if (!fieldIdsByName.has(configured)) {
+    const lookup = jira.listFields().then(fields => {
+      const field = fields.find(f => f.name === configured);
+      return field ? field.id : null;
+    });
+    fieldIdsByName.set(configured, lookup);
+    lookup.catch(() => fieldIdsByName.delete(configured));
+  }
+
+  try {
+    return await fieldIdsByName.get(configured);
+  } catch (error) {
+    console.error('❌ Error getting custom field ID:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get acceptance criteria from an issue, whether it came from getIssue or a webhook payload
+ */
+async function getAcceptanceCriteria(issue) {
+  const fields = issue.fields || {};
+  if (fields.acceptanceCriteria !== undefined) {
+    return fields.acceptanceCriteria;
+  }
+
+  const fieldId = await getAcceptanceCriteriaFieldId();
+  return fieldId ? fields[fieldId] || null : null;
+}
+
+/**
+ * Get a Jira issue with the fields the agents need: summary, description,
+ * acceptance criteria, labels, components and attachments.
+ * Returns the same shape as the issue in a webhook payload, with the acceptance
+ * criteria also exposed as fields.acceptanceCriteria.
+ */
+async function getIssue(issueKey) {
+  try {
+    const acceptanceCriteriaFieldId = await getAcceptanceCriteriaFieldId();
+    const fields = [
+      'summary',
+      'description',
+      'labels',
+      'components',
+      'attachment',
+      'issuetype',
+      'project',
+      'status',
+      acceptanceCriteriaFieldId
+    ].filter(Boolean);
+
+    const issue = await jira.findIssue(issueKey, '', fields.join(','));
+    issue.fields.acceptanceCriteria = acceptanceCriteriaFieldId
+      ? issue.fields[acceptanceCriteriaFieldId] || null
+      : null;
+
+    console.log(`✅ Fetched ${issueKey} from Jira`);
+    return issue;
+  } catch (error) {
+    console.error(`❌ Failed to fetch ${issueKey}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Search issues with JQL. Returns the matching issues (up to maxResults).
+ */
+async function searchIssues(jql, fields = ['summary'], maxResults = 100) {
+  try {
+    const result = await jira.searchJira(jql, { fields, maxResults });
+    return result.issues || [];
+  } catch (error) {
+    console.error(`❌ Failed to search issues (${jql}):`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create an issue. fields must include project and issuetype. Returns the new issue key.
+ */
+async function createIssue(fields) {
+  try {
+    const issue = await jira.addNewIssue({ fields });
+    console.log(`✅ Created ${issue.key}`);
+    return issue.key;
+  } catch (error) {
+    console.error('❌ Failed to create issue:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Link two issues, e.g. linkIssues('Test', 'SCRUM-12', 'SCRUM-6') for "SCRUM-12 tests SCRUM-6".
+ * Jira applies the link type's outward description ("tests") to the inward issue.
+ */
+async function linkIssues(linkTypeName, inwardIssueKey, outwardIssueKey) {
+  try {
+    await jira.issueLink({
+      type: { name: linkTypeName },
+      inwardIssue: { key: inwardIssueKey },
+      outwardIssue: { key: outwardIssueKey }
+    });
+    console.log(`✅ Linked ${inwardIssueKey} → ${outwardIssueKey} (${linkTypeName})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to link ${inwardIssueKey} to ${outwardIssueKey}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Update custom fields
  */
@@ -108,38 +244,92 @@ async function transitionIssue(issueKey, statusName) {
   }
 }
 
+// Basic auth header for the REST calls jira-client doesn't cover
+function getAuthHeader() {
+  const auth = Buffer.from(
+    `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
+  ).toString('base64');
+  return `Basic ${auth}`;
+}
+
+function toAttachment(attachment) {
+  return {
+    id: String(attachment.id),
+    filename: attachment.filename,
+    size: attachment.size,
+    created: attachment.created || null,
+    url: attachment.content || attachment.url || null
+  };
+}
+
 /**
- * Upload attachment to Jira issue
+ * Upload attachment to Jira issue.
+ * Returns the attachment: { id, filename, size, created, url }
  */
 async function uploadAttachment(issueKey, filePath, filename) {
   try {
+    if (isMockMode()) {
+      const attachment = jiraMock.addAttachment(issueKey, filePath, filename);
+      console.log(`✅ Uploaded attachment ${filename} to ${issueKey}`);
+      return toAttachment(attachment);
+    }
+
     const form = new FormData();
     form.append('file', fs.createReadStream(filePath), filename);
     
-    const auth = Buffer.from(
-      `${process.env.JIRA_EMAIL}:${process.env.JIRA_API_TOKEN}`
-    ).toString('base64');
-    
-    await axios.post(
+    const response = await axios.post(
       `https://${process.env.JIRA_HOST}/rest/api/2/issue/${issueKey}/attachments`,
       form,
       {
         headers: {
           ...form.getHeaders(),
-          'Authorization': `Basic ${auth}`,
+          'Authorization': getAuthHeader(),
           'X-Atlassian-Token': 'no-check'
-        }
+        },
+        maxBodyLength: Infinity
       }
     );
     
     console.log(`✅ Uploaded attachment ${filename} to ${issueKey}`);
-    return true;
+    return toAttachment(response.data[0]);
   } catch (error) {
     console.error(`❌ Failed to upload attachment to ${issueKey}:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Attachments of a Jira issue: [{ id, filename, size, created, url }]
+ */
+async function listAttachments(issueKey) {
+  if (isMockMode()) {
+    return jiraMock.getAttachments(issueKey).map(toAttachment);
+  }
+  const issue = await jira.findIssue(issueKey, '', 'attachment');
+  return (issue.fields.attachment || []).map(toAttachment);
+}
+
+/**
+ * Delete an attachment by id
+ */
+async function deleteAttachment(attachmentId) {
+  try {
+    if (isMockMode()) {
+      jiraMock.deleteAttachment(attachmentId);
+    } else {
+      await axios.delete(
+        `https://${process.env.JIRA_HOST}/rest/api/2/attachment/${attachmentId}`,
+        { headers: { 'Authorization': getAuthHeader() } }
+      );
+    }
+    console.log(`🗑️ Deleted attachment ${attachmentId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to delete attachment ${attachmentId}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Combined update function
  */
@@ -176,11 +366,19 @@ async function updateJiraCard(issueKey, updates) {
 }
 
 module.exports = {
+  getIssue,
+  getIssueUrl,
+  searchIssues,
+  createIssue,
+  linkIssues,
+  getAcceptanceCriteria,
   addComment,
   updateIssueFields,
   updateCustomFields,
   transitionIssue,
   uploadAttachment,
+  listAttachments,
+  deleteAttachment,
   updateJiraCard,
   getCustomFieldId
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+const WORKSPACE_ROOT = process.env.JOB_WORKSPACE_ROOT || path.join(__dirname, '..', '..', 'temp-repo');
+const KEEP_WORKSPACES = process.env.KEEP_JOB_WORKSPACES === 'true';
+const MAX_FINISHED_JOBS = 200;
+
+const jobs = new Map();
+const pending = [];
+const runningIssues = new Set();
+let runningCount = 0;
+
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Throw if the job owning this signal has been cancelled.
+ * Agents call this between long-running phases.
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new JobCancelledError();
+  }
+}
+
+function isCancellation(error) {
+  return error instanceof JobCancelledError || (error && error.name === 'AbortError');
+}
+
+/**
+ * Public view of a job (without the handler and abort controller)
+ */
+function toJobInfo(job) {
+  const { handler, controller, ...info } = job;
+  return info;
+}
+
+/**
+ * Add a job to the queue.
+ * The handler receives { id, issueKey, workspaceDir, signal } and may return a promise.
+ * Jobs for the same issue key never run at the same time.
+ */
+function enqueueJob({ type, issueKey, runId = null, handler }) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    issueKey,
+    runId,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    workspaceDir: null,
+    handler,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  console.log(`📥 Queued ${type} job ${job.id} for ${issueKey} (${pending.length} pending)`);
+
+  drain();
+  return toJobInfo(job);
+}
+
+/**
+ * Start as many pending jobs as the concurrency limit and per-issue locks allow
+ */
+function drain() {
+  for (let i = 0; i < pending.length && runningCount < CONCURRENCY;) {
+    const job = pending[i];
+    if (runningIssues.has(job.issueKey)) {
+      i++;
+      continue;
+    }
+
+    pending.splice(i, 1);
+    startJob(job);
+  }
+}
+
+async function startJob(job) {
+  runningCount++;
+  runningIssues.add(job.issueKey);
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.workspaceDir = path.join(WORKSPACE_ROOT, job.id);
+
+  console.log(`▶️  Starting ${job.type} job ${job.id} for ${job.issueKey}`);
+
+  try {
+    await fs.mkdir(job.workspaceDir, { recursive: true });
+    await job.handler({
+      id: job.id,
+      issueKey: job.issueKey,
+      runId: job.runId,
+      workspaceDir: job.workspaceDir,
+      signal: job.controller.signal
+    });
+    job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+  } catch (error) {
+    if (isCancellation(error) || job.controller.signal.aborted) {
+      job.status = 'cancelled';
+    } else {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    }
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    console.log(`⏹️  Job ${job.id} for ${job.issueKey} ${job.status}`);
+
+    if (!KEEP_WORKSPACES) {
+      await fs.rm(job.workspaceDir, { recursive: true, force: true }).catch(() => { });
+    }
+
+    runningCount--;
+    runningIssues.delete(job.issueKey);
+    pruneFinishedJobs();
+    drain();
+  }
+}
+
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Cancel a queued or running job.
+ * Queued jobs are removed immediately; running jobs are aborted through their signal.
+ * Returns the job info, or null if the job does not exist.
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (job.status === 'queued') {
+    pending.splice(pending.indexOf(job), 1);
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    console.log(`🚫 Cancelled queued job ${job.id} for ${job.issueKey}`);
+  } else if (job.status === 'running') {
+    job.controller.abort();
+    console.log(`🚫 Cancelling running job ${job.id} for ${job.issueKey}`);
+  }
+
+  return toJobInfo(job);
+}
+
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? toJobInfo(job) : null;
+}
+
+/**
+ * List jobs, newest first
+ */
+function listJobs({ status, issueKey } = {}) {
+  return [...jobs.values()]
+    .filter(job => !status || job.status === status)
+    .filter(job => !issueKey || job.issueKey === issueKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toJobInfo);
+}
+
+function getQueueStats() {
+  return {
+    concurrency: CONCURRENCY,
+    running: runningCount,
+    queued: pending.length
+  };
+}
+
+module.exports = {
+  JobCancelledError,
+  throwIfCancelled,
+  isCancellation,
+  enqueueJob,
+  cancelJob,
+  getJob,
+  listJobs,
+  getQueueStats
+};
@@ -0,0 +1,145 @@
+/**
+ * Minimal JSON Schema (draft-07 subset) validator.
+ *
+ * Supports: type, enum, const, required, properties, additionalProperties,
+ * items, minItems, maxItems, minLength, pattern, minimum, maximum and
+ * local $ref ("#/definitions/...").
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+}
+
+function validateNode(value, schema, rootSchema, pointer, errors) {
+  if (schema.$ref) {
+    schema = resolveRef(rootSchema, schema.$ref);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: pointer, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: pointer, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: pointer, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: pointer, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: pointer, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: pointer, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: pointer, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: pointer, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, rootSchema, `${pointer}/${index}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${pointer}/${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], rootSchema, `${pointer}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${pointer}/${key}`, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, rootSchema, `${pointer}/${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of { path, message } errors (empty when valid).
+ */
+function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Return a copy of the schema with local $refs inlined and "definitions"/"$schema"/"$id"
+ * removed, for APIs that take a self-contained schema (e.g. LLM tool definitions)
+ */
+function dereferenceSchema(schema, rootSchema = schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => dereferenceSchema(item, rootSchema));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema.$ref) {
+    return dereferenceSchema(resolveRef(rootSchema, schema.$ref), rootSchema);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'definitions' || key === '$schema' || key === '$id') continue;
+    result[key] = dereferenceSchema(value, rootSchema);
+  }
+  return result;
+}
+
+/**
+ * Format validation errors as one line per error
+ */
+function formatSchemaErrors(errors) {
+  return errors.map(error => `- ${error.path || '/'} ${error.message}`).join('\n');
+}
+
+module.exports = {
+  validateSchema,
+  dereferenceSchema,
+  formatSchemaErrors
+};
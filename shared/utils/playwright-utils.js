@@ -0,0 +1,70 @@
+const path = require('path');
+const { existsSync } = require('fs');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { isCancellation } = require('./job-queue.js');
+const { isMockMode } = require('../mocks');
+
+const execAsync = promisify(exec);
+
+/**
+ * Command that runs Playwright in the test repo (PLAYWRIGHT_COMMAND, default "npx playwright").
+ * In mock mode this defaults to the offline fake runner.
+ */
+function getPlaywrightCommand() {
+  if (process.env.PLAYWRIGHT_COMMAND) return process.env.PLAYWRIGHT_COMMAND;
+  if (isMockMode()) return `node "${path.join(__dirname, '..', 'mocks', 'fake-playwright.js')}"`;
+  return 'npx playwright';
+}
+
+// Quote a command line argument for the shell when it needs it
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Run `playwright <args>` in a test repository with extra environment variables.
+ * Playwright exits non-zero when tests fail, so that is not an error here; returns
+ * { exitCode, stdout, stderr }. Cancellation still throws.
+ */
+async function runPlaywright(repoDir, args, { env = {}, signal } = {}) {
+  const command = `${getPlaywrightCommand()} ${args.map(shellQuote).join(' ')}`;
+  console.log('Running:', command);
+  try {
+    const { stdout, stderr } = await execAsync(command, {
+      cwd: repoDir,
+      signal,
+      maxBuffer: 10 * 1024 * 1024,
+      env: { ...process.env, ...env }
+    });
+    return { exitCode: 0, stdout, stderr };
+  } catch (error) {
+    if (isCancellation(error)) throw error;
+    return { exitCode: typeof error.code === 'number' ? error.code : 1, stdout: error.stdout || '', stderr: error.stderr || error.message };
+  }
+}
+
+/**
+ * npm install in a cloned test repository. Skipped when it has no package.json;
+ * install warnings and failures are logged but not fatal.
+ */
+async function installDependencies(repoDir, signal) {
+  if (!existsSync(path.join(repoDir, 'package.json'))) {
+    console.log('ℹ️ No package.json in test repository, skipping npm install');
+    return;
+  }
+  console.log('🔄 Installing dependencies...');
+  try {
+    await execAsync('npm install', { cwd: repoDir, signal, maxBuffer: 10 * 1024 * 1024 });
+  } catch (e) {
+    if (isCancellation(e)) throw e;
+    console.warn('⚠️ npm install warnings (non-critical)');
+  }
+  console.log('✅ Dependencies installed');
+}
+
+module.exports = {
+  getPlaywrightCommand,
+  runPlaywright,
+  installDependencies
+};
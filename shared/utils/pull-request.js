@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { getRepoConfig } = require('./repo-config.js');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+const DEFAULT_OPTIONS = {
+  base: null,
+  draft: false,
+  reviewers: [],
+  teamReviewers: [],
+  labels: [],
+  bodyTemplate: 'pr-body.md',
+  updateExisting: true
+};
+
+/**
+ * Pull request options for a target repository, from the "pullRequest" section of its
+ * config (see repo-config.js): { base, draft, reviewers, teamReviewers, labels, bodyTemplate,
+ * updateExisting }. A null base means the repository's default branch; updateExisting has
+ * Agent 2 push to the issue's open PR instead of opening another one.
+ */
+function getPullRequestOptions(repoUrl) {
+  return { ...DEFAULT_OPTIONS, ...(getRepoConfig(repoUrl).pullRequest || {}) };
+}
+
+/**
+ * Branch pull requests target: the configured base, otherwise the repository's
+ * default branch from the source control provider's API (main if that can't be read)
+ */
+async function resolveBaseBranch(scm, prOptions) {
+  if (prOptions.base) return prOptions.base;
+  try {
+    return await scm.getDefaultBranch();
+  } catch (error) {
+    console.warn(`⚠️ Could not detect the default branch, using main: ${error.message}`);
+    return 'main';
+  }
+}
+
+/**
+ * Text of a body template; relative paths are resolved against shared/config
+ */
+function loadBodyTemplate(bodyTemplate) {
+  return fs.readFileSync(path.resolve(CONFIG_DIR, bodyTemplate), 'utf-8');
+}
+
+/**
+ * Fill {{name}} placeholders from values. Unknown names render empty and the
+ * blank lines they leave behind are collapsed.
+ */
+function renderTemplate(template, values) {
+  return template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] === undefined || values[name] === null ? '' : String(values[name])))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+function tableCell(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+/**
+ * Markdown table of test case scenarios: ID, title, priority and step count
+ */
+function formatScenarioTable(testCases) {
+  if (!testCases || testCases.length === 0) return '_No test cases_';
+
+  const rows = testCases.map(tc => `| ${tableCell(tc.id)} | ${tableCell(tc.title)} | ${tableCell(tc.priority)} | ${(tc.testSteps || []).length} |`);
+  return ['| ID | Title | Priority | Steps |', '| --- | --- | --- | --- |', ...rows].join('\n');
+}
+
+/**
+ * Markdown table of a run's LLM usage per agent, with the total
+ */
+function formatTokenUsage(usage) {
+  if (!usage || !usage.total) return '_Not recorded_';
+
+  const row = (name, bucket) => {
+    const cost = bucket.costUsd ? `$${bucket.costUsd.toFixed(4)}` : '-';
+    return `| ${name} | ${bucket.model || '-'} | ${bucket.calls} | ${bucket.inputTokens} | ${bucket.outputTokens} | ${cost} |`;
+  };
+  const agents = Object.keys(usage).filter(key => key !== 'total').sort();
+  return [
+    '| Agent | Model | Calls | Input tokens | Output tokens | Est. cost |',
+    '| --- | --- | --- | --- | --- | --- |',
+    ...agents.map(agent => row(agent, usage[agent])),
+    row('**Total**', usage.total)
+  ].join('\n');
+}
+
+module.exports = {
+  getPullRequestOptions,
+  resolveBaseBranch,
+  loadBodyTemplate,
+  renderTemplate,
+  formatScenarioTable,
+  formatTokenUsage
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { getRepoKey } = require('../scm/repo-url.js');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'target-repos.json');
+
+function readConfigFile(configPath) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    console.warn(`⚠️ Ignoring target repository config ${configPath}: ${error.message}`);
+    return {};
+  }
+}
+
+// Sections merge key by key; anything else is replaced
+function mergeSections(base, overrides) {
+  const merged = { ...base };
+  for (const [section, value] of Object.entries(overrides || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[section] = isObject ? { ...(base[section] || {}), ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Settings for a target repository: the "default" entry of shared/config/target-repos.json
+ * with the repository's entry from "repositories" laid over it. Sections merge key by key,
+ * so a repository that sets generatedPaths.deny replaces the default deny list but keeps
+ * the default allow list (the sandbox's built-in protected paths apply regardless). TARGET_REPO_CONFIG names a file to use instead; its "default"
+ * is laid over the bundled one the same way.
+ */
+function getRepoConfig(repoUrl) {
+  const bundled = readConfigFile(DEFAULT_CONFIG_PATH);
+  const custom = process.env.TARGET_REPO_CONFIG ? readConfigFile(process.env.TARGET_REPO_CONFIG) : null;
+  const defaults = mergeSections(bundled.default || {}, custom && custom.default);
+  const repositories = (custom || bundled).repositories || {};
+  return mergeSections(defaults, repoUrl && repositories[getRepoKey(repoUrl)]);
+}
+
+module.exports = {
+  getRepoConfig
+};
@@ -0,0 +1,409 @@
+/**
+ * Convert Jira rich text to markdown for the agents' prompts.
+ *
+ * Jira Cloud v3 (and v3 webhooks) deliver descriptions and rich-text custom fields as
+ * Atlassian Document Format (ADF) objects; the v2 API delivers wiki markup strings.
+ * Both are converted to markdown, keeping tables, checklists, code blocks and links.
+ */
+
+const INLINE_TYPES = new Set([
+  'text', 'hardBreak', 'mention', 'emoji', 'date', 'status', 'inlineCard', 'placeholder', 'inlineExtension'
+]);
+
+const PANEL_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  error: 'Error',
+  success: 'Success'
+};
+
+const ACCEPTANCE_HEADING = /^\s*(#{1,6}\s*)?(\*\*)?acceptance criteria\s*(:)?\s*(\*\*)?\s*(:)?\s*(.*)$/i;
+
+/*
+ * ADF
+ */
+
+function applyMarks(text, marks) {
+  let result = text;
+  for (const mark of marks) {
+    switch (mark.type) {
+      case 'code':
+        result = `\`${result}\``;
+        break;
+      case 'strong':
+        result = `**${result}**`;
+        break;
+      case 'em':
+        result = `*${result}*`;
+        break;
+      case 'strike':
+        result = `~~${result}~~`;
+        break;
+      default:
+        break;
+    }
+  }
+  // Links last so the link text keeps its formatting
+  const link = marks.find(mark => mark.type === 'link');
+  return link && link.attrs && link.attrs.href ? `[${result}](${link.attrs.href})` : result;
+}
+
+function renderInlineNode(node) {
+  const attrs = node.attrs || {};
+  switch (node.type) {
+    case 'text':
+      return applyMarks(node.text || '', node.marks || []);
+    case 'hardBreak':
+      return '\n';
+    case 'mention':
+      return attrs.text || '@user';
+    case 'emoji':
+      return attrs.text || attrs.shortName || '';
+    case 'date':
+      return attrs.timestamp ? new Date(Number(attrs.timestamp)).toISOString().slice(0, 10) : '';
+    case 'status':
+      return `[${attrs.text || ''}]`;
+    case 'inlineCard':
+      return attrs.url || '';
+    case 'placeholder':
+      return '';
+    default:
+      return node.content ? renderInline(node.content) : node.text || '';
+  }
+}
+
+function renderInline(nodes = []) {
+  return nodes.map(renderInlineNode).join('');
+}
+
+// Indent every line after the first, for list item continuations
+function indentContinuation(text, indent) {
+  return text.split('\n').map((line, index) => (index === 0 || line === '' ? line : indent + line)).join('\n');
+}
+
+function renderListItem(item, marker) {
+  const children = item.content || [];
+  // taskItem and decisionItem hold inline content directly
+  const body = children.every(child => INLINE_TYPES.has(child.type))
+    ? renderInline(children)
+    : renderBlocks(children, '\n');
+  return indentContinuation(marker + body, ' '.repeat(marker.length));
+}
+
+function renderList(node) {
+  const start = (node.attrs && node.attrs.order) || 1;
+  let index = 0;
+
+  return (node.content || []).map(item => {
+    // Nested task lists appear as siblings of the items they belong to
+    if (item.type === 'taskList' || item.type === 'decisionList') {
+      return indentContinuation('  ' + renderList(item), '  ');
+    }
+
+    let marker = '- ';
+    if (node.type === 'orderedList') {
+      marker = `${start + index}. `;
+    } else if (item.type === 'taskItem') {
+      marker = item.attrs && item.attrs.state === 'DONE' ? '- [x] ' : '- [ ] ';
+    } else if (item.type === 'decisionItem') {
+      marker = '- Decision: ';
+    }
+    index++;
+    return renderListItem(item, marker);
+  }).join('\n');
+}
+
+function renderTableCell(cell) {
+  return renderBlocks(cell.content || [], '\n')
+    .replace(/\|/g, '\\|')
+    .replace(/\n+/g, '<br>')
+    .trim();
+}
+
+function renderTable(node) {
+  const rows = (node.content || []).map(row => row.content || []);
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = cells => [...cells, ...Array(width - cells.length).fill('')];
+  const hasHeader = rows[0].every(cell => cell.type === 'tableHeader');
+
+  const header = hasHeader ? pad(rows[0].map(renderTableCell)) : Array(width).fill('');
+  const body = (hasHeader ? rows.slice(1) : rows).map(row => pad(row.map(renderTableCell)));
+
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(cells => `| ${cells.join(' | ')} |`)
+  ].join('\n');
+}
+
+function quote(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+function renderBlock(node) {
+  const attrs = node.attrs || {};
+  switch (node.type) {
+    case 'doc':
+      return renderBlocks(node.content);
+    case 'paragraph':
+      return renderInline(node.content);
+    case 'heading':
+      return `${'#'.repeat(attrs.level || 1)} ${renderInline(node.content)}`;
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+    case 'decisionList':
+      return renderList(node);
+    case 'codeBlock':
+      return `\`\`\`${attrs.language || ''}\n${renderInline(node.content)}\n\`\`\``;
+    case 'blockquote':
+      return quote(renderBlocks(node.content));
+    case 'panel':
+      return quote(`**${PANEL_LABELS[attrs.panelType] || 'Note'}:** ${renderBlocks(node.content)}`);
+    case 'rule':
+      return '---';
+    case 'table':
+      return renderTable(node);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return renderBlocks(node.content, '\n');
+    case 'media':
+      return `[attachment${attrs.alt ? `: ${attrs.alt}` : ''}]`;
+    case 'expand':
+    case 'nestedExpand':
+      return [attrs.title ? `**${attrs.title}**` : '', renderBlocks(node.content)].filter(Boolean).join('\n\n');
+    case 'blockCard':
+    case 'embedCard':
+      return attrs.url || '';
+    default:
+      if (INLINE_TYPES.has(node.type)) return renderInlineNode(node);
+      return node.content ? renderBlocks(node.content) : '';
+  }
+}
+
+function renderBlocks(nodes = [], separator = '\n\n') {
+  return nodes.map(renderBlock).filter(block => block !== '').join(separator);
+}
+
+/**
+ * Convert an ADF document (or node) to markdown
+ */
+function adfToMarkdown(document) {
+  if (!document || typeof document !== 'object') return '';
+  return renderBlock(document).trim();
+}
+
+/*
+ * Wiki markup
+ */
+
+function convertWikiInline(text) {
+  return text
+    .replace(/\{\{(.+?)\}\}/g, '`$1`')
+    .replace(/\[([^|\]]+)\|([^\]]+)\]/g, '[$1]($2)')
+    .replace(/\[~([^\]]+)\]/g, '@$1')
+    .replace(/\[((?:https?|mailto):[^\]\s]+)\]/g, '$1')
+    .replace(/(^|[^\w*])\*(\S(?:[^*]*\S)?)\*(?![\w*])/g, '$1**$2**')
+    .replace(/(^|\W)_(\S(?:[^_]*\S)?)_(?!\w)/g, '$1*$2*')
+    .replace(/(^|\s)-(\S(?:[^-]*\S)?)-(?=\s|$)/g, '$1~~$2~~')
+    .replace(/\{color(?::[^}]*)?\}/g, '')
+    .replace(/\(\/\)/g, '✅')
+    .replace(/\(x\)/g, '❌')
+    .replace(/\(!\)/g, '⚠️')
+    .replace(/\(i\)/g, 'ℹ️')
+    .replace(/\\\\/g, '\n');
+}
+
+function splitWikiRow(line, separator) {
+  const trimmed = line.trim();
+  return trimmed
+    .slice(separator.length, trimmed.endsWith(separator) ? -separator.length : undefined)
+    .split(separator)
+    .map(cell => cell.trim());
+}
+
+function convertWikiLine(line, state) {
+  let match = line.match(/^\s*h([1-6])\.\s+(.*)$/);
+  if (match) return `${'#'.repeat(Number(match[1]))} ${convertWikiInline(match[2])}`;
+
+  match = line.match(/^\s*bq\.\s+(.*)$/);
+  if (match) return `> ${convertWikiInline(match[1])}`;
+
+  if (/^\s*-{4,}\s*$/.test(line)) return '---';
+
+  match = line.match(/^\s*([*#]+|-)\s+(.*)$/);
+  if (match) {
+    const markers = match[1];
+    const depth = markers.length;
+    state.counters.length = depth;
+    let marker = '- ';
+    if (markers.endsWith('#')) {
+      state.counters[depth - 1] = (state.counters[depth - 1] || 0) + 1;
+      marker = `${state.counters[depth - 1]}. `;
+    }
+    return '  '.repeat(depth - 1) + marker + convertWikiInline(match[2]);
+  }
+  state.counters.length = 0;
+
+  if (/^\s*\|\|/.test(line)) {
+    const cells = splitWikiRow(convertWikiInline(line), '||');
+    state.inTable = true;
+    return `| ${cells.join(' | ')} |\n| ${cells.map(() => '---').join(' | ')} |`;
+  }
+  if (/^\s*\|/.test(line)) {
+    const cells = splitWikiRow(convertWikiInline(line), '|');
+    const row = `| ${cells.join(' | ')} |`;
+    if (state.inTable) return row;
+    // Markdown tables need a header row
+    state.inTable = true;
+    return `| ${cells.map(() => '').join(' | ')} |\n| ${cells.map(() => '---').join(' | ')} |\n${row}`;
+  }
+  state.inTable = false;
+
+  return convertWikiInline(line);
+}
+
+/**
+ * Convert Jira wiki markup to markdown
+ */
+function wikiToMarkdown(text) {
+  if (!text) return '';
+
+  const output = [];
+  const state = { counters: [], inTable: false };
+  let codeEnd = null;
+  let inQuote = false;
+
+  for (const line of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+    if (codeEnd) {
+      const endIndex = line.indexOf(codeEnd);
+      if (endIndex === -1) {
+        output.push(line);
+      } else {
+        if (endIndex > 0) output.push(line.slice(0, endIndex));
+        output.push('```');
+        codeEnd = null;
+      }
+      continue;
+    }
+
+    const codeStart = line.match(/^\s*\{(code|noformat)(?::([^}]*))?\}(.*)$/);
+    if (codeStart) {
+      const language = codeStart[2] && !codeStart[2].includes('=') ? codeStart[2].split('|')[0] : '';
+      const end = `{${codeStart[1]}}`;
+      const rest = codeStart[3];
+      output.push(`\`\`\`${language}`);
+      if (rest.includes(end)) {
+        if (rest.indexOf(end) > 0) output.push(rest.slice(0, rest.indexOf(end)));
+        output.push('```');
+      } else {
+        if (rest) output.push(rest);
+        codeEnd = end;
+      }
+      continue;
+    }
+
+    const singleQuote = line.match(/^\s*\{quote\}(.+)\{quote\}\s*$/);
+    if (singleQuote) {
+      output.push(`> ${convertWikiInline(singleQuote[1])}`);
+      continue;
+    }
+    if (/^\s*\{quote\}\s*$/.test(line)) {
+      inQuote = !inQuote;
+      continue;
+    }
+
+    const panel = line.match(/^\s*\{panel(?::([^}]*))?\}\s*$/);
+    if (panel) {
+      const title = panel[1] && panel[1].match(/title=([^|]+)/);
+      if (title) output.push(`**${title[1].trim()}**`);
+      continue;
+    }
+
+    const converted = convertWikiLine(line, state);
+    output.push(inQuote ? quote(converted) : converted);
+  }
+
+  if (codeEnd) output.push('```');
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Convert a Jira rich-text value to markdown: ADF objects, wiki markup strings or null
+ */
+function toMarkdown(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return wikiToMarkdown(value);
+  if (typeof value === 'object' && value.type) return adfToMarkdown(value);
+  return JSON.stringify(value, null, 2);
+}
+
+// 1-6 for markdown headings, 7 for bold-only or "Label:" lines, null for anything else
+function headingLevel(line) {
+  const heading = line.match(/^\s*(#{1,6})\s/);
+  if (heading) return heading[1].length;
+  if (/^\s*\*\*[^*]+\*\*\s*:?\s*$/.test(line) || /^\s*[A-Z][A-Za-z /]{2,40}:\s*$/.test(line)) return 7;
+  return null;
+}
+
+/**
+ * Match a line that starts an acceptance criteria section, in any of the styles the
+ * converters produce: "## Acceptance Criteria", "**Acceptance Criteria:**" or
+ * "Acceptance Criteria:" (optionally followed by the first criterion).
+ * Returns the text after the heading ('' if none), or null if the line isn't one.
+ */
+function matchAcceptanceHeading(line) {
+  const match = line.match(ACCEPTANCE_HEADING);
+  if (!match) return null;
+
+  const [, hashes, boldOpen, colon, boldClose, trailingColon, rest] = match;
+  const hasColon = Boolean(colon || trailingColon);
+  if (!hashes && !(boldOpen && boldClose) && !hasColon) return null;
+  // "Acceptance criteria must be..." is a sentence, not a heading
+  if (rest && !hasColon) return null;
+  return rest.trim();
+}
+
+/**
+ * Split the acceptance criteria section out of converted markdown.
+ * The section runs from an "Acceptance Criteria" heading (or bold/label line)
+ * to the next heading of the same or a higher level.
+ * Returns { description, acceptanceCriteria } with acceptanceCriteria null if there is none.
+ */
+function extractAcceptanceCriteria(markdown) {
+  const lines = (markdown || '').split('\n');
+  const start = lines.findIndex(line => matchAcceptanceHeading(line) !== null);
+  if (start === -1) {
+    return { description: markdown || '', acceptanceCriteria: null };
+  }
+
+  const level = headingLevel(lines[start]) || 7;
+  let end = lines.length;
+  for (let i = start + 1; i < lines.length; i++) {
+    const lineLevel = headingLevel(lines[i]);
+    if (lineLevel !== null && lineLevel <= level) {
+      end = i;
+      break;
+    }
+  }
+
+  const section = [matchAcceptanceHeading(lines[start]), ...lines.slice(start + 1, end)].join('\n').trim();
+  if (!section) {
+    return { description: markdown, acceptanceCriteria: null };
+  }
+
+  return {
+    description: [...lines.slice(0, start), ...lines.slice(end)].join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    acceptanceCriteria: section
+  };
+}
+
+module.exports = {
+  adfToMarkdown,
+  wikiToMarkdown,
+  toMarkdown,
+  extractAcceptanceCriteria
+};
@@ -0,0 +1,337 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const RUNS_DIR = process.env.RUNS_DIR || path.join(__dirname, '..', 'runs');
+const AGENT_STEPS = ['agent1', 'agent2', 'agent3'];
+
+// Per-run promise chains so concurrent updates to the same record don't clobber each other
+const locks = new Map();
+
+/**
+ * Thrown when a run is not in the state an operation requires
+ */
+class RunStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RunStateError';
+  }
+}
+
+function runFilePath(runId) {
+  if (!/^[\w-]+$/.test(runId)) {
+    throw new Error(`Invalid run id: ${runId}`);
+  }
+  return path.join(RUNS_DIR, `${runId}.json`);
+}
+
+async function writeRun(run) {
+  await fs.mkdir(RUNS_DIR, { recursive: true });
+  const filePath = runFilePath(run.id);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(run, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+function emptyUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Create a new workflow run record.
+ * mode is 'full' (all agents) or 'rerun' (Agent 3 only, reusing previousRunId's PR).
+ */
+async function createRun(issueKey, { trigger = 'webhook', contentHash = null, mode = 'full', previousRunId = null } = {}) {
+  const now = new Date().toISOString();
+  const run = {
+    id: crypto.randomUUID(),
+    issueKey,
+    trigger,
+    mode,
+    contentHash,
+    previousRunId,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    steps: {},
+    prUrls: [],
+    testResults: null,
+    approval: null,
+    usage: { total: emptyUsage() }
+  };
+
+  for (const step of AGENT_STEPS) {
+    run.steps[step] = { status: 'pending', startedAt: null, finishedAt: null, error: null };
+  }
+
+  await writeRun(run);
+  console.log(`📒 Created run ${run.id} for ${issueKey}`);
+  return run;
+}
+
+/**
+ * Get a run record by id, or null if it does not exist
+ */
+async function getRun(runId) {
+  try {
+    const content = await fs.readFile(runFilePath(runId), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Apply a mutation to a run record and persist it
+ */
+function updateRun(runId, mutate) {
+  const previous = locks.get(runId) || Promise.resolve();
+  const next = previous.catch(() => { }).then(async () => {
+    const run = await getRun(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    mutate(run);
+    run.updatedAt = new Date().toISOString();
+    await writeRun(run);
+    return run;
+  });
+
+  locks.set(runId, next);
+  next.finally(() => {
+    if (locks.get(runId) === next) locks.delete(runId);
+  }).catch(() => { });
+
+  return next;
+}
+
+/**
+ * Mark the run as running (again, when it resumes after an approval)
+ */
+function startRun(runId) {
+  return updateRun(runId, run => {
+    run.status = 'running';
+    run.startedAt = run.startedAt || new Date().toISOString();
+  });
+}
+
+/**
+ * Pause the run until a reviewer approves or rejects the output of a step
+ */
+function awaitApproval(runId, step) {
+  return updateRun(runId, run => {
+    run.status = 'awaiting_approval';
+    run.approval = {
+      step,
+      requestedAt: new Date().toISOString(),
+      decisions: (run.approval && run.approval.decisions) || []
+    };
+  });
+}
+
+/**
+ * Record a reviewer's decision ({ decision, feedback, source, by }) on a paused run
+ * and queue it to resume. Throws RunStateError if the run is not awaiting approval,
+ * so a decision is only ever applied once.
+ */
+function resolveApproval(runId, { decision, feedback = null, source = 'api', by = null }) {
+  return updateRun(runId, run => {
+    if (run.status !== 'awaiting_approval') {
+      throw new RunStateError(`Run ${runId} is not awaiting approval (status: ${run.status})`);
+    }
+    run.status = 'queued';
+    run.approval.decisions.push({
+      step: run.approval.step,
+      decision,
+      feedback,
+      source,
+      by,
+      at: new Date().toISOString()
+    });
+    run.approval.step = null;
+    run.approval.requestedAt = null;
+  });
+}
+
+/**
+ * Mark the run as finished with a final status ('completed', 'failed' or 'cancelled')
+ */
+function finishRun(runId, status, error = null) {
+  return updateRun(runId, run => {
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    run.error = error ? error.message || String(error) : null;
+  });
+}
+
+/**
+ * Mark an agent step as running
+ */
+function startStep(runId, step) {
+  return updateRun(runId, run => {
+    run.steps[step] = {
+      ...run.steps[step],
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null
+    };
+  });
+}
+
+/**
+ * Mark an agent step as completed, storing its result
+ */
+function completeStep(runId, step, result = null) {
+  return updateRun(runId, run => {
+    run.steps[step] = {
+      ...run.steps[step],
+      status: 'completed',
+      finishedAt: new Date().toISOString(),
+      result
+    };
+
+    if (result && result.prUrl && !run.prUrls.includes(result.prUrl)) {
+      run.prUrls.push(result.prUrl);
+    }
+  });
+}
+
+/**
+ * Mark an agent step as failed
+ */
+function failStep(runId, step, error) {
+  return updateRun(runId, run => {
+    run.steps[step] = {
+      ...run.steps[step],
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: error.message || String(error)
+    };
+  });
+}
+
+/**
+ * Mark an agent step as skipped
+ */
+function skipStep(runId, step, reason) {
+  return updateRun(runId, run => {
+    run.steps[step] = {
+      ...run.steps[step],
+      status: 'skipped',
+      finishedAt: new Date().toISOString(),
+      error: null,
+      reason
+    };
+  });
+}
+
+/**
+ * Store the final test results of a run
+ */
+function setTestResults(runId, testResults) {
+  return updateRun(runId, run => {
+    run.testResults = testResults;
+    if (testResults && testResults.correctionPrUrl && !run.prUrls.includes(testResults.correctionPrUrl)) {
+      run.prUrls.push(testResults.correctionPrUrl);
+    }
+  });
+}
+
+/**
+ * Add the token usage and estimated cost of one LLM call to the run.
+ * costUsd may be null when the model has no known pricing.
+ */
+function recordUsage(runId, agent, { inputTokens = 0, outputTokens = 0, costUsd = null, model = null }) {
+  return updateRun(runId, run => {
+    run.usage = run.usage || { total: emptyUsage() };
+
+    for (const key of [agent, 'total']) {
+      const bucket = run.usage[key] || (run.usage[key] = emptyUsage());
+      bucket.calls++;
+      bucket.inputTokens += inputTokens;
+      bucket.outputTokens += outputTokens;
+      if (costUsd !== null) bucket.costUsd += costUsd;
+      if (model && key !== 'total') bucket.model = model;
+    }
+  });
+}
+
+/**
+ * Record model output that failed schema validation, with the offending payload
+ * (truncated to keep run records small)
+ */
+function recordOutputFailure(runId, { agent, tool, errors, payload }) {
+  const maxPayload = 20000;
+  return updateRun(runId, run => {
+    run.outputFailures = run.outputFailures || [];
+    run.outputFailures.push({
+      agent,
+      tool,
+      errors,
+      payload: payload && payload.length > maxPayload ? `${payload.slice(0, maxPayload)}\n… (truncated)` : payload,
+      at: new Date().toISOString()
+    });
+  });
+}
+
+/**
+ * List runs, newest first
+ */
+async function listRuns({ issueKey, status, limit = 50 } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(RUNS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const runs = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    try {
+      const content = await fs.readFile(path.join(RUNS_DIR, file), 'utf-8');
+      runs.push(JSON.parse(content));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable run file ${file}: ${error.message}`);
+    }
+  }
+
+  return runs
+    .filter(run => !issueKey || run.issueKey === issueKey)
+    .filter(run => !status || run.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * List runs for a single Jira issue, newest first
+ */
+function listRunsForIssue(issueKey, options = {}) {
+  return listRuns({ ...options, issueKey });
+}
+
+module.exports = {
+  AGENT_STEPS,
+  RunStateError,
+  createRun,
+  getRun,
+  updateRun,
+  startRun,
+  finishRun,
+  awaitApproval,
+  resolveApproval,
+  startStep,
+  completeStep,
+  failStep,
+  skipStep,
+  setTestResults,
+  recordUsage,
+  recordOutputFailure,
+  listRuns,
+  listRunsForIssue
+};
@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { validateSchema, formatSchemaErrors } = require('./json-schema.js');
+const testCaseSchema = require('../schemas/test-cases.v1.schema.json');
+
+const SCHEMA_VERSION = '1.0';
+const TEST_CASE_DIR = process.env.TEST_CASES_DIR || path.join(__dirname, '..', 'test-cases');
+
+// Scenario fields compared between versions (linkedRequirement and changeStatus are bookkeeping)
+const COMPARED_FIELDS = ['title', 'scenario', 'priority', 'preconditions', 'testSteps', 'testData', 'tags'];
+const FIELD_DEFAULTS = { scenario: '', preconditions: [], testData: {}, tags: [] };
+
+class TestCaseValidationError extends Error {
+  constructor(message, errors = [], filePath = null) {
+    super(message);
+    this.name = 'TestCaseValidationError';
+    this.errors = errors;
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Thrown when an issue has no test case document (Agent 1 hasn't run for it yet)
+ */
+class TestCaseNotFoundError extends Error {
+  constructor(filePath) {
+    super(`Test case file not found: ${filePath}`);
+    this.name = 'TestCaseNotFoundError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Path of the test case document for an issue
+ */
+function getTestCasePath(issueKey) {
+  return path.join(TEST_CASE_DIR, `${issueKey}-test-cases.json`);
+}
+
+/**
+ * Bring documents written before the schema was versioned up to the current version.
+ * Those files have the same scenario shape, just no schemaVersion.
+ */
+function upgradeTestCaseDocument(document) {
+  if (document && typeof document === 'object' && !Array.isArray(document) &&
+    document.schemaVersion === undefined && Array.isArray(document.scenarios)) {
+    return { schemaVersion: SCHEMA_VERSION, ...document };
+  }
+  return document;
+}
+
+/**
+ * Validate a test case document against the current schema.
+ * Returns a list of { path, message } errors (empty when valid).
+ */
+function validateTestCaseDocument(document) {
+  const errors = validateSchema(document, testCaseSchema);
+
+  // Uniqueness isn't expressible in our schema subset
+  if (errors.length === 0) {
+    const seen = new Set();
+    document.scenarios.forEach((scenario, index) => {
+      if (seen.has(scenario.id)) {
+        errors.push({ path: `/scenarios/${index}/id`, message: `duplicates test case id ${scenario.id}` });
+      }
+      seen.add(scenario.id);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Throw a TestCaseValidationError if the document doesn't match the schema
+ */
+function assertValidTestCaseDocument(document, filePath = null) {
+  const errors = validateTestCaseDocument(document);
+  if (errors.length > 0) {
+    const source = filePath ? ` in ${filePath}` : '';
+    throw new TestCaseValidationError(
+      `Invalid test case document${source}:\n${formatSchemaErrors(errors)}`,
+      errors,
+      filePath
+    );
+  }
+  return document;
+}
+
+/**
+ * Read, upgrade and validate a test case document.
+ * Accepts an issue key or a file path. Every loader should go through this.
+ * Throws TestCaseNotFoundError when there is no such file, and TestCaseValidationError
+ * when it isn't a valid document.
+ */
+async function readTestCases(issueKeyOrPath) {
+  const filePath = issueKeyOrPath.endsWith('.json') ? issueKeyOrPath : getTestCasePath(issueKeyOrPath);
+
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new TestCaseNotFoundError(filePath);
+    }
+    throw error;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    throw new TestCaseValidationError(`Test case file is not valid JSON (${filePath}): ${error.message}`, [], filePath);
+  }
+
+  return assertValidTestCaseDocument(upgradeTestCaseDocument(document), filePath);
+}
+
+/**
+ * Validate and write a test case document. Returns the file path.
+ */
+async function writeTestCases(issueKey, document) {
+  const filePath = getTestCasePath(issueKey);
+  assertValidTestCaseDocument(document, filePath);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(document, null, 2));
+  return filePath;
+}
+
+function normalizeTitle(title) {
+  return title.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Give scenarios that came back under a new id, but with the same title as a
+ * scenario that is otherwise missing, their previous id back
+ */
+function stabilizeScenarioIds(previous, next) {
+  const previousIds = new Set(previous.scenarios.map(scenario => scenario.id));
+  const nextIds = new Set(next.scenarios.map(scenario => scenario.id));
+  const unclaimed = new Map(previous.scenarios
+    .filter(scenario => !nextIds.has(scenario.id))
+    .map(scenario => [normalizeTitle(scenario.title), scenario.id]));
+
+  return {
+    ...next,
+    scenarios: next.scenarios.map(scenario => {
+      if (previousIds.has(scenario.id)) return scenario;
+      const id = unclaimed.get(normalizeTitle(scenario.title));
+      if (!id) return scenario;
+      unclaimed.delete(normalizeTitle(scenario.title));
+      return { ...scenario, id };
+    })
+  };
+}
+
+/**
+ * Compare two versions of a test case document by scenario id.
+ * Returns { previousGeneratedAt, added: [id], modified: [{ id, fields }], removed: [{ id, title }], unchanged: [id] }
+ */
+function diffTestCaseDocuments(previous, next) {
+  const previousById = new Map(previous.scenarios.map(scenario => [scenario.id, scenario]));
+  const nextIds = new Set(next.scenarios.map(scenario => scenario.id));
+  const valueOf = (scenario, field) => (scenario[field] === undefined ? FIELD_DEFAULTS[field] : scenario[field]);
+
+  const diff = {
+    previousGeneratedAt: previous.generatedAt || null,
+    added: [],
+    modified: [],
+    removed: previous.scenarios
+      .filter(scenario => !nextIds.has(scenario.id))
+      .map(scenario => ({ id: scenario.id, title: scenario.title })),
+    unchanged: []
+  };
+
+  for (const scenario of next.scenarios) {
+    const before = previousById.get(scenario.id);
+    if (!before) {
+      diff.added.push(scenario.id);
+      continue;
+    }
+    const fields = COMPARED_FIELDS.filter(field => !isDeepStrictEqual(valueOf(before, field), valueOf(scenario, field)));
+    if (fields.length > 0) {
+      diff.modified.push({ id: scenario.id, fields });
+    } else {
+      diff.unchanged.push(scenario.id);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Reconcile a freshly generated document with the previous version (or null):
+ * restores stable ids, marks every scenario's changeStatus and records the
+ * added/modified/removed ids in document.changes.
+ */
+function applyPreviousVersion(previous, next) {
+  if (!previous) {
+    return {
+      ...next,
+      scenarios: next.scenarios.map(scenario => ({ ...scenario, changeStatus: 'added' }))
+    };
+  }
+
+  const stable = stabilizeScenarioIds(previous, next);
+  const { unchanged, ...changes } = diffTestCaseDocuments(previous, stable);
+  const modifiedIds = new Set(changes.modified.map(change => change.id));
+
+  return {
+    ...stable,
+    scenarios: stable.scenarios.map(scenario => ({
+      ...scenario,
+      changeStatus: changes.added.includes(scenario.id)
+        ? 'added'
+        : modifiedIds.has(scenario.id) ? 'modified' : 'unchanged'
+    })),
+    changes
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  testCaseSchema,
+  TestCaseValidationError,
+  TestCaseNotFoundError,
+  getTestCasePath,
+  upgradeTestCaseDocument,
+  validateTestCaseDocument,
+  assertValidTestCaseDocument,
+  readTestCases,
+  writeTestCases,
+  stabilizeScenarioIds,
+  diffTestCaseDocuments,
+  applyPreviousVersion
+};
@@ -0,0 +1,293 @@
+const axios = require('axios');
+const {
+  searchIssues,
+  createIssue,
+  updateIssueFields,
+  linkIssues,
+  getCustomFieldId
+} = require('./jira-utils.js');
+
+/**
+ * Export Agent 1's scenarios as individually trackable test cases.
+ *
+ * TEST_EXPORT_MODE:
+ * - none (default): scenarios are only posted as a comment
+ * - jira: one issue of type TEST_ISSUE_TYPE per scenario, steps as a table in the description
+ * - xray: like jira, with the steps in Xray's "Manual Test Steps" field
+ * - zephyr: one Zephyr Scale test case per scenario, with step-by-step script and issue coverage link
+ *
+ * Every exported case carries the label tc-<ISSUE>-<TCxxx>, which is how re-runs find
+ * and update the existing case instead of creating a duplicate.
+ */
+const EXPORT_MODES = ['none', 'jira', 'xray', 'zephyr'];
+
+// Zephyr Scale's default priorities
+const ZEPHYR_PRIORITIES = { High: 'High', Medium: 'Normal', Low: 'Low' };
+
+function getExportConfig() {
+  const mode = (process.env.TEST_EXPORT_MODE || 'none').toLowerCase();
+  if (!EXPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown TEST_EXPORT_MODE "${mode}". Use one of: ${EXPORT_MODES.join(', ')}`);
+  }
+
+  return {
+    mode,
+    projectKey: process.env.TEST_PROJECT_KEY || null,
+    issueType: process.env.TEST_ISSUE_TYPE || 'Test',
+    linkType: process.env.TEST_LINK_TYPE || 'Test',
+    xrayStepsField: process.env.XRAY_STEPS_FIELD || 'Manual Test Steps',
+    xrayTestTypeField: process.env.XRAY_TEST_TYPE_FIELD || 'Test Type',
+    zephyrApiUrl: (process.env.ZEPHYR_API_URL || 'https://api.zephyrscale.smartbear.com/v2').replace(/\/$/, ''),
+    zephyrApiToken: process.env.ZEPHYR_API_TOKEN
+  };
+}
+
+/**
+ * Label that identifies the exported case for a scenario
+ */
+function getScenarioLabel(issueKey, scenarioId) {
+  return `tc-${issueKey}-${scenarioId}`;
+}
+
+// Jira labels can't contain spaces
+function toLabel(tag) {
+  return tag.trim().replace(/\s+/g, '-');
+}
+
+function getLabels(issueKey, scenario) {
+  return [getScenarioLabel(issueKey, scenario.id), ...(scenario.tags || []).map(toLabel).filter(Boolean)];
+}
+
+function getSummary(scenario) {
+  return `${scenario.id}: ${scenario.title}`.slice(0, 255);
+}
+
+/**
+ * Wiki markup description of a scenario. Steps are included unless the
+ * step format stores them elsewhere.
+ */
+function buildDescription(issueKey, scenario, includeSteps) {
+  let description = `Generated from ${issueKey} by Agent 1.\n\n`;
+  if (scenario.scenario) {
+    description += `*Scenario:* ${scenario.scenario}\n`;
+  }
+  description += `*Priority:* ${scenario.priority}\n\n`;
+
+  if (scenario.preconditions.length > 0) {
+    description += `*Preconditions:*\n${scenario.preconditions.map(pre => `* ${pre}`).join('\n')}\n\n`;
+  }
+
+  if (includeSteps) {
+    description += '||#||Action||Expected Result||\n';
+    scenario.testSteps.forEach(step => {
+      description += `|${step.step}|${escapeTableCell(step.action)}|${escapeTableCell(step.expectedResult)}|\n`;
+    });
+    description += '\n';
+  }
+
+  if (scenario.testData && Object.keys(scenario.testData).length > 0) {
+    description += `*Test Data:*\n{code:json}\n${JSON.stringify(scenario.testData, null, 2)}\n{code}\n`;
+  }
+
+  return description.trim();
+}
+
+function escapeTableCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Xray "Manual Test Steps" field value
+ */
+function buildXraySteps(scenario) {
+  const testData = scenario.testData && Object.keys(scenario.testData).length > 0
+    ? JSON.stringify(scenario.testData)
+    : '';
+  return {
+    steps: scenario.testSteps.map((step, index) => ({
+      index: index + 1,
+      step: step.action,
+      data: index === 0 ? testData : '',
+      result: step.expectedResult
+    }))
+  };
+}
+
+async function resolveXrayFields(config) {
+  const stepsFieldId = await getCustomFieldId(config.xrayStepsField);
+  if (!stepsFieldId) {
+    throw new Error(`Xray field "${config.xrayStepsField}" not found. Set XRAY_STEPS_FIELD to the Manual Test Steps field name.`);
+  }
+  const testTypeFieldId = await getCustomFieldId(config.xrayTestTypeField);
+  return { stepsFieldId, testTypeFieldId };
+}
+
+function buildTestIssueFields(issueKey, scenario, config, xrayFields) {
+  const fields = {
+    summary: getSummary(scenario),
+    description: buildDescription(issueKey, scenario, config.mode !== 'xray'),
+    labels: getLabels(issueKey, scenario)
+  };
+
+  if (xrayFields) {
+    fields[xrayFields.stepsFieldId] = buildXraySteps(scenario);
+    if (xrayFields.testTypeFieldId) {
+      fields[xrayFields.testTypeFieldId] = { value: 'Manual' };
+    }
+  }
+
+  return fields;
+}
+
+function isLinkedTo(testIssue, issueKey) {
+  return (testIssue.fields.issuelinks || []).some(link =>
+    (link.outwardIssue && link.outwardIssue.key === issueKey) ||
+    (link.inwardIssue && link.inwardIssue.key === issueKey)
+  );
+}
+
+/**
+ * Create or update one Jira test issue per scenario and link each to the source issue
+ */
+async function exportToJira(issue, scenarios, config) {
+  const projectKey = config.projectKey || (issue.fields.project && issue.fields.project.key) || issue.key.split('-')[0];
+  const labels = scenarios.map(scenario => getScenarioLabel(issue.key, scenario.id));
+  const existingIssues = await searchIssues(
+    `labels in (${labels.map(label => `"${label}"`).join(', ')})`,
+    ['labels', 'issuelinks'],
+    labels.length + 50
+  );
+  const xrayFields = config.mode === 'xray' ? await resolveXrayFields(config) : null;
+
+  const exported = [];
+  for (const scenario of scenarios) {
+    const label = getScenarioLabel(issue.key, scenario.id);
+    const existing = existingIssues.find(candidate => (candidate.fields.labels || []).includes(label));
+    const fields = buildTestIssueFields(issue.key, scenario, config, xrayFields);
+
+    let key;
+    if (existing) {
+      key = existing.key;
+      await updateIssueFields(key, fields);
+    } else {
+      key = await createIssue({
+        project: { key: projectKey },
+        issuetype: { name: config.issueType },
+        ...fields
+      });
+    }
+
+    if (!existing || !isLinkedTo(existing, issue.key)) {
+      await linkIssues(config.linkType, key, issue.key);
+    }
+
+    exported.push({ id: scenario.id, title: scenario.title, key, action: existing ? 'updated' : 'created' });
+  }
+
+  return exported;
+}
+
+function zephyrClient(config) {
+  if (!config.zephyrApiToken) {
+    throw new Error('ZEPHYR_API_TOKEN is not set');
+  }
+  return axios.create({
+    baseURL: config.zephyrApiUrl,
+    headers: { Authorization: `Bearer ${config.zephyrApiToken}` }
+  });
+}
+
+/**
+ * Zephyr Scale test cases with a coverage link to the issue. Every exported case gets
+ * one, so this finds them without listing the whole project (Zephyr can't search by label).
+ */
+async function findLinkedZephyrTestCases(client, issueKey) {
+  const { data: links } = await client.get(`/issuelinks/${issueKey}/testcases`);
+  const keys = [...new Set((links || []).map(link => link.key))];
+
+  const testCases = [];
+  for (const key of keys) {
+    const { data } = await client.get(`/testcases/${key}`);
+    testCases.push(data);
+  }
+  return testCases;
+}
+
+/**
+ * Create or update one Zephyr Scale test case per scenario, with its steps
+ * and a coverage link to the source issue
+ */
+async function exportToZephyr(issue, scenarios, config) {
+  const client = zephyrClient(config);
+  const projectKey = config.projectKey || (issue.fields.project && issue.fields.project.key) || issue.key.split('-')[0];
+  const existingCases = await findLinkedZephyrTestCases(client, issue.key);
+
+  const exported = [];
+  for (const scenario of scenarios) {
+    const label = getScenarioLabel(issue.key, scenario.id);
+    const existing = existingCases.find(testCase => (testCase.labels || []).includes(label));
+    const details = {
+      name: getSummary(scenario),
+      objective: scenario.scenario || scenario.title,
+      precondition: scenario.preconditions.join('<br>'),
+      labels: getLabels(issue.key, scenario)
+    };
+
+    let key;
+    if (existing) {
+      key = existing.key;
+      // Zephyr Scale's PUT takes the whole test case
+      await client.put(`/testcases/${key}`, { ...existing, ...details });
+    } else {
+      const { data } = await client.post('/testcases', {
+        projectKey,
+        priorityName: ZEPHYR_PRIORITIES[scenario.priority],
+        ...details
+      });
+      key = data.key;
+    }
+
+    await client.post(`/testcases/${key}/teststeps`, {
+      mode: 'OVERWRITE',
+      items: scenario.testSteps.map((step, index) => ({
+        inline: {
+          description: step.action,
+          testData: index === 0 && scenario.testData ? JSON.stringify(scenario.testData) : '',
+          expectedResult: step.expectedResult
+        }
+      }))
+    });
+
+    if (!existing) {
+      await client.post(`/testcases/${key}/links/issues`, { issueId: Number(issue.id) });
+    }
+
+    console.log(`✅ ${existing ? 'Updated' : 'Created'} Zephyr Scale test case ${key}`);
+    exported.push({ id: scenario.id, title: scenario.title, key, action: existing ? 'updated' : 'created' });
+  }
+
+  return exported;
+}
+
+/**
+ * Export a test case document's scenarios for an issue according to TEST_EXPORT_MODE.
+ * Returns [{ id, title, key, action: 'created' | 'updated' }], empty when export is off.
+ */
+async function exportTestCases(issue, document) {
+  const config = getExportConfig();
+  if (config.mode === 'none') {
+    return [];
+  }
+
+  console.log(`🔄 Exporting ${document.scenarios.length} test cases (${config.mode})...`);
+  return config.mode === 'zephyr'
+    ? exportToZephyr(issue, document.scenarios, config)
+    : exportToJira(issue, document.scenarios, config);
+}
+
+module.exports = {
+  EXPORT_MODES,
+  getExportConfig,
+  getScenarioLabel,
+  exportTestCases
+};
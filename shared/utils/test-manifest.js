@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Test manifests record which spec files, test titles and page objects Agent 2
+ * generated for an issue. Agent 2 commits one per issue next to the tests
+ * (tests/manifests/<ISSUE>.json) and Agent 3 reads it to run only that issue's tests.
+ */
+const MANIFEST_DIR = 'tests/manifests';
+
+const DESCRIBE_CALL = /test\.describe(?:\.\w+)?\(\s*(['"`])(.+?)\1/;
+const TEST_CALL = /^\s*test(?:\.only|\.skip|\.fixme|\.fail)?\(\s*(['"`])(.+?)\1/;
+const IMPORT_FROM = /^\s*import\s[^'"]*from\s+['"]([^'"]+)['"]/gm;
+
+/**
+ * Repository-relative manifest path for an issue
+ */
+function getManifestPath(issueKey) {
+  return `${MANIFEST_DIR}/${issueKey}.json`;
+}
+
+/**
+ * Playwright tag generated tests carry, e.g. "@SCRUM-6"
+ */
+function getIssueTag(issueKey) {
+  return `@${issueKey}`;
+}
+
+/**
+ * Titles of the tests in a spec, prefixed with their test.describe() title
+ * ("User login › should login"). Regex based like the page object index in
+ * Agent 2's repo-context.js; one level of test.describe() is tracked.
+ */
+function listTestTitles(source) {
+  const titles = [];
+  let describe = null;
+
+  for (const line of source.split('\n')) {
+    const describeMatch = line.match(DESCRIBE_CALL);
+    if (describeMatch) {
+      describe = describeMatch[2];
+      continue;
+    }
+    const testMatch = line.match(TEST_CALL);
+    if (testMatch) {
+      titles.push(describe ? `${describe} › ${testMatch[2]}` : testMatch[2]);
+    }
+  }
+
+  return titles;
+}
+
+/**
+ * Repository-relative files a source file imports through relative paths
+ * (extension added as ".ts" when missing)
+ */
+function listRelativeImports(filePath, source) {
+  const imports = [];
+  for (const [, specifier] of source.matchAll(IMPORT_FROM)) {
+    if (!specifier.startsWith('.')) continue;
+    const resolved = path.posix.join(path.posix.dirname(filePath), specifier);
+    imports.push(path.posix.extname(resolved) ? resolved : `${resolved}.ts`);
+  }
+  return imports;
+}
+
+/**
+ * Build an issue's manifest from its spec files ([{ path, content }]) and page objects (paths)
+ */
+function buildManifest(issueKey, specs, pageObjects) {
+  return {
+    issueKey,
+    tag: getIssueTag(issueKey),
+    specs: specs.map(spec => ({ file: spec.path, tests: listTestTitles(spec.content) })),
+    pageObjects: [...new Set(pageObjects)].sort()
+  };
+}
+
+/**
+ * An issue's manifest in a checked out repository, or null when there is none
+ */
+async function readManifest(repoDir, issueKey) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(repoDir, getManifestPath(issueKey)), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Write an issue's manifest into a checked out repository
+ */
+async function writeManifest(repoDir, manifest) {
+  const manifestPath = path.join(repoDir, getManifestPath(manifest.issueKey));
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  getManifestPath,
+  getIssueTag,
+  listTestTitles,
+  listRelativeImports,
+  buildManifest,
+  readManifest,
+  writeManifest
+};
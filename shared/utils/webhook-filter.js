@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+/**
+ * Read a comma-separated list from an environment variable
+ */
+function envList(name, defaultValue = '') {
+  return (process.env[name] || defaultValue)
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+function getFilterConfig() {
+  return {
+    events: envList('WEBHOOK_EVENTS', 'jira:issue_created,jira:issue_updated'),
+    projects: envList('WEBHOOK_PROJECTS').map(p => p.toUpperCase()),
+    issueTypes: envList('WEBHOOK_ISSUE_TYPES').map(t => t.toLowerCase()),
+    labels: envList('WEBHOOK_LABELS'),
+    changedFields: envList('WEBHOOK_CHANGED_FIELDS').map(f => f.toLowerCase())
+  };
+}
+
+const stats = {
+  accepted: 0,
+  rejected: 0,
+  rejectedByReason: {},
+  lastRejection: null
+};
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify a Jira webhook request against JIRA_WEBHOOK_SECRET.
+ *
+ * Accepts either an HMAC-SHA256 signature of the raw body in the
+ * X-Hub-Signature header ("sha256=<hex>", as sent by Jira Cloud webhooks
+ * with a secret), or the shared secret itself in the X-Webhook-Secret
+ * header or ?secret= query parameter (for Jira Automation web requests).
+ */
+function verifyWebhookSignature(req) {
+  const secret = process.env.JIRA_WEBHOOK_SECRET;
+  if (!secret) {
+    return { valid: true, reason: 'verification disabled' };
+  }
+
+  const signatureHeader = req.get('x-hub-signature');
+  if (signatureHeader) {
+    const [algorithm, signature] = signatureHeader.split('=');
+    if (algorithm !== 'sha256' || !signature) {
+      return { valid: false, reason: 'unsupported signature algorithm' };
+    }
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || '')
+      .digest('hex');
+    return safeEqual(signature, expected)
+      ? { valid: true, reason: 'hmac' }
+      : { valid: false, reason: 'invalid signature' };
+  }
+
+  const sharedSecret = req.get('x-webhook-secret') || req.query.secret;
+  if (sharedSecret) {
+    return safeEqual(String(sharedSecret), secret)
+      ? { valid: true, reason: 'shared secret' }
+      : { valid: false, reason: 'invalid shared secret' };
+  }
+
+  return { valid: false, reason: 'missing signature' };
+}
+
+/**
+ * Decide whether a verified webhook payload should start a workflow
+ */
+function filterWebhookEvent(payload) {
+  const config = getFilterConfig();
+  const issue = payload.issue;
+  const fields = (issue && issue.fields) || {};
+
+  if (!issue) {
+    return { accepted: false, reason: 'no issue in payload' };
+  }
+
+  if (config.events.length > 0 && !config.events.includes(payload.webhookEvent)) {
+    return { accepted: false, reason: `event ${payload.webhookEvent || 'unknown'} not enabled` };
+  }
+
+  const projectKey = (fields.project && fields.project.key) || issue.key.split('-')[0];
+  if (config.projects.length > 0 && !config.projects.includes(projectKey.toUpperCase())) {
+    return { accepted: false, reason: `project ${projectKey} not enabled` };
+  }
+
+  const issueType = fields.issuetype && fields.issuetype.name;
+  if (config.issueTypes.length > 0 && !(issueType && config.issueTypes.includes(issueType.toLowerCase()))) {
+    return { accepted: false, reason: `issue type ${issueType || 'unknown'} not enabled` };
+  }
+
+  const labels = fields.labels || [];
+  if (config.labels.length > 0 && !labels.some(label => config.labels.includes(label))) {
+    return { accepted: false, reason: 'no matching label' };
+  }
+
+  // Changed-field filtering only applies to updates; creations always carry every field
+  if (config.changedFields.length > 0 && payload.webhookEvent === 'jira:issue_updated') {
+    const items = (payload.changelog && payload.changelog.items) || [];
+    const changed = items.map(item => String(item.field || item.fieldId || '').toLowerCase());
+    if (!changed.some(field => config.changedFields.includes(field))) {
+      return { accepted: false, reason: 'no watched field changed' };
+    }
+  }
+
+  return { accepted: true, reason: null };
+}
+
+/**
+ * Count an accepted event
+ */
+function recordAccepted() {
+  stats.accepted++;
+}
+
+/**
+ * Log and count a rejected event
+ */
+function recordRejected(reason, payload = {}) {
+  const issueKey = payload.issue ? payload.issue.key : 'n/a';
+  console.warn(`🚫 Rejected webhook (${payload.webhookEvent || 'unknown event'}, ${issueKey}): ${reason}`);
+
+  stats.rejected++;
+  stats.rejectedByReason[reason] = (stats.rejectedByReason[reason] || 0) + 1;
+  stats.lastRejection = {
+    reason,
+    issueKey,
+    webhookEvent: payload.webhookEvent || null,
+    at: new Date().toISOString()
+  };
+}
+
+function getWebhookStats() {
+  return {
+    ...stats,
+    rejectedByReason: { ...stats.rejectedByReason },
+    verificationEnabled: Boolean(process.env.JIRA_WEBHOOK_SECRET),
+    filters: getFilterConfig()
+  };
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  filterWebhookEvent,
+  recordAccepted,
+  recordRejected,
+  getWebhookStats
+};
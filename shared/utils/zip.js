@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Minimal zip writer for folders such as Playwright's HTML report, so attaching one
+ * to Jira needs no archiver dependency. Files are deflated as streams straight into the
+ * archive, so neither a large file nor the archive is ever held in memory; zip64
+ * (archives or files over 4 GB) is not supported.
+ */
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// CRC-32 of the data so far, updated with the next chunk (start from 0)
+function crc32(chunk, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of chunk) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields of a zip entry
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Files under dir as forward-slash paths relative to baseDir, sorted
+async function listFiles(baseDir, dir = baseDir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(baseDir, fullPath));
+    } else if (entry.isFile()) {
+      files.push(path.relative(baseDir, fullPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * Deflate the file at fullPath into the archive at position.
+ * Returns { crc, size, compressedSize }.
+ */
+async function writeCompressed(handle, fullPath, position) {
+  const entry = { crc: 0, size: 0, compressedSize: 0 };
+  await pipeline(
+    createReadStream(fullPath),
+    async function* (source) {
+      for await (const chunk of source) {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        yield chunk;
+      }
+    },
+    zlib.createDeflateRaw(),
+    async function (source) {
+      for await (const chunk of source) {
+        await handle.write(chunk, 0, chunk.length, position + entry.compressedSize);
+        entry.compressedSize += chunk.length;
+      }
+    }
+  );
+  return entry;
+}
+
+/**
+ * Zip the files under sourceDir into outPath. Entry names are relative to sourceDir.
+ * Returns { files, size }: the number of files and the size of the archive in bytes.
+ */
+async function createZip(sourceDir, outPath) {
+  const files = await listFiles(sourceDir);
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  const handle = await fs.open(outPath, 'w');
+
+  try {
+    const centralParts = [];
+    let offset = 0;
+
+    for (const name of files) {
+      const fullPath = path.join(sourceDir, ...name.split('/'));
+      const stats = await fs.stat(fullPath);
+      const nameBuffer = Buffer.from(name, 'utf-8');
+      const { time, date } = toDosDateTime(stats.mtime);
+
+      if (stats.size > MAX_SIZE || offset > MAX_SIZE) {
+        throw new Error(`Cannot zip ${sourceDir}: it is larger than 4 GB`);
+      }
+
+      // The CRC and sizes are filled in once the file has been compressed
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+      local.writeUInt16LE(20, 4); // version needed to extract
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(8, 8); // deflate
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt16LE(nameBuffer.length, 26);
+      local.writeUInt16LE(0, 28);
+      await handle.write(Buffer.concat([local, nameBuffer]), 0, local.length + nameBuffer.length, offset);
+
+      const { crc, size, compressedSize } = await writeCompressed(handle, fullPath, offset + local.length + nameBuffer.length);
+      if (size > MAX_SIZE || compressedSize > MAX_SIZE) {
+        throw new Error(`Cannot zip ${sourceDir}: it is larger than 4 GB`);
+      }
+      const sizes = Buffer.alloc(12);
+      sizes.writeUInt32LE(crc, 0);
+      sizes.writeUInt32LE(compressedSize, 4);
+      sizes.writeUInt32LE(size, 8);
+      await handle.write(sizes, 0, sizes.length, offset + 14);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressedSize, 20);
+      central.writeUInt32LE(size, 24);
+      central.writeUInt16LE(nameBuffer.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      centralParts.push(central, nameBuffer);
+      offset += local.length + nameBuffer.length + compressedSize;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    if (files.length > 0xffff || offset + centralDirectory.length > MAX_SIZE) {
+      throw new Error(`Cannot zip ${sourceDir}: too many files or larger than 4 GB`);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    const tail = Buffer.concat([centralDirectory, end]);
+    await handle.write(tail, 0, tail.length, offset);
+    await handle.close();
+    return { files: files.length, size: offset + tail.length };
+  } catch (error) {
+    // No half-written archive is left behind
+    await handle.close();
+    await fs.rm(outPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  createZip
+};
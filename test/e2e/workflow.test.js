@@ -0,0 +1,732 @@
+/**
+ * End-to-end tests: drive /jira-webhook through all three agents with
+ * MOCK_SERVICES=true, so no network, credentials or browsers are needed.
+ */
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration is read when the modules load, so it has to be set first
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-test-automation-e2e-'));
+const WEBHOOK_SECRET = 'e2e-secret';
+Object.assign(process.env, {
+  MOCK_SERVICES: 'true',
+  JIRA_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  RUNS_DIR: path.join(tmpDir, 'runs'),
+  JOB_WORKSPACE_ROOT: path.join(tmpDir, 'workspaces'),
+  TEST_CASES_DIR: path.join(tmpDir, 'test-cases'),
+  GITHUB_USERNAME: 'mock-user',
+  GITHUB_TOKEN: 'mock-token'
+});
+delete process.env.TARGET_REPO_URL;
+delete process.env.LLM_PROVIDER;
+delete process.env.LLM_FIXTURES_DIR;
+delete process.env.PLAYWRIGHT_COMMAND;
+
+const app = require('../../server.js');
+const jiraMock = require('../../shared/mocks/jira.js');
+const githubMock = require('../../shared/mocks/github.js');
+const fakeLlm = require('../../shared/llm/providers/fake.js');
+const runStore = require('../../shared/utils/run-store.js');
+const { readTestCases } = require('../../shared/utils/test-cases.js');
+
+let server;
+let baseUrl;
+
+const ISSUE = {
+  key: 'E2E-1',
+  fields: {
+    summary: 'Password reset by email',
+    description: 'Users can request a password reset link from the login page.',
+    labels: ['auth'],
+    customfield_10035: '- A reset link is emailed\n- Unknown emails show an error'
+  }
+};
+
+function signedWebhook(payload) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+  return fetch(`${baseUrl}/jira-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Hub-Signature': `sha256=${signature}` },
+    body
+  });
+}
+
+async function waitForRun(runId, statuses = ['completed', 'failed', 'cancelled'], timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const run = await fetch(`${baseUrl}/runs/${runId}`).then(res => res.json());
+    if (statuses.includes(run.status)) {
+      return run;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Run ${runId} did not reach ${statuses.join('/')} within ${timeoutMs}ms`);
+}
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await githubMock.reset();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  jiraMock.reset();
+  await githubMock.reset();
+  fakeLlm.reset();
+});
+
+test('webhook runs Agent 1, 2 and 3 against the mocked services', async () => {
+  jiraMock.seedIssue(ISSUE);
+
+  const res = await signedWebhook({ webhookEvent: 'jira:issue_created', issue: ISSUE });
+  assert.equal(res.status, 200);
+  const { runId, mode } = await res.json();
+  assert.equal(mode, 'full');
+
+  const run = await waitForRun(runId);
+  assert.equal(run.status, 'completed', run.error);
+  for (const step of ['agent1', 'agent2', 'agent3']) {
+    assert.equal(run.steps[step].status, 'completed', `${step}: ${run.steps[step].error}`);
+  }
+
+  // Agent 1: schema-valid test cases from the recorded LLM response
+  const document = await readTestCases(ISSUE.key);
+  assert.equal(document.issueKey, ISSUE.key);
+  assert.deepEqual(document.scenarios.map(s => s.id), ['TC001', 'TC002']);
+  const agent1Prompt = fakeLlm.getRequests().find(r => r.agent === 'agent1').messages[0].content;
+  assert.match(agent1Prompt, /Password reset by email/);
+  assert.match(agent1Prompt, /A reset link is emailed/);
+
+  // Agent 2: branch pushed to the bare remote and a PR opened from it
+  const [pullRequest] = githubMock.getPullRequests();
+  assert.ok(pullRequest, 'expected a pull request');
+  assert.equal(pullRequest.base, 'main');
+  assert.match(pullRequest.head, /^feature\/E2E-1-tests-/);
+  assert.ok((await githubMock.listBranches()).includes(pullRequest.head));
+  assert.deepEqual(run.prUrls, [pullRequest.html_url]);
+  assert.deepEqual(run.steps.agent2.result.files, ['tests/pages/DashboardPage.ts', 'tests/e2e/user-login.spec.ts']);
+  const agent2Prompt = fakeLlm.getRequests().find(r => r.agent === 'agent2').messages[0].content;
+  assert.match(agent2Prompt, /tests\/pages\/LoginPage\.ts: class LoginPage extends BasePage/);
+  assert.match(agent2Prompt, /SAMPLE SPEC \(tests\/e2e\/login\.spec\.ts\)/);
+
+  // Agent 3: executed with the fake Playwright runner, results read from its JSON report
+  assert.equal(run.testResults.failed, 0);
+  assert.equal(run.testResults.totalTests, 2);
+  assert.equal(run.testResults.passed, 2);
+  assert.deepEqual(run.testResults.projects, { chromium: { total: 2, passed: 2, failed: 0, flaky: 0, skipped: 0 } });
+
+  // Agent 3 attached the zipped HTML report and linked it from its comment
+  const [reportAttachment] = run.testResults.attachments;
+  assert.equal(run.testResults.attachments.length, 1);
+  assert.match(reportAttachment.filename, /^agent3-\d{14}-playwright-report\.zip$/);
+  assert.deepEqual(jiraMock.getAttachments(ISSUE.key).map(a => a.filename), [reportAttachment.filename]);
+
+  // Every agent reported back to the Jira issue
+  const comments = jiraMock.getComments(ISSUE.key).map(c => c.body);
+  assert.ok(comments.some(c => c.includes('Agent 1 completed')), 'Agent 1 comment');
+  assert.ok(comments.some(c => c.includes('Agent 2 completed') && c.includes(pullRequest.html_url)), 'Agent 2 comment');
+  assert.ok(comments.some(c => c.includes('Agent 3: Test Execution Complete') && c.includes(`[^${reportAttachment.filename}]`)), 'Agent 3 comment');
+
+  // Usage from the fake provider is attributed to the run
+  assert.equal(run.usage.total.calls, 2);
+});
+
+test('webhook without a valid signature is rejected', async () => {
+  const res = await fetch(`${baseUrl}/jira-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Hub-Signature': 'sha256=deadbeef' },
+    body: JSON.stringify({ webhookEvent: 'jira:issue_created', issue: ISSUE })
+  });
+  assert.equal(res.status, 401);
+  assert.equal(githubMock.getPullRequests().length, 0);
+});
+
+test('a shared secret in the query string is accepted and kept out of the request log', async () => {
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    const res = await fetch(`${baseUrl}/jira-webhook?secret=${WEBHOOK_SECRET}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ webhookEvent: 'comment_created', issue: { key: ISSUE.key }, comment: { body: 'thanks' } })
+    });
+    assert.equal(res.status, 200);
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(logged.some(line => line.includes('POST /jira-webhook?secret=[REDACTED]')), 'request logged');
+  assert.ok(!logged.some(line => line.includes(WEBHOOK_SECRET)), 'secret not logged');
+});
+
+test('Agent 2 for an issue without test cases is answered with 404', async () => {
+  const issue = { ...ISSUE, key: 'E2E-404' };
+  jiraMock.seedIssue(issue);
+
+  const res = await fetch(`${baseUrl}/agents/2`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: issue.key })
+  });
+  assert.equal(res.status, 404);
+  assert.match((await res.json()).error, /Test case file not found: .*E2E-404-test-cases\.json\. Run Agent 1 for E2E-404 first\./);
+});
+
+test('unchanged issue is skipped after a completed run', async () => {
+  const issue = { ...ISSUE, key: 'E2E-2' };
+  jiraMock.seedIssue(issue);
+
+  const first = await signedWebhook({ webhookEvent: 'jira:issue_updated', issue }).then(res => res.json());
+  await waitForRun(first.runId);
+
+  const second = await signedWebhook({ webhookEvent: 'jira:issue_updated', issue }).then(res => res.json());
+  assert.equal(second.status, 'skipped');
+  assert.equal(second.previousRunId, first.runId);
+});
+
+test('invalid LLM output is repaired before Agent 2 runs', async () => {
+  const issue = { ...ISSUE, key: 'E2E-3' };
+  jiraMock.seedIssue(issue);
+  fakeLlm.queueResponse('agent1', JSON.stringify({ scenarios: [{ id: 'TC1', title: 'Missing steps' }] }));
+
+  const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+  const run = await waitForRun(runId);
+
+  assert.equal(run.status, 'completed', run.error);
+  const agent1Requests = fakeLlm.getRequests().filter(r => r.agent === 'agent1');
+  assert.equal(agent1Requests.length, 2);
+  assert.match(agent1Requests[1].messages.at(-1).content, /\/scenarios\/0\/testSteps is required/);
+});
+
+test('manual trigger fetches the issue from Jira', async () => {
+  const missing = await fetch(`${baseUrl}/agents/all`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: 'NOPE-1' })
+  });
+  assert.equal(missing.status, 404);
+
+  const res = await fetch(`${baseUrl}/agents/all`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: 'SCRUM-6' })
+  });
+  assert.equal(res.status, 200);
+  const { runId } = await res.json();
+
+  const run = await waitForRun(runId);
+  assert.equal(run.status, 'completed', run.error);
+  assert.equal(run.trigger, 'manual');
+});
+
+// Make the run store's reads and writes fail while fn runs
+async function withFailingRunStore(fn) {
+  const saved = { createRun: runStore.createRun, listRunsForIssue: runStore.listRunsForIssue };
+  const fail = async () => { throw new Error('EIO: run store unavailable'); };
+  Object.assign(runStore, { createRun: fail, listRunsForIssue: fail });
+  try {
+    await fn();
+  } finally {
+    Object.assign(runStore, saved);
+  }
+}
+
+test('run store errors are answered with 500 instead of crashing the server', async () => {
+  await withFailingRunStore(async () => {
+    const res = await fetch(`${baseUrl}/agents/all`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ issueKey: 'SCRUM-6' })
+    });
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: 'EIO: run store unavailable' });
+
+    const webhook = await signedWebhook({ webhookEvent: 'jira:issue_created', issue: ISSUE });
+    assert.equal(webhook.status, 500);
+    assert.deepEqual(await webhook.json(), { error: 'EIO: run store unavailable' });
+
+    const approvalComment = await signedWebhook({
+      webhookEvent: 'comment_created',
+      issue: { key: ISSUE.key },
+      comment: { body: 'approve', author: { displayName: 'Reviewer' } }
+    });
+    assert.equal(approvalComment.status, 500);
+    assert.deepEqual(await approvalComment.json(), { error: 'EIO: run store unavailable' });
+  });
+
+  const health = await fetch(`${baseUrl}/health`);
+  assert.equal(health.status, 200);
+});
+
+test('exports scenarios as linked Xray test issues and updates them on re-runs', async () => {
+  const issue = { ...ISSUE, key: 'E2E-4' };
+  jiraMock.seedIssue(issue);
+  process.env.TEST_EXPORT_MODE = 'xray';
+
+  try {
+    const runAll = () => fetch(`${baseUrl}/agents/all`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ issueKey: issue.key, force: true })
+    }).then(res => res.json()).then(({ runId }) => waitForRun(runId));
+
+    const first = await runAll();
+    assert.equal(first.status, 'completed', first.error);
+    assert.deepEqual(first.steps.agent1.result.exportedTests.map(t => [t.id, t.action]), [['TC001', 'created'], ['TC002', 'created']]);
+
+    const testIssues = () => jiraMock.getIssues().filter(i => i.fields.issuetype.name === 'Test');
+    const [tc1] = testIssues();
+    assert.equal(testIssues().length, 2);
+    assert.equal(tc1.fields.summary, 'TC001: Verify user can login with valid credentials');
+    assert.ok(tc1.fields.labels.includes('tc-E2E-4-TC001'));
+    assert.deepEqual(tc1.fields.issuelinks, [{ type: { name: 'Test' }, outwardIssue: { key: issue.key } }]);
+    assert.equal(tc1.fields.customfield_10101.steps[1].result, 'User is redirected to the dashboard');
+    assert.deepEqual(tc1.fields.customfield_10100, { value: 'Manual' });
+
+    const second = await runAll();
+    assert.equal(second.status, 'completed', second.error);
+    assert.deepEqual(second.steps.agent1.result.exportedTests.map(t => [t.key, t.action]),
+      first.steps.agent1.result.exportedTests.map(t => [t.key, 'updated']));
+    assert.equal(testIssues().length, 2);
+    assert.equal(testIssues()[0].fields.issuelinks.length, 1);
+  } finally {
+    delete process.env.TEST_EXPORT_MODE;
+  }
+});
+
+test('regenerating keeps scenario ids stable and reports the changes', async () => {
+  const issue = { ...ISSUE, key: 'E2E-5' };
+  jiraMock.seedIssue(issue);
+  const runAll = () => fetch(`${baseUrl}/agents/all`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: issue.key, force: true })
+  }).then(res => res.json()).then(({ runId }) => waitForRun(runId));
+
+  const first = await runAll();
+  assert.equal(first.status, 'completed', first.error);
+  const original = await readTestCases(issue.key);
+  assert.deepEqual(original.scenarios.map(s => s.changeStatus), ['added', 'added']);
+  assert.equal(original.changes, undefined);
+
+  // TC001 is dropped, TC002 comes back under a new id with a new priority, TC003 is new
+  const [, tc2] = original.scenarios.map(({ changeStatus, linkedRequirement, ...scenario }) => scenario);
+  fakeLlm.queueResponse('agent1', JSON.stringify({
+    scenarios: [
+      { ...tc2, id: 'TC004', priority: 'High' },
+      {
+        id: 'TC003',
+        title: 'Verify the reset link expires',
+        priority: 'Medium',
+        preconditions: ['A reset link was requested'],
+        testSteps: [{ step: 1, action: 'Open the reset link after 24 hours', expectedResult: 'An expiry message is shown' }]
+      }
+    ]
+  }));
+
+  const second = await runAll();
+  assert.equal(second.status, 'completed', second.error);
+
+  const agent1Prompt = fakeLlm.getRequests().filter(r => r.agent === 'agent1').at(-1).messages[0].content;
+  assert.match(agent1Prompt, /EXISTING TEST CASES/);
+  assert.match(agent1Prompt, /Verify user can login with valid credentials/);
+
+  const updated = await readTestCases(issue.key);
+  assert.deepEqual(updated.scenarios.map(s => [s.id, s.changeStatus]), [['TC002', 'modified'], ['TC003', 'added']]);
+  assert.deepEqual(updated.changes, {
+    previousGeneratedAt: original.generatedAt,
+    added: ['TC003'],
+    modified: [{ id: 'TC002', fields: ['priority'] }],
+    removed: [{ id: 'TC001', title: 'Verify user can login with valid credentials' }]
+  });
+  assert.deepEqual(second.steps.agent1.result.changes, updated.changes);
+
+  const summary = jiraMock.getComments(issue.key).map(c => c.body).filter(c => c.includes('Agent 1 completed')).at(-1);
+  assert.match(summary, /Added \(1\):\*\n• TC003: Verify the reset link expires/);
+  assert.match(summary, /Modified \(1\):\*\n• TC002: Verify error message for invalid credentials _\(priority\)_/);
+  assert.match(summary, /Removed \(1\):\*\n• TC001: Verify user can login with valid credentials/);
+  assert.match(summary, /_0 unchanged_/);
+});
+
+test('approval mode pauses after Agent 1 until the test cases are approved', async () => {
+  const issue = { ...ISSUE, key: 'E2E-6' };
+  jiraMock.seedIssue(issue);
+  process.env.APPROVAL_MODE = 'test-cases';
+
+  try {
+    const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+    let run = await waitForRun(runId, ['awaiting_approval', 'completed', 'failed']);
+    assert.equal(run.status, 'awaiting_approval', run.error);
+    assert.equal(run.approval.step, 'agent1');
+    assert.equal(run.steps.agent2.status, 'pending');
+    assert.equal(githubMock.getPullRequests().length, 0);
+    const comments = () => jiraMock.getComments(issue.key).map(c => c.body);
+    assert.ok(comments().some(c => c.includes('Awaiting approval') && c.includes(runId)), 'approval request comment');
+
+    // A rejection comment regenerates the test cases with the feedback and pauses again
+    const rejected = await signedWebhook({
+      webhookEvent: 'comment_created',
+      issue: { key: issue.key },
+      comment: { body: 'reject: also cover expired reset links', author: { displayName: 'Reviewer' } }
+    }).then(res => res.json());
+    assert.equal(rejected.status, 'rejected');
+    assert.equal(rejected.runId, runId);
+
+    run = await waitForRun(runId, ['awaiting_approval', 'completed', 'failed']);
+    assert.equal(run.status, 'awaiting_approval', run.error);
+    const agent1Requests = fakeLlm.getRequests().filter(r => r.agent === 'agent1');
+    assert.equal(agent1Requests.length, 2);
+    assert.match(agent1Requests[1].messages[0].content, /REVIEWER FEEDBACK:[\s\S]*also cover expired reset links/);
+
+    // Moving the issue to Approved resumes the run with Agent 2 and 3
+    const approved = await signedWebhook({
+      webhookEvent: 'jira:issue_updated',
+      issue,
+      user: { displayName: 'Reviewer' },
+      changelog: { items: [{ field: 'status', fromString: 'In Review', toString: 'Approved' }] }
+    }).then(res => res.json());
+    assert.equal(approved.status, 'approved');
+
+    run = await waitForRun(runId);
+    assert.equal(run.status, 'completed', run.error);
+    assert.equal(githubMock.getPullRequests().length, 1);
+    assert.deepEqual(run.approval.decisions.map(d => [d.step, d.decision, d.source, d.feedback]), [
+      ['agent1', 'rejected', 'comment', 'also cover expired reset links'],
+      ['agent1', 'approved', 'transition', null]
+    ]);
+
+    const again = await fetch(`${baseUrl}/runs/${runId}/approve`, { method: 'POST' });
+    assert.equal(again.status, 409);
+  } finally {
+    delete process.env.APPROVAL_MODE;
+  }
+});
+
+test('approval endpoint resumes a run paused after Agent 2', async () => {
+  const issue = { ...ISSUE, key: 'E2E-7' };
+  jiraMock.seedIssue(issue);
+  process.env.APPROVAL_MODE = 'all';
+
+  try {
+    const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+    const approve = () => fetch(`${baseUrl}/runs/${runId}/approve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ by: 'qa-lead' })
+    });
+
+    let run = await waitForRun(runId, ['awaiting_approval', 'completed', 'failed']);
+    assert.equal(run.approval.step, 'agent1');
+    assert.equal((await approve()).status, 200);
+
+    run = await waitForRun(runId, ['awaiting_approval', 'completed', 'failed']);
+    assert.equal(run.status, 'awaiting_approval', run.error);
+    assert.equal(run.approval.step, 'agent2');
+    assert.equal(run.steps.agent3.status, 'pending');
+    const [pullRequest] = githubMock.getPullRequests();
+    assert.ok(jiraMock.getComments(issue.key).some(c => c.body.includes('Awaiting approval') && c.body.includes(pullRequest.html_url)));
+
+    assert.equal((await approve()).status, 200);
+    run = await waitForRun(runId);
+    assert.equal(run.status, 'completed', run.error);
+    assert.equal(run.steps.agent3.status, 'completed');
+    assert.deepEqual(run.approval.decisions.map(d => [d.step, d.by]), [['agent1', 'qa-lead'], ['agent2', 'qa-lead']]);
+  } finally {
+    delete process.env.APPROVAL_MODE;
+  }
+});
+
+test('generated files that fail to compile are sent back to Claude before pushing', async () => {
+  const issue = { ...ISSUE, key: 'E2E-8' };
+  jiraMock.seedIssue(issue);
+  fakeLlm.queueResponse('agent2', JSON.stringify({
+    files: [{
+      path: 'tests/e2e/password-reset.spec.ts',
+      content: [
+        "import { test } from '@playwright/test';",
+        "import { ResetPage } from '../pages/ResetPage';",
+        '',
+        "test('TC001 should email a reset link', async ({ page }) => {",
+        '  const resetPage = new ResetPage(page);',
+        '  await resetPage.open(;',
+        '});',
+        ''
+      ].join('\n')
+    }]
+  }));
+
+  const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+  const run = await waitForRun(runId);
+  assert.equal(run.status, 'completed', run.error);
+
+  const agent2Requests = fakeLlm.getRequests().filter(r => r.agent === 'agent2');
+  assert.equal(agent2Requests.length, 2);
+  const fixRequest = agent2Requests[1].messages.at(-1).content;
+  assert.match(fixRequest, /\[tsc\] tests\/e2e\/password-reset\.spec\.ts:2:\d+ TS2307: Cannot find module '\.\.\/pages\/ResetPage'/);
+  assert.match(fixRequest, /tests\/e2e\/password-reset\.spec\.ts:6:\d+ TS1005/);
+
+  // Only the corrected files were committed
+  assert.deepEqual(run.steps.agent2.result.files, ['tests/pages/DashboardPage.ts', 'tests/e2e/user-login.spec.ts']);
+  assert.deepEqual(run.steps.agent2.result.validation, { attempts: 2 });
+  const [pullRequest] = githubMock.getPullRequests();
+  const remote = await githubMock.getRemotePath();
+  const committed = execFileSync('git', ['ls-tree', '-r', '--name-only', pullRequest.head], { cwd: remote, encoding: 'utf-8' });
+  assert.doesNotMatch(committed, /password-reset\.spec\.ts/);
+});
+
+test('test data entries are merged into testdata.ts and conflicts listed in the PR', async () => {
+  const issue = { ...ISSUE, key: 'E2E-9' };
+  jiraMock.seedIssue(issue);
+  const { files } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'shared', 'mocks', 'fixtures', 'llm', 'agent2.txt'), 'utf-8'));
+  fakeLlm.queueResponse('agent2', JSON.stringify({
+    files,
+    testDataEntries: [
+      { exportName: 'users', key: 'locked', value: "{ username: 'locked_out_user', password: 'secret_sauce' }" },
+      { exportName: 'users', key: 'standard.password', value: "'new_password'" }
+    ]
+  }));
+
+  const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+  const run = await waitForRun(runId);
+  assert.equal(run.status, 'completed', run.error);
+  assert.deepEqual(run.steps.agent2.result.files, ['tests/pages/DashboardPage.ts', 'tests/e2e/user-login.spec.ts', 'tests/testdata.ts']);
+  assert.deepEqual(run.steps.agent2.result.testData.added, ['users.locked']);
+
+  const [pullRequest] = githubMock.getPullRequests();
+  const testData = execFileSync('git', ['show', `${pullRequest.head}:tests/testdata.ts`], { cwd: await githubMock.getRemotePath(), encoding: 'utf-8' });
+  assert.match(testData, /password: 'secret_sauce',\n  },\n  locked: \{ username: 'locked_out_user'/);
+  assert.doesNotMatch(testData, /new_password/);
+
+  assert.match(pullRequest.body, /Added to `tests\/testdata\.ts`: `users\.locked`/);
+  assert.match(pullRequest.body, /Test data conflicts[\s\S]*`users\.standard\.password`: users\.standard\.password already exists with a different value\. Proposed value: `'new_password'`/);
+});
+
+test('generated files outside the sandbox are rejected and reported in Jira', async () => {
+  const issue = { ...ISSUE, key: 'E2E-10' };
+  jiraMock.seedIssue(issue);
+  const { files } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'shared', 'mocks', 'fixtures', 'llm', 'agent2.txt'), 'utf-8'));
+  fakeLlm.queueResponse('agent2', JSON.stringify({
+    files: [
+      ...files,
+      { path: 'tests/pages/../../package.json', content: '{}' },
+      { path: 'tests/pages/BasePage.ts', content: 'export class BasePage {}' }
+    ]
+  }));
+
+  const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+  const run = await waitForRun(runId);
+  assert.equal(run.status, 'completed', run.error);
+  assert.deepEqual(run.steps.agent2.result.files, ['tests/pages/DashboardPage.ts', 'tests/e2e/user-login.spec.ts']);
+  assert.deepEqual(run.steps.agent2.result.rejectedPaths.map(r => r.path), ['tests/pages/../../package.json', 'tests/pages/BasePage.ts']);
+
+  // Claude was asked for corrected paths
+  const repairRequest = fakeLlm.getRequests().filter(r => r.agent === 'agent2')[1].messages.at(-1).content;
+  assert.match(repairRequest, /tests\/pages\/\.\.\/\.\.\/package\.json - path traversal/);
+
+  const [pullRequest] = githubMock.getPullRequests();
+  const basePage = execFileSync('git', ['show', `${pullRequest.head}:tests/pages/BasePage.ts`], { cwd: await githubMock.getRemotePath(), encoding: 'utf-8' });
+  assert.notEqual(basePage, 'export class BasePage {}');
+
+  const comment = jiraMock.getComments(issue.key).map(c => c.body).find(c => c.includes('Agent 2 completed'));
+  assert.match(comment, /Rejected file paths[\s\S]*- `tests\/pages\/\.\.\/\.\.\/package\.json`: path traversal \('\.\.'\) is not allowed/);
+  assert.match(comment, /- `tests\/pages\/BasePage\.ts`: protected by the repository's path rules \(tests\/pages\/BasePage\.ts\)/);
+});
+
+test('pull requests use the repository PR options and body template', async () => {
+  const issue = { ...ISSUE, key: 'E2E-11' };
+  jiraMock.seedIssue(issue);
+  execFileSync('git', ['branch', 'develop', 'main'], { cwd: await githubMock.getRemotePath() });
+
+  const configPath = path.join(tmpDir, 'target-repos.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    repositories: {
+      'mock-org/playwright-tests': {
+        pullRequest: { base: 'develop', draft: true, reviewers: ['qa-lead'], teamReviewers: ['qa'], labels: ['automated-tests'] }
+      }
+    }
+  }));
+  process.env.TARGET_REPO_CONFIG = configPath;
+  try {
+    const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+    const run = await waitForRun(runId);
+    assert.equal(run.status, 'completed', run.error);
+  } finally {
+    delete process.env.TARGET_REPO_CONFIG;
+  }
+
+  const [pullRequest] = githubMock.getPullRequests();
+  assert.equal(pullRequest.base, 'develop');
+  assert.equal(pullRequest.draft, true);
+  assert.deepEqual(pullRequest.requested_reviewers, ['qa-lead']);
+  assert.deepEqual(pullRequest.requested_teams, ['qa']);
+  assert.deepEqual(pullRequest.labels, ['automated-tests']);
+
+  assert.match(pullRequest.body, /^## Automated tests for \[E2E-11\]\(https:\/\/jira\.mock\/browse\/E2E-11\)/);
+  assert.match(pullRequest.body, /\| TC001 \| Verify user can login with valid credentials \| High \| 2 \|/);
+  assert.match(pullRequest.body, /- `tests\/e2e\/user-login\.spec\.ts`/);
+  assert.match(pullRequest.body, /\| \*\*Total\*\* \| - \| 2 \| \d+ \| \d+ \|/);
+  assert.doesNotMatch(pullRequest.body, /\{\{/);
+});
+
+test('re-runs push to the open pull request and comment on it', async () => {
+  const issue = { ...ISSUE, key: 'E2E-12' };
+  jiraMock.seedIssue(issue);
+  const runAll = () => fetch(`${baseUrl}/agents/all`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: issue.key, force: true })
+  }).then(res => res.json()).then(({ runId }) => waitForRun(runId));
+
+  const first = await runAll();
+  assert.equal(first.status, 'completed', first.error);
+  const [opened] = githubMock.getPullRequests();
+
+  // A newer PR for the issue from a fork is left alone: its branch isn't in the repository
+  githubMock.getPullRequests().push({
+    ...opened,
+    number: 99,
+    html_url: opened.html_url.replace(/\d+$/, '99'),
+    head: `${opened.head}-fork`,
+    head_repo: 'someone/tests',
+    comments: []
+  });
+
+  // Claude changes the spec the second time round
+  const fixturePath = path.join(__dirname, '..', '..', 'shared', 'mocks', 'fixtures', 'llm', 'agent2.txt');
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  fixture.files = fixture.files.map(file => file.path.endsWith('.spec.ts') ? { ...file, content: `${file.content}// updated\n` } : file);
+  fakeLlm.queueResponse('agent2', JSON.stringify(fixture));
+
+  const second = await runAll();
+  assert.equal(second.status, 'completed', second.error);
+  assert.equal(second.steps.agent2.result.updatedPr, true);
+  assert.equal(second.steps.agent2.result.branchName, opened.head);
+  assert.equal(githubMock.getPullRequests().length, 2);
+  assert.equal(githubMock.getPullRequests()[1].comments.length, 0);
+
+  const agent2Prompt = fakeLlm.getRequests().filter(r => r.agent === 'agent2').at(-1).messages[0].content;
+  assert.match(agent2Prompt, /UPDATING AN OPEN PULL REQUEST:\*\*\n.*\n(- .*\n)*- tests\/e2e\/user-login\.spec\.ts\n/);
+
+  const remote = await githubMock.getRemotePath();
+  assert.equal(execFileSync('git', ['rev-list', '--count', `main..${opened.head}`], { cwd: remote }).toString().trim(), '2');
+
+  const [comment] = opened.comments;
+  assert.equal(opened.comments.length, 1);
+  assert.match(comment.body, /^### 🔄 Tests updated for \[E2E-12\]\(https:\/\/jira\.mock\/browse\/E2E-12\)/);
+  assert.match(comment.body, /\*\*Test cases:\*\* 0 added, 0 modified, 0 removed, 2 unchanged/);
+  assert.match(comment.body, /\*\*Files:\*\*\n- ✏️ `tests\/e2e\/user-login\.spec\.ts`\n/);
+  assert.ok(jiraMock.getComments(issue.key).some(c => c.body.includes(`✅ Updated PR: [${opened.html_url}|`)));
+
+  // Once the PR is merged the next run opens a new one
+  githubMock.closePullRequest(opened.number, { merged: true });
+  const third = await runAll();
+  assert.equal(third.status, 'completed', third.error);
+  assert.equal(third.steps.agent2.result.updatedPr, false);
+  assert.equal(githubMock.getPullRequests().length, 3);
+  assert.notEqual(third.steps.agent2.result.branchName, opened.head);
+});
+
+test('Agent 3 runs only the issue\'s tests from the manifest unless asked for more', async () => {
+  const issue = { ...ISSUE, key: 'E2E-13' };
+  jiraMock.seedIssue(issue);
+
+  const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+  const run = await waitForRun(runId);
+  assert.equal(run.status, 'completed', run.error);
+
+  const agent2Prompt = fakeLlm.getRequests().find(r => r.agent === 'agent2').messages[0].content;
+  assert.match(agent2Prompt, /Tag every test\.describe\(\) with the issue key: `test\.describe\('Checkout', \{ tag: '@E2E-13' \}/);
+
+  const [pullRequest] = githubMock.getPullRequests();
+  const remote = await githubMock.getRemotePath();
+  const manifest = JSON.parse(execFileSync('git', ['show', `${pullRequest.head}:tests/manifests/E2E-13.json`], { cwd: remote }).toString());
+  assert.deepEqual(manifest, {
+    issueKey: 'E2E-13',
+    tag: '@E2E-13',
+    specs: [{
+      file: 'tests/e2e/user-login.spec.ts',
+      tests: ['User login › TC001 should login with valid credentials', 'User login › TC002 should show an error for invalid credentials']
+    }],
+    pageObjects: ['tests/pages/DashboardPage.ts', 'tests/pages/LoginPage.ts']
+  });
+
+  // The PR is still open, so its branch is tested and only the issue's spec runs
+  assert.deepEqual(run.steps.agent3.result.scope, { mode: 'issue', source: 'manifest', files: ['tests/e2e/user-login.spec.ts'], tag: null, grep: null });
+  const agent3Comment = jiraMock.getComments(issue.key).map(c => c.body).find(c => c.includes('Agent 3: Test Execution Complete'));
+  assert.match(agent3Comment, /🎯 \*Scope:\* the issue's tests: 1 spec file\n- tests\/e2e\/user-login\.spec\.ts\n/);
+
+  const invalid = await fetch(`${baseUrl}/agents/3`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: issue.key, scope: 'everything' })
+  });
+  assert.equal(invalid.status, 400);
+
+  const { jobId } = await fetch(`${baseUrl}/agents/3`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ issueKey: issue.key, prUrl: pullRequest.html_url, scope: 'affected' })
+  }).then(res => res.json());
+  const deadline = Date.now() + 60000;
+  let job;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    job = await fetch(`${baseUrl}/jobs/${jobId}`).then(res => res.json());
+  } while (!['completed', 'failed', 'cancelled'].includes(job.status) && Date.now() < deadline);
+  assert.equal(job.status, 'completed', job.error);
+
+  // The fixture's login.spec.ts uses LoginPage too
+  const affectedComment = jiraMock.getComments(issue.key).map(c => c.body).filter(c => c.includes('Agent 3: Test Execution Complete')).at(-1);
+  assert.match(affectedComment, /🎯 \*Scope:\* tests affected by the issue's page objects: 2 spec files\n- tests\/e2e\/login\.spec\.ts\n- tests\/e2e\/user-login\.spec\.ts\n/);
+});
+
+test('Agent 3 runs every execution profile and breaks the results down per browser', async () => {
+  const issue = { ...ISSUE, key: 'E2E-14' };
+  jiraMock.seedIssue(issue);
+
+  const configPath = path.join(tmpDir, 'target-repos.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    repositories: {
+      'mock-org/playwright-tests': {
+        execution: {
+          profiles: [
+            { name: 'desktop-firefox', browser: 'firefox', viewport: { width: 1280, height: 720 } },
+            { name: 'mobile-safari', device: 'iPhone 13', locale: 'de-DE' }
+          ]
+        }
+      }
+    }
+  }));
+  process.env.TARGET_REPO_CONFIG = configPath;
+  let run;
+  try {
+    const { runId } = await signedWebhook({ webhookEvent: 'jira:issue_created', issue }).then(res => res.json());
+    run = await waitForRun(runId);
+  } finally {
+    delete process.env.TARGET_REPO_CONFIG;
+  }
+  assert.equal(run.status, 'completed', run.error);
+
+  assert.deepEqual(run.testResults.profiles, ['desktop-firefox', 'mobile-safari']);
+  assert.equal(run.testResults.totalTests, 4);
+  assert.deepEqual(run.testResults.projects, {
+    'desktop-firefox': { total: 2, passed: 2, failed: 0, flaky: 0, skipped: 0 },
+    'mobile-safari': { total: 2, passed: 2, failed: 0, flaky: 0, skipped: 0 }
+  });
+
+  const comment = jiraMock.getComments(issue.key).map(c => c.body).find(c => c.includes('Agent 3: Test Execution Complete'));
+  assert.match(comment, /🧭 \*Per Browser:\*\n- \*desktop-firefox\* \(firefox, 1280x720\): 2\/2 passed\n- \*mobile-safari\* \(iPhone 13 \(webkit\), de-DE\): 2\/2 passed\n/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseApprovalComment, parseApprovalEvent } = require('../../shared/utils/approval.js');
+
+test('reads approve and reject comments', () => {
+  assert.deepEqual(parseApprovalComment('Approved, looks good'), { decision: 'approved', feedback: null });
+  assert.deepEqual(parseApprovalComment('*approve*'), { decision: 'approved', feedback: null });
+  assert.deepEqual(parseApprovalComment('Reject: TC002 needs a locked account case'), {
+    decision: 'rejected',
+    feedback: 'TC002 needs a locked account case'
+  });
+  assert.deepEqual(parseApprovalComment('reject'), { decision: 'rejected', feedback: null });
+  assert.deepEqual(parseApprovalComment({
+    type: 'doc',
+    version: 1,
+    content: [{ type: 'paragraph', content: [{ type: 'text', text: 'reject - missing negative cases' }] }]
+  }), { decision: 'rejected', feedback: 'missing negative cases' });
+
+  assert.equal(parseApprovalComment('I approve of the direction but have questions'), null);
+  assert.equal(parseApprovalComment('✅ *Test cases approved* by Reviewer'), null);
+  assert.equal(parseApprovalComment('Rejection reasons are listed below'), null);
+});
+
+test('reads approval transitions from issue updates', () => {
+  const update = toString => ({
+    webhookEvent: 'jira:issue_updated',
+    issue: { key: 'APP-1' },
+    user: { displayName: 'Reviewer' },
+    changelog: { items: [{ field: 'status', toString }] }
+  });
+
+  assert.deepEqual(parseApprovalEvent(update('Approved')), { decision: 'approved', feedback: null, source: 'transition', by: 'Reviewer' });
+  assert.equal(parseApprovalEvent(update('Changes Requested')).decision, 'rejected');
+  assert.equal(parseApprovalEvent(update('In Progress')), null);
+  assert.equal(parseApprovalEvent({ webhookEvent: 'jira:issue_created', issue: { key: 'APP-1' } }), null);
+});
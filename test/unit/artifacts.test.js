@@ -0,0 +1,206 @@
+process.env.MOCK_SERVICES = 'true';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const jiraMock = require('../../shared/mocks/jira.js');
+const { parsePlaywrightReport } = require('../../agents/agent3-test-executor/playwright-report.js');
+const {
+  getAttachmentOptions,
+  getRunPrefix,
+  collectArtifacts,
+  attachRunArtifacts,
+  formatAttachmentsSection
+} = require('../../agents/agent3-test-executor/artifacts.js');
+const { createZip } = require('../../shared/utils/zip.js');
+
+const ISSUE_KEY = 'ART-1';
+const REPO_URL = 'https://github.com/acme/tests.git';
+const START_TIME = new Date('2026-01-18T09:30:00Z');
+
+let repoDir;
+
+function writeFile(relativePath, content) {
+  fs.mkdirSync(path.join(repoDir, path.dirname(relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(repoDir, relativePath), content);
+}
+
+function result(retry, status, attachments) {
+  return { retry, status, duration: 10, errors: status === 'failed' ? [{ message: 'boom' }] : [], attachments };
+}
+
+// A failed test with two attempts and a passing one, with their attachments under test-results/
+function buildReport() {
+  const failedDir = path.join(repoDir, 'test-results', 'login-failed');
+  return parsePlaywrightReport({
+    config: { rootDir: path.join(repoDir, 'tests') },
+    suites: [{
+      title: 'e2e/login.spec.ts',
+      file: 'e2e/login.spec.ts',
+      specs: [],
+      suites: [{
+        title: 'Login',
+        specs: [
+          {
+            title: 'fails',
+            file: 'e2e/login.spec.ts',
+            tests: [{
+              projectName: 'chromium',
+              status: 'unexpected',
+              results: [
+                result(0, 'failed', [{ name: 'screenshot', contentType: 'image/png', path: path.join(failedDir, 'retry0.png') }]),
+                result(1, 'failed', [
+                  { name: 'screenshot', contentType: 'image/png', path: path.join(failedDir, 'test-failed-1.png') },
+                  { name: 'trace', contentType: 'application/zip', path: path.join(failedDir, 'trace.zip') },
+                  { name: 'video', contentType: 'video/webm', path: path.join(failedDir, 'video.webm') },
+                  { name: 'stdout', contentType: 'text/plain', body: 'log' }
+                ])
+              ]
+            }]
+          },
+          {
+            title: 'passes',
+            file: 'e2e/login.spec.ts',
+            tests: [{
+              projectName: 'chromium',
+              status: 'expected',
+              results: [result(0, 'passed', [{ name: 'screenshot', contentType: 'image/png', path: path.join(failedDir, 'passed.png') }])]
+            }]
+          }
+        ]
+      }]
+    }]
+  }, repoDir);
+}
+
+beforeEach(() => {
+  repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+  jiraMock.reset();
+  jiraMock.seedIssue({ key: ISSUE_KEY, fields: { summary: 'Login' } });
+
+  writeFile('playwright-report/index.html', '<html></html>');
+  writeFile('playwright-report/data/abc.png', 'png');
+  writeFile('test-results/login-failed/retry0.png', 'old');
+  writeFile('test-results/login-failed/test-failed-1.png', 'png');
+  writeFile('test-results/login-failed/trace.zip', 'trace');
+  writeFile('test-results/login-failed/video.webm', 'x'.repeat(2048));
+  writeFile('test-results/login-failed/passed.png', 'png');
+});
+
+afterEach(() => {
+  delete process.env.TARGET_REPO_CONFIG;
+  fs.rmSync(repoDir, { recursive: true, force: true });
+});
+
+test('zips a folder into an archive other tools can read', async () => {
+  const zipPath = path.join(repoDir, 'report.zip');
+  const { files, size } = await createZip(path.join(repoDir, 'playwright-report'), zipPath);
+  const archive = fs.readFileSync(zipPath);
+  assert.equal(files, 2);
+  assert.equal(size, archive.length);
+
+  // Read the first entry back through its local file header
+  assert.equal(archive.readUInt32LE(0), 0x04034b50);
+  const nameLength = archive.readUInt16LE(26);
+  const compressedSize = archive.readUInt32LE(18);
+  assert.equal(archive.toString('utf-8', 30, 30 + nameLength), 'data/abc.png');
+  const data = archive.subarray(30 + nameLength, 30 + nameLength + compressedSize);
+  assert.equal(zlib.inflateRawSync(data).toString(), 'png');
+  assert.equal(archive.readUInt32LE(archive.length - 22), 0x06054b50);
+});
+
+test('collects the HTML report and the last attempt\'s screenshots, traces and videos of failed tests', async () => {
+  const options = getAttachmentOptions(REPO_URL);
+  const artifacts = await collectArtifacts(repoDir, buildReport(), options);
+
+  assert.deepEqual(artifacts.map(artifact => [artifact.kind, artifact.name]), [
+    ['report', 'playwright-report.zip'],
+    ['screenshot', 'chromium-login-fails-test-failed-1.png'],
+    ['trace', 'chromium-login-fails-trace.zip'],
+    ['video', 'chromium-login-fails-video.webm']
+  ]);
+  assert.deepEqual(artifacts[1].test, { title: 'Login › fails', project: 'chromium' });
+  assert.ok(fs.existsSync(path.join(repoDir, 'playwright-report.zip')));
+
+  const withoutVideos = await collectArtifacts(repoDir, buildReport(), { ...options, videos: false, htmlReport: false });
+  assert.deepEqual(withoutVideos.map(artifact => artifact.kind), ['screenshot', 'trace']);
+});
+
+test('does not zip a report folder that is already over the size limits', async () => {
+  writeFile('playwright-report/data/trace.zip', 'x'.repeat(4096));
+  const options = { ...getAttachmentOptions(REPO_URL), maxFileSizeMb: 0.002 };
+
+  const artifacts = await collectArtifacts(repoDir, buildReport(), options);
+  assert.deepEqual(artifacts[0], {
+    kind: 'report',
+    path: null,
+    name: 'playwright-report.zip',
+    test: null,
+    size: 4096 + 13 + 3,
+    reason: 'over the 0.002 MB file limit before zipping'
+  });
+  assert.equal(fs.existsSync(path.join(repoDir, 'playwright-report.zip')), false);
+
+  const perRun = await collectArtifacts(repoDir, buildReport(), { ...options, maxFileSizeMb: 10, maxTotalSizeMb: 0.001 });
+  assert.equal(perRun[0].reason, 'over the 0.001 MB limit per run before zipping');
+
+  const attachments = await attachRunArtifacts(ISSUE_KEY, repoDir, buildReport(), options, START_TIME);
+  assert.ok(!attachments.uploaded.some(artifact => artifact.kind === 'report'));
+  assert.deepEqual(attachments.skipped[0].filename, `${getRunPrefix(START_TIME)}playwright-report.zip`);
+  assert.match(formatAttachmentsSection(attachments), /- ⚠️ Not attached: playwright-report\.zip \(0\.0 MB, over the 0\.002 MB file limit before zipping\)/);
+});
+
+test('attaches artifacts within the size limits and links them from the comment', async () => {
+  const configPath = path.join(repoDir, 'target-repos.json');
+  fs.writeFileSync(configPath, JSON.stringify({ default: { attachments: { maxFileSizeMb: 0.001 } } }));
+  process.env.TARGET_REPO_CONFIG = configPath;
+
+  const options = getAttachmentOptions(REPO_URL);
+  const attachments = await attachRunArtifacts(ISSUE_KEY, repoDir, buildReport(), options, START_TIME);
+  const prefix = getRunPrefix(START_TIME);
+  assert.equal(prefix, 'agent3-20260118093000-');
+
+  assert.deepEqual(attachments.uploaded.map(artifact => artifact.filename), [
+    `${prefix}playwright-report.zip`,
+    `${prefix}chromium-login-fails-test-failed-1.png`,
+    `${prefix}chromium-login-fails-trace.zip`
+  ]);
+  assert.deepEqual(attachments.skipped.map(artifact => [artifact.name, artifact.reason]), [
+    ['chromium-login-fails-video.webm', 'over the 0.001 MB file limit']
+  ]);
+  assert.deepEqual(jiraMock.getAttachments(ISSUE_KEY).map(attachment => attachment.filename),
+    attachments.uploaded.map(artifact => artifact.filename));
+
+  const section = formatAttachmentsSection(attachments);
+  assert.match(section, new RegExp(`- 📦 HTML report: \\[\\^${prefix}playwright-report\\.zip\\]`));
+  assert.match(section, new RegExp(`- ❌ Login › fails \\[chromium\\]: !${prefix}chromium-login-fails-test-failed-1\\.png\\|thumbnail! \\[\\^${prefix}chromium-login-fails-trace\\.zip\\]`));
+  assert.match(section, /- ⚠️ Not attached: chromium-login-fails-video\.webm \(0\.0 MB, over the 0\.001 MB file limit\)/);
+  assert.equal(formatAttachmentsSection({ uploaded: [], skipped: [] }), '');
+});
+
+test('keeps the attachments of the newest runs only', async () => {
+  const options = { ...getAttachmentOptions(REPO_URL), keepRuns: 2 };
+  const report = buildReport();
+  const starts = ['2026-01-18T09:00:00Z', '2026-01-18T10:00:00Z', '2026-01-18T11:00:00Z'].map(time => new Date(time));
+  const results = [];
+  for (const startTime of starts) {
+    results.push(await attachRunArtifacts(ISSUE_KEY, repoDir, report, options, startTime));
+  }
+
+  assert.deepEqual(results.map(result => result.deleted), [0, 0, 4]);
+  const runs = new Set(jiraMock.getAttachments(ISSUE_KEY).map(attachment => attachment.filename.slice(0, 21)));
+  assert.deepEqual([...runs], ['agent3-20260118100000', 'agent3-20260118110000']);
+
+  const disabled = await attachRunArtifacts(ISSUE_KEY, repoDir, report, { ...options, enabled: false }, new Date());
+  assert.deepEqual(disabled, { uploaded: [], skipped: [], deleted: 0 });
+});
+
+test('rejects invalid limits', () => {
+  const configPath = path.join(repoDir, 'target-repos.json');
+  fs.writeFileSync(configPath, JSON.stringify({ default: { attachments: { keepRuns: -1 } } }));
+  process.env.TARGET_REPO_CONFIG = configPath;
+  assert.throws(() => getAttachmentOptions(REPO_URL), /"keepRuns" must be a number of 0 or more/);
+});
@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+const {
+  PROFILE_CONFIG_FILE,
+  getExecutionOptions,
+  prepareExecution,
+  describeProfile
+} = require('../../agents/agent3-test-executor/execution-profiles.js');
+
+const REPO_URL = 'https://github.com/acme/tests.git';
+
+let tmpDir;
+let savedDisplay;
+
+function useConfig(execution) {
+  const configPath = path.join(tmpDir, 'target-repos.json');
+  fs.writeFileSync(configPath, JSON.stringify({ repositories: { 'acme/tests': { execution } } }));
+  process.env.TARGET_REPO_CONFIG = configPath;
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-profiles-'));
+  savedDisplay = process.env.DISPLAY;
+});
+
+afterEach(() => {
+  delete process.env.TARGET_REPO_CONFIG;
+  if (savedDisplay === undefined) delete process.env.DISPLAY;
+  else process.env.DISPLAY = savedDisplay;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('runs headless with the repository\'s own projects by default', async () => {
+  const execution = getExecutionOptions(REPO_URL);
+  assert.deepEqual(execution, { headed: false, retries: null, profiles: [] });
+
+  const prepared = await prepareExecution(tmpDir, execution);
+  assert.deepEqual(prepared, { args: [], config: null, profiles: [], headed: false });
+  assert.ok(!fs.existsSync(path.join(tmpDir, PROFILE_CONFIG_FILE)));
+});
+
+test('profiles become projects in a config layered over the repository\'s config', async () => {
+  fs.writeFileSync(path.join(tmpDir, 'playwright.config.ts'), 'export default {};\n');
+  useConfig({
+    retries: 2,
+    profiles: [
+      { name: 'chromium' },
+      { name: 'firefox-de', browser: 'firefox', locale: 'de-DE', viewport: { width: 1280, height: 720 } },
+      { name: 'mobile-safari', device: 'iPhone 13', retries: 0 }
+    ]
+  });
+
+  const prepared = await prepareExecution(tmpDir, getExecutionOptions(REPO_URL));
+  assert.deepEqual(prepared.args, [
+    '--config', PROFILE_CONFIG_FILE,
+    '--project', 'chromium', '--project', 'firefox-de', '--project', 'mobile-safari',
+    '--retries', '2'
+  ]);
+  assert.equal(prepared.config, PROFILE_CONFIG_FILE);
+
+  const source = fs.readFileSync(path.join(tmpDir, PROFILE_CONFIG_FILE), 'utf-8');
+  assert.match(source, /import baseConfig from '\.\/playwright\.config';/);
+  assert.match(source, /defineConfig\(baseConfig, \{/);
+  assert.match(source, /\{ name: "firefox-de", use: \{"browserName":"firefox","viewport":\{"width":1280,"height":720\},"locale":"de-DE"\} \},/);
+  assert.match(source, /\{ name: "mobile-safari", use: \{ \.\.\.devices\["iPhone 13"\] \}, retries: 0 \},/);
+  assert.doesNotMatch(source, /name: "chromium"/);
+  const { parseDiagnostics } = ts.createSourceFile(PROFILE_CONFIG_FILE, source, ts.ScriptTarget.Latest);
+  assert.deepEqual(parseDiagnostics, []);
+
+  assert.equal(describeProfile({ name: 'mobile-safari', device: 'iPhone 13', retries: 0 }), 'iPhone 13 (webkit), 0 retries');
+});
+
+test('headed runs fall back to headless without a display', async () => {
+  useConfig({ headed: true, profiles: [{ name: 'chromium', browser: 'chromium', headed: true }] });
+  const execution = getExecutionOptions(REPO_URL);
+
+  delete process.env.DISPLAY;
+  const headless = await prepareExecution(tmpDir, execution);
+  assert.equal(headless.headed, process.platform !== 'linux');
+  if (process.platform === 'linux') {
+    assert.ok(!headless.args.includes('--headed'));
+    assert.match(fs.readFileSync(path.join(tmpDir, PROFILE_CONFIG_FILE), 'utf-8'), /"headless":true/);
+  }
+
+  process.env.DISPLAY = ':99';
+  const headed = await prepareExecution(tmpDir, execution);
+  assert.equal(headed.headed, true);
+  assert.ok(headed.args.includes('--headed'));
+  assert.match(fs.readFileSync(path.join(tmpDir, PROFILE_CONFIG_FILE), 'utf-8'), /"headless":false/);
+  assert.doesNotMatch(fs.readFileSync(path.join(tmpDir, PROFILE_CONFIG_FILE), 'utf-8'), /baseConfig/);
+});
+
+test('rejects invalid profiles', () => {
+  useConfig({ profiles: [{ browser: 'chromium' }] });
+  assert.throws(() => getExecutionOptions(REPO_URL), /needs a name/);
+  useConfig({ profiles: [{ name: 'a' }, { name: 'a' }] });
+  assert.throws(() => getExecutionOptions(REPO_URL), /"a" is defined twice/);
+  useConfig({ profiles: [{ name: 'edge', browser: 'msedge' }] });
+  assert.throws(() => getExecutionOptions(REPO_URL), /unknown browser "msedge"/);
+  useConfig({ profiles: [{ name: 'phone', device: 'iPhone 1' }] });
+  assert.throws(() => getExecutionOptions(REPO_URL), /unknown device "iPhone 1"/);
+  useConfig({ profiles: [{ name: 'tiny', viewport: { width: 0, height: 10 } }] });
+  assert.throws(() => getExecutionOptions(REPO_URL), /positive width and height/);
+});
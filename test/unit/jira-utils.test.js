@@ -0,0 +1,34 @@
+process.env.MOCK_SERVICES = 'true';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jiraMock = require('../../shared/mocks/jira.js');
+const { getIssue } = require('../../shared/utils/jira-utils.js');
+
+test('looks up the acceptance criteria field once per process', async () => {
+  const listFields = jiraMock.client.listFields;
+  let calls = 0;
+  let failNext = true;
+  jiraMock.client.listFields = async () => {
+    calls++;
+    if (failNext) {
+      failNext = false;
+      throw new Error('503 - Service Unavailable');
+    }
+    return listFields();
+  };
+
+  try {
+    // A failed lookup isn't cached
+    const first = await getIssue('SCRUM-6');
+    assert.equal(first.fields.acceptanceCriteria, null);
+
+    const second = await getIssue('SCRUM-6');
+    const third = await getIssue('SCRUM-6');
+    assert.ok(second.fields.acceptanceCriteria);
+    assert.equal(third.fields.acceptanceCriteria, second.fields.acceptanceCriteria);
+    assert.equal(calls, 2);
+  } finally {
+    jiraMock.client.listFields = listFields;
+  }
+});
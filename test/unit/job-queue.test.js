@@ -0,0 +1,147 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its settings when it loads
+const workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+process.env.JOB_CONCURRENCY = '2';
+process.env.JOB_WORKSPACE_ROOT = workspaceRoot;
+delete process.env.KEEP_JOB_WORKSPACES;
+
+// The queue logs every transition; keep the test output to the results
+const consoleLog = console.log;
+console.log = () => { };
+
+const {
+  JobCancelledError,
+  throwIfCancelled,
+  enqueueJob,
+  cancelJob,
+  getJob,
+  getQueueStats
+} = require('../../shared/utils/job-queue.js');
+
+after(() => {
+  console.log = consoleLog;
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+// A job handler that runs until release() is called, recording when it started
+function deferredHandler(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const handler = async job => {
+    log.push(`start ${name}`);
+    started(job);
+    await done;
+    log.push(`end ${name}`);
+  };
+  return { handler, release, running };
+}
+
+async function waitForStatus(jobId, status) {
+  for (let i = 0; i < 200; i++) {
+    if (getJob(jobId).status === status) return getJob(jobId);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${jobId} never became ${status} (is ${getJob(jobId).status})`);
+}
+
+test('jobs for the same issue run one after the other', async () => {
+  const log = [];
+  const first = deferredHandler(log, 'first');
+  const second = deferredHandler(log, 'second');
+
+  const firstJob = enqueueJob({ type: 'workflow', issueKey: 'Q-1', handler: first.handler });
+  const secondJob = enqueueJob({ type: 'workflow', issueKey: 'Q-1', handler: second.handler });
+
+  const { workspaceDir } = await first.running;
+  assert.equal(workspaceDir, path.join(workspaceRoot, firstJob.id));
+  assert.ok(fs.existsSync(workspaceDir));
+  assert.equal(getJob(secondJob.id).status, 'queued');
+
+  first.release();
+  await second.running;
+  second.release();
+  await waitForStatus(secondJob.id, 'completed');
+
+  assert.deepEqual(log, ['start first', 'end first', 'start second', 'end second']);
+  assert.equal(getJob(firstJob.id).status, 'completed');
+  assert.equal(fs.existsSync(workspaceDir), false, 'workspace removed after the job');
+});
+
+test('no more jobs than the concurrency limit run at once', async () => {
+  const log = [];
+  const handlers = ['a', 'b', 'c'].map(name => deferredHandler(log, name));
+  const jobs = handlers.map((h, i) => enqueueJob({ type: 'workflow', issueKey: `C-${i}`, handler: h.handler }));
+
+  await Promise.all([handlers[0].running, handlers[1].running]);
+  assert.deepEqual(getQueueStats(), { concurrency: 2, running: 2, queued: 1 });
+  assert.equal(getJob(jobs[2].id).status, 'queued');
+
+  handlers[0].release();
+  await handlers[2].running;
+  assert.equal(getQueueStats().running, 2);
+
+  handlers[1].release();
+  handlers[2].release();
+  await waitForStatus(jobs[2].id, 'completed');
+  assert.deepEqual(getQueueStats(), { concurrency: 2, running: 0, queued: 0 });
+});
+
+test('cancelling a queued job removes it before it starts', async () => {
+  const log = [];
+  const blocker = deferredHandler(log, 'blocker');
+  const queued = deferredHandler(log, 'queued');
+
+  const blockerJob = enqueueJob({ type: 'workflow', issueKey: 'X-1', handler: blocker.handler });
+  const queuedJob = enqueueJob({ type: 'workflow', issueKey: 'X-1', handler: queued.handler });
+  await blocker.running;
+
+  const cancelled = cancelJob(queuedJob.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.ok(cancelled.finishedAt);
+
+  blocker.release();
+  await waitForStatus(blockerJob.id, 'completed');
+  assert.deepEqual(log, ['start blocker', 'end blocker']);
+  assert.equal(getQueueStats().queued, 0);
+});
+
+test('cancelling a running job aborts its signal', async () => {
+  let jobSignal;
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const job = enqueueJob({
+    type: 'workflow',
+    issueKey: 'R-1',
+    handler: async ({ signal }) => {
+      jobSignal = signal;
+      const aborted = new Promise(resolve => signal.addEventListener('abort', resolve));
+      started();
+      await aborted;
+      throwIfCancelled(signal);
+    }
+  });
+  await running;
+
+  assert.equal(cancelJob(job.id).status, 'running');
+  const finished = await waitForStatus(job.id, 'cancelled');
+  assert.equal(jobSignal.aborted, true);
+  assert.equal(finished.error, null);
+
+  assert.equal(cancelJob('no-such-job'), null);
+  assert.throws(() => throwIfCancelled(jobSignal), JobCancelledError);
+});
+
+test('a failing handler marks the job failed and frees its issue', async () => {
+  const failed = enqueueJob({ type: 'workflow', issueKey: 'F-1', handler: async () => { throw new Error('boom'); } });
+  const next = enqueueJob({ type: 'workflow', issueKey: 'F-1', handler: async () => { } });
+
+  assert.equal((await waitForStatus(failed.id, 'failed')).error, 'boom');
+  await waitForStatus(next.id, 'completed');
+});
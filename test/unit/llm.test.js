@@ -0,0 +1,123 @@
+process.env.MOCK_SERVICES = 'true';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const fakeLlm = require('../../shared/llm/providers/fake.js');
+const { complete, estimateCost } = require('../../shared/llm/index.js');
+
+const consoleWarn = console.warn;
+const random = Math.random;
+let warnings;
+
+function failure(fields) {
+  return Object.assign(new Error(fields.message || 'LLM request failed'), fields);
+}
+
+// Fails with each error in turn, then answers
+function failThenAnswer(errors) {
+  let calls = 0;
+  fakeLlm.setResponder(() => {
+    if (calls < errors.length) throw errors[calls++];
+    calls++;
+    return 'done';
+  });
+  return () => calls;
+}
+
+beforeEach(() => {
+  fakeLlm.reset();
+  process.env.LLM_PROVIDER = 'fake';
+  process.env.LLM_MAX_RETRIES = '3';
+  process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+  warnings = [];
+  console.warn = message => warnings.push(message);
+  // No jitter, so backoff delays are exact
+  Math.random = () => 0;
+});
+
+afterEach(() => {
+  for (const name of ['LLM_PROVIDER', 'LLM_MAX_RETRIES', 'LLM_RETRY_BASE_DELAY_MS', 'LLM_PRICING']) {
+    delete process.env[name];
+  }
+  console.warn = consoleWarn;
+  Math.random = random;
+});
+
+test('retries rate limits, overloads, timeouts and connection errors with exponential backoff', async () => {
+  const calls = failThenAnswer([
+    failure({ status: 429 }),
+    failure({ overloaded: true }),
+    failure({ code: 'ECONNRESET' })
+  ]);
+
+  const result = await complete('agent1', { messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(result.text, 'done');
+  assert.equal(calls(), 4);
+  assert.deepEqual(warnings.map(warning => warning.match(/retrying in (\d+)ms \((\d)\/3\)/).slice(1)), [
+    ['1', '1'],
+    ['2', '2'],
+    ['4', '3']
+  ]);
+});
+
+test('waits as long as the provider asks on retry-after', async () => {
+  failThenAnswer([failure({ status: 529, retryAfterMs: 5 }), failure({ timeout: true })]);
+  await complete('agent1', { messages: [{ role: 'user', content: 'hi' }] });
+  assert.match(warnings[0], /\(529\), retrying in 5ms/);
+  assert.match(warnings[1], /retrying in 2ms/);
+});
+
+test('does not retry client errors or aborts, and gives up after the retry limit', async () => {
+  for (const error of [failure({ status: 400 }), failure({ status: 401 }), failure({ name: 'AbortError' }), failure({ code: 'ENOTFOUND' })]) {
+    fakeLlm.reset();
+    const calls = failThenAnswer([error]);
+    await assert.rejects(complete('agent1', { messages: [{ role: 'user', content: 'hi' }] }), failed => failed === error);
+    assert.equal(calls(), 1);
+  }
+
+  const unavailable = failure({ status: 503 });
+  const calls = failThenAnswer([unavailable, unavailable, unavailable, unavailable, unavailable]);
+  await assert.rejects(complete('agent1', { messages: [{ role: 'user', content: 'hi' }] }), failed => failed === unavailable);
+  assert.equal(calls(), 4);
+});
+
+test('backoff stops when the signal aborts and leaves no listeners behind', async () => {
+  const controller = new AbortController();
+  failThenAnswer([failure({ status: 503 }), failure({ status: 503 })]);
+  await complete('agent1', { messages: [{ role: 'user', content: 'hi' }] }, { signal: controller.signal });
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+
+  fakeLlm.reset();
+  const calls = failThenAnswer([failure({ status: 503, retryAfterMs: 30000 })]);
+  setTimeout(() => controller.abort(), 10);
+  const started = Date.now();
+  await assert.rejects(complete('agent1', { messages: [{ role: 'user', content: 'hi' }] }, { signal: controller.signal }), { name: 'AbortError' });
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(calls(), 1);
+});
+
+test('prices usage by the longest matching model prefix', () => {
+  const usage = { inputTokens: 1000000, outputTokens: 100000 };
+  assert.equal(estimateCost('claude-sonnet-4-20250514', usage), 4.5);
+  assert.equal(estimateCost('gpt-4o-mini-2024-07-18', usage), 0.21);
+  assert.equal(estimateCost('gpt-4o-2024-08-06', usage), 3.5);
+  assert.equal(estimateCost('fake-model', usage), 0);
+  assert.equal(estimateCost('llama-3', usage), null);
+
+  process.env.LLM_PRICING = JSON.stringify({ 'llama-3': { input: 1, output: 2 }, 'gpt-4o': { input: 5, output: 20 } });
+  assert.equal(estimateCost('llama-3-70b', usage), 1.2);
+  assert.equal(estimateCost('gpt-4o-2024-08-06', usage), 7);
+  assert.equal(estimateCost('gpt-4o-mini', usage), 0.21);
+
+  process.env.LLM_PRICING = '{ not json';
+  assert.equal(estimateCost('gpt-4o', usage), 3.5);
+  assert.match(warnings[0], /Ignoring invalid LLM_PRICING/);
+});
+
+test('records the estimated cost with the response usage', async () => {
+  fakeLlm.queueResponse('agent1', 'x'.repeat(400));
+  process.env.LLM_PRICING = JSON.stringify({ 'fake-model': { input: 1, output: 10 } });
+  const { usage } = await complete('agent1', { messages: [{ role: 'user', content: 'y'.repeat(4000) }] });
+  assert.deepEqual(usage, { inputTokens: 1000, outputTokens: 100, costUsd: 0.002 });
+});
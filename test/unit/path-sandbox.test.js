@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PathSandboxError,
+  globToRegExp,
+  checkGeneratedPath,
+  resolveWritablePath
+} = require('../../agents/agent2-script-generator/path-sandbox.js');
+
+const RULES = {
+  allow: ['tests/pages/**', 'tests/e2e/**', 'tests/*.ts'],
+  deny: ['tests/pages/AdminBasePage.ts']
+};
+
+test('matches globs against repository paths', () => {
+  assert.ok(globToRegExp('tests/pages/**').test('tests/pages/admin/UsersPage.ts'));
+  assert.ok(globToRegExp('**/.*').test('.env'));
+  assert.ok(globToRegExp('**/.*').test('tests/e2e/.env'));
+  assert.ok(globToRegExp('tests/*.ts').test('tests/testdata.ts'));
+  assert.ok(!globToRegExp('tests/*.ts').test('tests/pages/LoginPage.ts'));
+  assert.ok(!globToRegExp('tests/pages/?.ts').test('tests/pages/AB.ts'));
+});
+
+test('accepts allowed paths and rejects traversal, absolute and denied paths', () => {
+  assert.equal(checkGeneratedPath(null, 'tests/pages/CheckoutPage.ts', RULES), null);
+  assert.equal(checkGeneratedPath(null, 'tests/e2e/checkout.spec.ts', RULES), null);
+
+  assert.match(checkGeneratedPath(null, 'tests/pages/../../package.json', RULES), /path traversal/);
+  assert.match(checkGeneratedPath(null, '/etc/passwd', RULES), /absolute paths/);
+  assert.match(checkGeneratedPath(null, 'C:/repo/tests/e2e/a.spec.ts', RULES), /absolute paths/);
+  assert.match(checkGeneratedPath(null, 'tests\\e2e\\a.spec.ts', RULES), /backslashes/);
+  assert.match(checkGeneratedPath(null, './tests/e2e/a.spec.ts', RULES), /use tests\/e2e\/a\.spec\.ts/);
+  assert.match(checkGeneratedPath(null, 'tests/pages/AdminBasePage.ts', RULES), /protected by the repository's path rules \(tests\/pages\/AdminBasePage\.ts\)/);
+  assert.match(checkGeneratedPath(null, 'tests/e2e/$(touch x).spec.ts', RULES), /contains characters other than letters, digits and \._@-\/ \("\$" "\(" " " "\)"\)/);
+  assert.match(checkGeneratedPath(null, 'tests/e2e/`id`.spec.ts', RULES), /contains characters other than/);
+  assert.match(checkGeneratedPath(null, 'tests/e2e/a;rm.spec.ts', RULES), /contains characters other than/);
+  assert.match(checkGeneratedPath(null, 'tests/e2e/*.spec.ts', RULES), /contains characters other than/);
+  assert.equal(checkGeneratedPath(null, 'tests/e2e/checkout_v2-@smoke.spec.ts', RULES), null);
+  assert.match(checkGeneratedPath(null, 'playwright.config.ts', RULES), /outside the allowed locations \(tests\/pages\/\*\*, tests\/e2e\/\*\*, tests\/\*\.ts\)/);
+});
+
+test('the built-in protected paths apply whatever the repository denies', () => {
+  for (const rules of [RULES, { allow: ['**'] }, { allow: ['**'], deny: [] }]) {
+    assert.match(checkGeneratedPath(null, 'tests/pages/BasePage.ts', rules), /protected by the repository's path rules \(tests\/pages\/BasePage\.ts\)/);
+    assert.match(checkGeneratedPath(null, 'tests/testdata.ts', rules), /protected .*\(tests\/testdata\.ts\)/);
+    assert.match(checkGeneratedPath(null, 'tests/e2e/node_modules/x.ts', rules), /protected .*\(\*\*\/node_modules\/\*\*\)/);
+  }
+  assert.equal(checkGeneratedPath(null, 'tests/pages/LoginPage.ts', { allow: ['**'], deny: [] }), null);
+});
+
+test('rejects hidden files and anything inside hidden directories', () => {
+  assert.equal(checkGeneratedPath(null, 'tests/e2e/.env', RULES), 'hidden files and directories are not allowed (.env)');
+  assert.equal(checkGeneratedPath(null, 'tests/e2e/.auth/state.json', RULES), 'hidden files and directories are not allowed (.auth)');
+  assert.match(checkGeneratedPath(null, '.github/workflows/ci.yml', { allow: ['**'] }), /hidden .*\(\.github\)/);
+  assert.equal(checkGeneratedPath(null, 'tests/e2e/login.v2.spec.ts', RULES), null);
+});
+
+test('rejects paths through symbolic links in the repository', () => {
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'path-sandbox-'));
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'path-sandbox-outside-'));
+  try {
+    fs.mkdirSync(path.join(repoDir, 'tests'));
+    fs.symlinkSync(outside, path.join(repoDir, 'tests', 'e2e'));
+
+    assert.equal(checkGeneratedPath(repoDir, 'tests/e2e/a.spec.ts', RULES), 'tests/e2e is a symbolic link');
+    assert.equal(checkGeneratedPath(repoDir, 'tests/pages/NewPage.ts', RULES), null);
+    assert.throws(() => resolveWritablePath(repoDir, 'tests/e2e/a.spec.ts'), PathSandboxError);
+    assert.throws(() => resolveWritablePath(repoDir, '../outside.ts'), /outside the repository/);
+    assert.equal(resolveWritablePath(repoDir, 'tests/pages/NewPage.ts'), path.join(repoDir, 'tests', 'pages', 'NewPage.ts'));
+  } finally {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePlaywrightReport } = require('../../agents/agent3-test-executor/playwright-report.js');
+
+const REPO_DIR = '/work/repo';
+
+function result(status, retry, extra = {}) {
+  return { workerIndex: 0, status, duration: 100, retry, errors: [], attachments: [], ...extra };
+}
+
+// Trimmed down from a real `--reporter=json` run with retries: 1 and two projects
+const REPORT = {
+  config: { rootDir: `${REPO_DIR}/tests` },
+  suites: [{
+    title: 'e2e/checkout.spec.ts',
+    file: 'e2e/checkout.spec.ts',
+    specs: [],
+    suites: [{
+      title: 'Checkout',
+      file: 'e2e/checkout.spec.ts',
+      specs: [
+        {
+          title: 'pays by card',
+          file: 'e2e/checkout.spec.ts',
+          line: 6,
+          column: 3,
+          tags: ['SCRUM-6'],
+          tests: [
+            { projectName: 'chromium', status: 'expected', results: [result('passed', 0)] },
+            {
+              projectName: 'firefox',
+              status: 'unexpected',
+              results: [
+                result('failed', 0, { errors: [{ message: 'first attempt' }] }),
+                result('timedOut', 1, {
+                  errors: [{
+                    message: '\u001b[31mTimeout 5000ms exceeded\u001b[39m\nwaiting for locator(\'#pay\')',
+                    location: { file: `${REPO_DIR}/tests/pages/CheckoutPage.ts`, line: 12, column: 5 }
+                  }],
+                  attachments: [{ name: 'screenshot', contentType: 'image/png', path: `${REPO_DIR}/test-results/checkout-firefox/test-failed-1.png` }]
+                })
+              ]
+            }
+          ]
+        },
+        {
+          title: 'shows the total',
+          file: 'e2e/checkout.spec.ts',
+          line: 14,
+          column: 3,
+          tags: [],
+          tests: [
+            { projectName: 'chromium', status: 'flaky', results: [result('failed', 0, { error: { message: 'flaked' } }), result('passed', 1)] },
+            { projectName: 'firefox', status: 'skipped', results: [result('skipped', 0, { duration: 0 })] }
+          ]
+        }
+      ]
+    }]
+  }],
+  errors: [{ message: 'SyntaxError: Unexpected token', location: { file: `${REPO_DIR}/tests/e2e/broken.spec.ts`, line: 3, column: 1 } }],
+  stats: { duration: 1234.5, expected: 1, unexpected: 1, flaky: 1, skipped: 1 }
+};
+
+test('walks suites, specs, tests and results into one entry per test and project', () => {
+  const { tests } = parsePlaywrightReport(REPORT, REPO_DIR);
+
+  assert.deepEqual(tests.map(t => [t.title, t.project, t.status, t.retries]), [
+    ['Checkout › pays by card', 'chromium', 'passed', 0],
+    ['Checkout › pays by card', 'firefox', 'failed', 1],
+    ['Checkout › shows the total', 'chromium', 'flaky', 1],
+    ['Checkout › shows the total', 'firefox', 'skipped', 0]
+  ]);
+
+  const failed = tests[1];
+  assert.equal(failed.file, 'tests/e2e/checkout.spec.ts');
+  assert.equal(failed.line, 6);
+  assert.deepEqual(failed.tags, ['SCRUM-6']);
+  assert.equal(failed.duration, 200);
+  assert.deepEqual(failed.error, {
+    message: "Timeout 5000ms exceeded\nwaiting for locator('#pay')",
+    location: { file: 'tests/pages/CheckoutPage.ts', line: 12, column: 5 }
+  });
+  assert.deepEqual(failed.attachments, [
+    { name: 'screenshot', contentType: 'image/png', path: 'test-results/checkout-firefox/test-failed-1.png', retry: 1 }
+  ]);
+
+  assert.deepEqual(tests[2].error, { message: 'flaked', location: null });
+  assert.equal(tests[0].error, null);
+});
+
+test('counts totals per project and keeps errors outside tests', () => {
+  const { totals, projects, errors, duration } = parsePlaywrightReport(REPORT, REPO_DIR);
+
+  assert.deepEqual(totals, { total: 4, passed: 1, failed: 1, flaky: 1, skipped: 1 });
+  assert.deepEqual(projects, {
+    chromium: { total: 2, passed: 1, failed: 0, flaky: 1, skipped: 0 },
+    firefox: { total: 2, passed: 0, failed: 1, flaky: 0, skipped: 1 }
+  });
+  assert.deepEqual(errors, [{ message: 'SyntaxError: Unexpected token', location: { file: 'tests/e2e/broken.spec.ts', line: 3, column: 1 } }]);
+  assert.equal(duration, 1234.5);
+});
+
+test('an empty report has no tests', () => {
+  const model = parsePlaywrightReport({ suites: [], errors: [] }, REPO_DIR);
+  assert.deepEqual(model.totals, { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0 });
+  assert.deepEqual(model.tests, []);
+  assert.equal(model.duration, 0);
+});
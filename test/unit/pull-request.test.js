@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, formatScenarioTable, formatTokenUsage } = require('../../shared/utils/pull-request.js');
+
+test('renders placeholders and drops the blank lines of empty ones', () => {
+  const template = '## Tests for {{ issueKey }}\n\n{{validation}}\n\n{{unknown}}\n\nDone\n';
+  assert.equal(renderTemplate(template, { issueKey: 'APP-1', validation: '' }), '## Tests for APP-1\n\nDone\n');
+});
+
+test('formats scenarios and token usage as markdown tables', () => {
+  assert.equal(formatScenarioTable([
+    { id: 'TC001', title: 'Login | logout', priority: 'High', testSteps: [{}, {}] }
+  ]), '| ID | Title | Priority | Steps |\n| --- | --- | --- | --- |\n| TC001 | Login \\| logout | High | 2 |');
+
+  const usage = formatTokenUsage({
+    total: { calls: 2, inputTokens: 300, outputTokens: 120, costUsd: 0.0021 },
+    agent1: { calls: 1, inputTokens: 100, outputTokens: 20, costUsd: 0.0005, model: 'claude-sonnet' },
+    agent2: { calls: 1, inputTokens: 200, outputTokens: 100, costUsd: 0.0016, model: 'claude-sonnet' }
+  });
+  assert.match(usage, /\| agent1 \| claude-sonnet \| 1 \| 100 \| 20 \| \$0\.0005 \|/);
+  assert.match(usage, /\| \*\*Total\*\* \| - \| 2 \| 300 \| 120 \| \$0\.0021 \|$/);
+  assert.equal(formatTokenUsage(null), '_Not recorded_');
+});
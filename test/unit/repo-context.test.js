@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { indexTargetRepo, parsePageObject } = require('../../agents/agent2-script-generator/repo-context.js');
+
+const TARGET_REPO = path.join(__dirname, '..', '..', 'shared', 'mocks', 'fixtures', 'target-repo');
+
+test('indexes page objects, test data and a sample spec', async () => {
+  const index = await indexTargetRepo(TARGET_REPO);
+
+  const loginPage = index.pageObjects.find(page => page.className === 'LoginPage');
+  assert.equal(loginPage.path, 'tests/pages/LoginPage.ts');
+  assert.equal(loginPage.baseClass, 'BasePage');
+  assert.deepEqual(loginPage.locators.map(l => l.name), ['username', 'password', 'loginButton', 'error']);
+  assert.equal(loginPage.locators[0].selector, "locator('#user-name')");
+  assert.deepEqual(loginPage.methods, [
+    { name: 'open', params: '' },
+    { name: 'login', params: 'username: string, password: string' }
+  ]);
+  assert.match(loginPage.source, /export class LoginPage/);
+
+  assert.deepEqual(index.testData.exports, ['users']);
+  assert.equal(index.sampleSpec.path, 'tests/e2e/login.spec.ts');
+  assert.deepEqual(index.specs, ['tests/e2e/login.spec.ts']);
+});
+
+test('reads locators assigned in the constructor and skips private methods', () => {
+  const page = parsePageObject('tests/pages/CartPage.ts', [
+    'export class CartPage extends BasePage {',
+    '  readonly checkout: Locator;',
+    '  constructor(page: Page) {',
+    '    super(page);',
+    "    this.checkout = page.getByRole('button', { name: 'Checkout' });",
+    '  }',
+    '  async removeItem(name: string): Promise<void> {',
+    '    if (name) {',
+    '      await this.itemRow(name).click();',
+    '    }',
+    '  }',
+    '  private itemRow(name: string) {',
+    "    return this.page.locator('.cart_item').filter({ hasText: name });",
+    '  }',
+    '}'
+  ].join('\n'));
+
+  assert.deepEqual(page.locators, [{ name: 'checkout', selector: "getByRole('button', { name: 'Checkout' })" }]);
+  assert.deepEqual(page.methods, [{ name: 'removeItem', params: 'name: string' }]);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toMarkdown, extractAcceptanceCriteria } = require('../../shared/utils/rich-text.js');
+
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks ? { marks } : {}) });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const cell = (type, value) => ({ type, content: [paragraph(text(value))] });
+
+test('converts ADF tables, checklists, code blocks and links', () => {
+  const markdown = toMarkdown({
+    type: 'doc',
+    version: 1,
+    content: [
+      paragraph(text('See '), text('the spec', [{ type: 'link', attrs: { href: 'https://example.atlassian.net/wiki/x' } }])),
+      {
+        type: 'taskList',
+        content: [
+          { type: 'taskItem', attrs: { state: 'DONE' }, content: [text('Email is validated')] },
+          { type: 'taskItem', attrs: { state: 'TODO' }, content: [text('Password is masked')] }
+        ]
+      },
+      {
+        type: 'table',
+        content: [
+          { type: 'tableRow', content: [cell('tableHeader', 'Input'), cell('tableHeader', 'Result')] },
+          { type: 'tableRow', content: [cell('tableCell', 'a|b'), cell('tableCell', 'Error')] }
+        ]
+      },
+      { type: 'codeBlock', attrs: { language: 'json' }, content: [text('{ "user": "demo" }')] }
+    ]
+  });
+
+  assert.equal(markdown, [
+    'See [the spec](https://example.atlassian.net/wiki/x)',
+    '',
+    '- [x] Email is validated',
+    '- [ ] Password is masked',
+    '',
+    '| Input | Result |',
+    '| --- | --- |',
+    '| a\\|b | Error |',
+    '',
+    '```json',
+    '{ "user": "demo" }',
+    '```'
+  ].join('\n'));
+});
+
+test('converts wiki markup', () => {
+  const markdown = toMarkdown([
+    'h2. Login',
+    'Use *bold*, _italic_, {{snake_case}} and [docs|https://example.com].',
+    '# First',
+    '## Nested',
+    '||Field||Value||',
+    '|user|demo|',
+    '{code:javascript}',
+    'const a = *b*;',
+    '{code}'
+  ].join('\n'));
+
+  assert.equal(markdown, [
+    '## Login',
+    'Use **bold**, *italic*, `snake_case` and [docs](https://example.com).',
+    '1. First',
+    '  1. Nested',
+    '| Field | Value |',
+    '| --- | --- |',
+    '| user | demo |',
+    '```javascript',
+    'const a = *b*;',
+    '```'
+  ].join('\n'));
+});
+
+test('extracts the acceptance criteria section', () => {
+  const result = extractAcceptanceCriteria([
+    'Users can reset their password.',
+    '',
+    '## Acceptance Criteria',
+    '- A reset link is emailed',
+    '',
+    '## Out of scope',
+    'SMS reset'
+  ].join('\n'));
+
+  assert.equal(result.acceptanceCriteria, '- A reset link is emailed');
+  assert.equal(result.description, 'Users can reset their password.\n\n## Out of scope\nSMS reset');
+
+  const inline = extractAcceptanceCriteria('Intro\n**Acceptance Criteria:**\n1. Works\n**Notes:**\nNone');
+  assert.equal(inline.acceptanceCriteria, '1. Works');
+
+  const none = extractAcceptanceCriteria('Acceptance criteria must be agreed first.');
+  assert.equal(none.acceptanceCriteria, null);
+});
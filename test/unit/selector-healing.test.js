@@ -0,0 +1,167 @@
+process.env.MOCK_SERVICES = 'true';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+const fakeLlm = require('../../shared/llm/providers/fake.js');
+const {
+  extractFailedSelector,
+  renderLocator,
+  applyLocator,
+  buildReplaySpec,
+  healFailedSelectors
+} = require('../../agents/agent3-test-executor/selector-healing.js');
+
+const FIXTURE_REPO = path.join(__dirname, '..', '..', 'shared', 'mocks', 'fixtures', 'target-repo');
+const LOGIN_PAGE = fs.readFileSync(path.join(FIXTURE_REPO, 'tests', 'pages', 'LoginPage.ts'), 'utf-8');
+const LOGIN_SPEC = fs.readFileSync(path.join(FIXTURE_REPO, 'tests', 'e2e', 'login.spec.ts'), 'utf-8');
+
+// Stands in for `npx playwright test` on a replay: logs its arguments and writes the
+// capture the appended hook would, with two matches for role locators and one otherwise
+const FAKE_REPLAY = `const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.REPLAY_LOG, JSON.stringify(args) + '\\n');
+const spec = fs.readFileSync(args[1].split(':')[0], 'utf-8');
+if (!spec.includes('test.afterEach')) process.exit(2);
+const candidates = JSON.parse(process.env.AGENT3_HEAL_CANDIDATES);
+fs.writeFileSync(process.env.AGENT3_HEAL_OUTPUT, JSON.stringify({
+  url: 'https://www.saucedemo.com/',
+  title: 'Swag Labs',
+  dom: '<html><head><title>Swag Labs</title></head><body><script>track()</script><form><button data-testid="login-button">Login</button></form></body></html>',
+  ariaSnapshot: '- button "Login"',
+  candidates: candidates.map(c => ({ ...c, count: c.strategy === 'role' ? 2 : 1, visible: true }))
+}));
+process.exit(1);
+`;
+
+let tmpDir;
+let repoDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-healing-'));
+  repoDir = path.join(tmpDir, 'repo');
+  fs.cpSync(FIXTURE_REPO, repoDir, { recursive: true });
+  fs.writeFileSync(path.join(tmpDir, 'fake-replay.js'), FAKE_REPLAY);
+  process.env.PLAYWRIGHT_COMMAND = `node "${path.join(tmpDir, 'fake-replay.js')}"`;
+  process.env.REPLAY_LOG = path.join(tmpDir, 'replays.log');
+  fakeLlm.reset();
+});
+
+afterEach(() => {
+  delete process.env.PLAYWRIGHT_COMMAND;
+  delete process.env.REPLAY_LOG;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('extracts the selector a failed test was waiting for', () => {
+  const error = "Error: locator.click: Test timeout of 30000ms exceeded.\nCall log:\n  - waiting for locator('#login-button')";
+  assert.equal(extractFailedSelector(error), '#login-button');
+  assert.equal(extractFailedSelector('Error: expect(received).toBe(expected)'), null);
+});
+
+test('renders suggested locators as Playwright code', () => {
+  assert.equal(renderLocator({ strategy: 'role', role: 'button', name: "Log 'in'" }), "getByRole('button', { name: 'Log \\'in\\'' })");
+  assert.equal(renderLocator({ strategy: 'role', role: 'textbox', name: 'Username', exact: true }), "getByRole('textbox', { name: 'Username', exact: true })");
+  assert.equal(renderLocator({ strategy: 'role', role: 'main' }), "getByRole('main')");
+  assert.equal(renderLocator({ strategy: 'testId', value: 'login-button' }), "getByTestId('login-button')");
+  assert.equal(renderLocator({ strategy: 'label', value: 'Password', exact: true }), "getByLabel('Password', { exact: true })");
+  assert.equal(renderLocator({ strategy: 'css', value: '[data-test="login-button"]' }), "locator('[data-test=\"login-button\"]')");
+});
+
+test('replaces locator() calls, and plain selector strings only with CSS', () => {
+  const updated = applyLocator(LOGIN_PAGE, '#login-button', { strategy: 'role', role: 'button', name: 'Login' });
+  assert.match(updated, /readonly loginButton = this\.page\.getByRole\('button', \{ name: 'Login' \}\);/);
+  assert.match(updated, /readonly username = this\.page\.locator\('#user-name'\);/);
+
+  const constants = "const selectors = { submit: '#submit' };\n";
+  assert.equal(applyLocator(constants, '#submit', { strategy: 'testId', value: 'submit' }), null);
+  assert.equal(applyLocator(constants, '#submit', { strategy: 'css', value: 'button[type="submit"]' }),
+    "const selectors = { submit: 'button[type=\"submit\"]' };\n");
+});
+
+test('replay specs keep the spec\'s lines and append a capture hook that parses', () => {
+  const replay = buildReplaySpec(LOGIN_SPEC);
+  assert.ok(replay.startsWith(LOGIN_SPEC.trimEnd()));
+  assert.match(replay, /test\.afterEach\(async \(\{ page \}, testInfo\) => \{/);
+  assert.match(replay, /ariaSnapshot\(/);
+  const { parseDiagnostics } = ts.createSourceFile('login.agent3-heal.spec.ts', replay, ts.ScriptTarget.Latest);
+  assert.deepEqual(parseDiagnostics, []);
+
+  assert.equal(buildReplaySpec("import { it } from 'vitest';\n"), null);
+});
+
+test('heals a selector with the first suggestion that matches one visible element on the live page', async () => {
+  fakeLlm.queueResponse('agent3', JSON.stringify({
+    originalSelector: '#login-button',
+    locators: [
+      { strategy: 'role', role: 'button', name: 'Login' },
+      { strategy: 'testId', value: 'login-button' }
+    ],
+    elementType: 'button',
+    confidence: 'high',
+    explanation: 'The id was renamed'
+  }));
+
+  const failedTest = {
+    name: 'Login › should login with a standard user',
+    file: 'tests/e2e/login.spec.ts',
+    line: 6,
+    project: 'webkit',
+    error: "Error: locator.click: Test timeout of 30000ms exceeded.\n  - waiting for locator('#login-button')",
+    location: { file: 'tests/pages/LoginPage.ts', line: 21 }
+  };
+  const { corrections, outputFailures } = await healFailedSelectors(repoDir, [failedTest, { ...failedTest, project: 'chromium' }], { config: null });
+
+  assert.deepEqual(outputFailures, []);
+  assert.deepEqual(corrections, [{
+    test: failedTest.name,
+    file: 'tests/pages/LoginPage.ts',
+    originalSelector: '#login-button',
+    newSelector: "getByTestId('login-button')",
+    strategy: 'testId'
+  }]);
+  assert.match(fs.readFileSync(path.join(repoDir, 'tests', 'pages', 'LoginPage.ts'), 'utf-8'),
+    /readonly loginButton = this\.page\.getByTestId\('login-button'\);/);
+
+  // One replay to capture the page, one to check the suggestions; the second project's
+  // failure on the same selector is already healed
+  const replays = fs.readFileSync(process.env.REPLAY_LOG, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(replays.length, 2);
+  assert.deepEqual(replays[0], ['test', 'tests/e2e/login.agent3-heal.spec.ts:6', '--retries', '0', '--workers', '1',
+    '--reporter', 'line', '--output', path.join('.agent3-heal', 'output'), '--project', 'webkit']);
+
+  const [request] = fakeLlm.getRequests();
+  const prompt = request.messages[0].content;
+  assert.match(prompt, /URL: https:\/\/www\.saucedemo\.com\//);
+  assert.match(prompt, /- button "Login"/);
+  assert.match(prompt, /<body> ?<form> ?<button data-testid="login-button">Login<\/button>/);
+  assert.doesNotMatch(prompt, /track\(\)/);
+
+  assert.equal(fs.existsSync(path.join(repoDir, 'tests', 'e2e', 'login.agent3-heal.spec.ts')), false);
+  assert.equal(fs.existsSync(path.join(repoDir, '.agent3-heal')), false);
+});
+
+test('leaves the selector alone when no suggestion matches exactly one element', async () => {
+  fakeLlm.queueResponse('agent3', JSON.stringify({
+    originalSelector: '#login-button',
+    locators: [{ strategy: 'role', role: 'button', name: 'Login' }],
+    elementType: 'button',
+    confidence: 'high',
+    explanation: 'The id was renamed'
+  }));
+
+  const { corrections } = await healFailedSelectors(repoDir, [{
+    name: 'Login › should login with a standard user',
+    file: 'tests/e2e/login.spec.ts',
+    line: 6,
+    project: null,
+    error: "waiting for locator('#login-button')",
+    location: null
+  }], { config: null });
+
+  assert.deepEqual(corrections, []);
+  assert.equal(fs.readFileSync(path.join(repoDir, 'tests', 'pages', 'LoginPage.ts'), 'utf-8'), LOGIN_PAGE);
+});
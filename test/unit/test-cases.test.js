@@ -0,0 +1,193 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The module reads the test case folder when it loads
+const testCaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-cases-'));
+process.env.TEST_CASES_DIR = testCaseDir;
+
+const { validateSchema, dereferenceSchema, formatSchemaErrors } = require('../../shared/utils/json-schema.js');
+const {
+  SCHEMA_VERSION,
+  TestCaseValidationError,
+  TestCaseNotFoundError,
+  upgradeTestCaseDocument,
+  validateTestCaseDocument,
+  readTestCases,
+  writeTestCases,
+  stabilizeScenarioIds,
+  diffTestCaseDocuments,
+  applyPreviousVersion
+} = require('../../shared/utils/test-cases.js');
+
+after(() => {
+  fs.rmSync(testCaseDir, { recursive: true, force: true });
+});
+
+function scenario(id, title, overrides = {}) {
+  return {
+    id,
+    title,
+    priority: 'High',
+    preconditions: [],
+    testSteps: [{ step: 1, action: `Open ${title}`, expectedResult: 'It opens' }],
+    ...overrides
+  };
+}
+
+function document(scenarios, overrides = {}) {
+  return { schemaVersion: SCHEMA_VERSION, issueKey: 'TC-1', scenarios, ...overrides };
+}
+
+test('validates types, required and extra properties, enums, patterns and local refs', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'items'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 2, pattern: '^[a-z]+$' },
+      kind: { enum: ['a', 'b'] },
+      count: { type: 'integer', minimum: 1, maximum: 3 },
+      items: { type: 'array', minItems: 1, maxItems: 2, items: { $ref: '#/definitions/item' } },
+      note: { type: ['string', 'null'] }
+    },
+    definitions: {
+      item: { type: 'object', required: ['id'], properties: { id: { type: 'number' } } }
+    }
+  };
+
+  assert.deepEqual(validateSchema({ name: 'ok', kind: 'a', count: 2, items: [{ id: 1.5 }], note: null }, schema), []);
+  assert.deepEqual(validateSchema({ name: 'X', kind: 'c', count: 4, items: [{}, { id: '2' }, { id: 3 }], extra: true }, schema), [
+    { path: '/name', message: 'must have at least 2 characters' },
+    { path: '/name', message: 'must match pattern ^[a-z]+$' },
+    { path: '/kind', message: 'must be one of "a", "b"' },
+    { path: '/count', message: 'must be <= 3' },
+    { path: '/items', message: 'must have at most 2 item(s)' },
+    { path: '/items/0/id', message: 'is required' },
+    { path: '/items/1/id', message: 'must be number, got string' },
+    { path: '/extra', message: 'is not an allowed property' }
+  ]);
+  assert.deepEqual(validateSchema({ items: [] }, schema), [
+    { path: '/name', message: 'is required' },
+    { path: '/items', message: 'must have at least 1 item(s)' }
+  ]);
+  assert.deepEqual(validateSchema(1.5, { type: 'integer' }), [{ path: '', message: 'must be integer, got number' }]);
+
+  assert.equal(formatSchemaErrors([{ path: '', message: 'must be object' }, { path: '/a', message: 'is required' }]),
+    '- / must be object\n- /a is required');
+});
+
+test('dereferences local refs and drops schema metadata', () => {
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'x',
+    type: 'object',
+    properties: { item: { $ref: '#/definitions/item' } },
+    definitions: { item: { type: 'string' } }
+  };
+  assert.deepEqual(dereferenceSchema(schema), { type: 'object', properties: { item: { type: 'string' } } });
+  assert.throws(() => validateSchema({ item: 'a' }, { properties: { item: { $ref: 'other.json#/x' } } }), /Unsupported \$ref/);
+});
+
+test('upgrades unversioned documents and leaves everything else alone', () => {
+  const legacy = { issueKey: 'TC-1', scenarios: [scenario('TC001', 'Login')] };
+  const upgraded = upgradeTestCaseDocument(legacy);
+  assert.equal(upgraded.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(validateTestCaseDocument(upgraded), []);
+  assert.equal(legacy.schemaVersion, undefined, 'the input is not modified');
+
+  const future = { schemaVersion: '2.0', scenarios: [] };
+  assert.equal(upgradeTestCaseDocument(future), future);
+  assert.deepEqual(upgradeTestCaseDocument([1]), [1]);
+  assert.equal(upgradeTestCaseDocument(null), null);
+  assert.match(formatSchemaErrors(validateTestCaseDocument(future)), /\/schemaVersion must be one of "1\.0"/);
+});
+
+test('rejects documents that use a test case id twice', () => {
+  const errors = validateTestCaseDocument(document([scenario('TC001', 'Login'), scenario('TC002', 'Logout'), scenario('TC001', 'Reset')]));
+  assert.deepEqual(errors, [{ path: '/scenarios/2/id', message: 'duplicates test case id TC001' }]);
+});
+
+test('reads legacy files through the upgrade and refuses invalid ones', async () => {
+  const legacyPath = path.join(testCaseDir, 'TC-1-test-cases.json');
+  fs.writeFileSync(legacyPath, JSON.stringify({ scenarios: [scenario('TC001', 'Login')] }));
+  assert.equal((await readTestCases('TC-1')).schemaVersion, SCHEMA_VERSION);
+
+  await assert.rejects(writeTestCases('TC-2', document([scenario('TC001', 'Login'), scenario('TC001', 'Logout')])), error => {
+    assert.ok(error instanceof TestCaseValidationError);
+    assert.equal(error.filePath, path.join(testCaseDir, 'TC-2-test-cases.json'));
+    assert.match(error.message, /- \/scenarios\/1\/id duplicates test case id TC001/);
+    return true;
+  });
+  assert.equal(fs.existsSync(path.join(testCaseDir, 'TC-2-test-cases.json')), false);
+
+  fs.writeFileSync(path.join(testCaseDir, 'TC-3-test-cases.json'), '{ not json');
+  await assert.rejects(readTestCases('TC-3'), /is not valid JSON/);
+  await assert.rejects(readTestCases('TC-4'), error => error instanceof TestCaseNotFoundError && !(error instanceof TestCaseValidationError));
+});
+
+test('gives renumbered scenarios their previous id back by title', () => {
+  const previous = document([scenario('TC001', 'Login'), scenario('TC002', 'Logout'), scenario('TC003', 'Reset password')]);
+  const next = document([
+    scenario('TC001', 'Login'),
+    scenario('TC002', 'Reset  Password'),
+    scenario('TC004', 'Logout'),
+    scenario('TC005', 'Sign up')
+  ]);
+
+  const stable = stabilizeScenarioIds(previous, next);
+  // TC002 is still in use, so only the missing TC003 can be reclaimed by title
+  assert.deepEqual(stable.scenarios.map(s => [s.id, s.title]), [
+    ['TC001', 'Login'],
+    ['TC002', 'Reset  Password'],
+    ['TC004', 'Logout'],
+    ['TC005', 'Sign up']
+  ]);
+
+  const renumbered = stabilizeScenarioIds(previous, document([scenario('TC010', 'logout'), scenario('TC011', 'LOGOUT')]));
+  assert.deepEqual(renumbered.scenarios.map(s => s.id), ['TC002', 'TC011'], 'an id is only reclaimed once');
+});
+
+test('diffs documents by scenario id, treating missing optional fields as their defaults', () => {
+  const previous = document([
+    scenario('TC001', 'Login'),
+    scenario('TC002', 'Logout', { tags: ['@smoke'] }),
+    scenario('TC003', 'Reset password')
+  ], { generatedAt: '2026-01-01T00:00:00Z' });
+  const next = document([
+    scenario('TC001', 'Login', { tags: [], testData: {}, linkedRequirement: 'TC-1', changeStatus: 'added' }),
+    scenario('TC002', 'Logout', { priority: 'Low' }),
+    scenario('TC004', 'Sign up')
+  ]);
+
+  assert.deepEqual(diffTestCaseDocuments(previous, next), {
+    previousGeneratedAt: '2026-01-01T00:00:00Z',
+    added: ['TC004'],
+    modified: [{ id: 'TC002', fields: ['priority', 'tags'] }],
+    removed: [{ id: 'TC003', title: 'Reset password' }],
+    unchanged: ['TC001']
+  });
+});
+
+test('marks each scenario with how it changed since the previous version', () => {
+  const previous = document([scenario('TC001', 'Login'), scenario('TC002', 'Logout')]);
+  const next = document([scenario('TC001', 'Login', { priority: 'Low' }), scenario('TC007', 'Logout'), scenario('TC008', 'Sign up')]);
+
+  const reconciled = applyPreviousVersion(previous, next);
+  assert.deepEqual(reconciled.scenarios.map(s => [s.id, s.changeStatus]), [
+    ['TC001', 'modified'],
+    ['TC002', 'unchanged'],
+    ['TC008', 'added']
+  ]);
+  assert.deepEqual(reconciled.changes, {
+    previousGeneratedAt: null,
+    added: ['TC008'],
+    modified: [{ id: 'TC001', fields: ['priority'] }],
+    removed: []
+  });
+  assert.deepEqual(validateTestCaseDocument(reconciled), []);
+
+  assert.deepEqual(applyPreviousVersion(null, next).scenarios.map(s => s.changeStatus), ['added', 'added', 'added']);
+});
@@ -0,0 +1,89 @@
+process.env.MOCK_SERVICES = 'true';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { exportTestCases } = require('../../shared/utils/test-export.js');
+
+const ISSUE = { id: '10042', key: 'ZS-7', fields: { project: { key: 'ZS' } } };
+
+const createClient = axios.create;
+const consoleLog = console.log;
+let requests;
+
+function scenario(id, title) {
+  return {
+    id,
+    title,
+    priority: 'Medium',
+    preconditions: ['Logged out'],
+    testSteps: [{ step: 1, action: 'Log in', expectedResult: 'Dashboard shown' }]
+  };
+}
+
+// Zephyr Scale where ZS-T1 (two versions, labelled tc-ZS-7-TC001) and an unrelated ZS-T9 cover the issue
+function fakeZephyr() {
+  const testCases = {
+    'ZS-T1': { key: 'ZS-T1', name: 'TC001: Old title', labels: ['tc-ZS-7-TC001'], folder: { id: 3 } },
+    'ZS-T9': { key: 'ZS-T9', name: 'Manual case', labels: [] }
+  };
+  const respond = (method, url, body) => {
+    requests.push(body === undefined ? `${method} ${url}` : [`${method} ${url}`, body]);
+    if (method === 'GET' && url === '/issuelinks/ZS-7/testcases') {
+      return [{ key: 'ZS-T1', version: 1 }, { key: 'ZS-T1', version: 2 }, { key: 'ZS-T9', version: 1 }];
+    }
+    if (method === 'GET' && url.startsWith('/testcases/')) return testCases[url.split('/')[2]];
+    if (method === 'POST' && url === '/testcases') return { key: 'ZS-T10' };
+    if (method === 'GET') throw new Error(`Unexpected ${url}`);
+    return {};
+  };
+  return {
+    get: async url => ({ data: respond('GET', url) }),
+    post: async (url, body) => ({ data: respond('POST', url, body) }),
+    put: async (url, body) => ({ data: respond('PUT', url, body) })
+  };
+}
+
+beforeEach(() => {
+  requests = [];
+  process.env.TEST_EXPORT_MODE = 'zephyr';
+  process.env.ZEPHYR_API_TOKEN = 'token';
+  axios.create = () => fakeZephyr();
+  console.log = () => { };
+});
+
+afterEach(() => {
+  delete process.env.TEST_EXPORT_MODE;
+  delete process.env.ZEPHYR_API_TOKEN;
+  axios.create = createClient;
+  console.log = consoleLog;
+});
+
+test('finds existing Zephyr Scale cases through the issue\'s coverage links, not the whole project', async () => {
+  const exported = await exportTestCases(ISSUE, { scenarios: [scenario('TC001', 'Login'), scenario('TC002', 'Logout')] });
+
+  assert.deepEqual(exported, [
+    { id: 'TC001', title: 'Login', key: 'ZS-T1', action: 'updated' },
+    { id: 'TC002', title: 'Logout', key: 'ZS-T10', action: 'created' }
+  ]);
+
+  const calls = requests.map(request => (Array.isArray(request) ? request[0] : request));
+  assert.deepEqual(calls, [
+    'GET /issuelinks/ZS-7/testcases',
+    'GET /testcases/ZS-T1',
+    'GET /testcases/ZS-T9',
+    'PUT /testcases/ZS-T1',
+    'POST /testcases/ZS-T1/teststeps',
+    'POST /testcases',
+    'POST /testcases/ZS-T10/teststeps',
+    'POST /testcases/ZS-T10/links/issues'
+  ]);
+
+  const [, update] = requests[3];
+  assert.equal(update.name, 'TC001: Login');
+  assert.deepEqual(update.folder, { id: 3 }, 'the full test case is sent back');
+  const [, create] = requests[5];
+  assert.equal(create.projectKey, 'ZS');
+  assert.equal(create.priorityName, 'Normal');
+  assert.deepEqual(requests[7][1], { issueId: 10042 });
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getScopeMode, resolveTestScope, describeTestScope } = require('../../agents/agent3-test-executor/test-scope.js');
+const { buildManifest, writeManifest, listTestTitles } = require('../../shared/utils/test-manifest.js');
+const { runPlaywright } = require('../../shared/utils/playwright-utils.js');
+
+const LOGIN_SPEC = `import { test } from '@playwright/test';
+import { LoginPage } from '../pages/LoginPage';
+import { DashboardPage } from '../pages/DashboardPage';
+
+test.describe('User login', { tag: '@SCRUM-6' }, () => {
+  test('should login', async ({ page }) => {});
+  test.skip('should log out', async ({ page }) => {});
+});
+`;
+
+let repoDir;
+
+function writeFile(relativePath, content) {
+  fs.mkdirSync(path.join(repoDir, path.dirname(relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(repoDir, relativePath), content);
+}
+
+before(() => {
+  repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-scope-'));
+  writeFile('tests/e2e/user-login.spec.ts', LOGIN_SPEC);
+  writeFile('tests/e2e/login.spec.ts', "import { LoginPage } from '../pages/LoginPage';\ntest('legacy login', async () => {});\n");
+  writeFile('tests/ui/cart.spec.ts', "import { CartPage } from '../pages/CartPage';\ntest('cart', async () => {});\n");
+  writeFile('tests/e2e/other.spec.ts', "test.describe('Other', { tag: '@SCRUM-60' }, () => {});\n");
+});
+
+after(() => {
+  fs.rmSync(repoDir, { recursive: true, force: true });
+});
+
+test('lists test titles under their describe', () => {
+  assert.deepEqual(listTestTitles(LOGIN_SPEC), ['User login › should login', 'User login › should log out']);
+});
+
+test('issue scope falls back to the specs tagged with the issue key', async () => {
+  const scope = await resolveTestScope(repoDir, 'SCRUM-6', 'issue');
+  assert.deepEqual(scope, { mode: 'issue', source: 'tag', files: ['tests/e2e/user-login.spec.ts'], tag: '@SCRUM-6', grep: '@SCRUM-6(?![\\w-])' });
+  assert.equal(describeTestScope(scope), "the issue's tests: 1 spec file, tagged @SCRUM-6");
+
+  const none = await resolveTestScope(repoDir, 'SCRUM-7', 'issue');
+  assert.deepEqual(none, { mode: 'issue', source: null, files: [], tag: null, grep: null });
+});
+
+test('the grep selects only the issue\'s tests in a spec shared with a longer key', async () => {
+  const sharedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-scope-shared-'));
+  process.env.MOCK_SERVICES = 'true';
+  try {
+    fs.mkdirSync(path.join(sharedDir, 'tests', 'e2e'), { recursive: true });
+    fs.writeFileSync(path.join(sharedDir, 'tests', 'e2e', 'checkout.spec.ts'), `import { test } from '@playwright/test';
+
+test('pays by card', { tag: '@X-6' }, async ({ page }) => {});
+test('pays by invoice', { tag: '@X-60' }, async ({ page }) => {});
+test('pays by voucher', { tag: ['@X-6', '@smoke'] }, async ({ page }) => {});
+`);
+
+    const scope = await resolveTestScope(sharedDir, 'X-6', 'issue');
+    assert.deepEqual(scope.files, ['tests/e2e/checkout.spec.ts']);
+    assert.equal(scope.tag, '@X-6');
+
+    const { exitCode, stdout } = await runPlaywright(sharedDir, ['test', '--list', ...scope.files, '--grep', scope.grep]);
+    assert.equal(exitCode, 0);
+    assert.match(stdout, /pays by card/);
+    assert.match(stdout, /pays by voucher/);
+    assert.doesNotMatch(stdout, /pays by invoice/);
+  } finally {
+    delete process.env.MOCK_SERVICES;
+    fs.rmSync(sharedDir, { recursive: true, force: true });
+  }
+});
+
+test('the manifest decides the issue scope and its page objects the affected scope', async () => {
+  writeFile('tests/e2e/untagged.spec.ts', "import { CartPage } from '../pages/CartPage';\ntest('untagged', async () => {});\n");
+  await writeManifest(repoDir, buildManifest('SCRUM-8', [
+    { path: 'tests/e2e/untagged.spec.ts', content: 'test(\'untagged\', async () => {});' },
+    { path: 'tests/e2e/removed.spec.ts', content: '' }
+  ], ['tests/pages/CartPage.ts']));
+
+  const issue = await resolveTestScope(repoDir, 'SCRUM-8', 'issue');
+  assert.deepEqual(issue, { mode: 'issue', source: 'manifest', files: ['tests/e2e/untagged.spec.ts'], tag: null, grep: null });
+
+  const affected = await resolveTestScope(repoDir, 'SCRUM-8', 'affected');
+  assert.deepEqual(affected.files, ['tests/e2e/untagged.spec.ts', 'tests/ui/cart.spec.ts']);
+
+  const affectedByTag = await resolveTestScope(repoDir, 'SCRUM-6', 'affected');
+  assert.deepEqual(affectedByTag.files, ['tests/e2e/login.spec.ts', 'tests/e2e/user-login.spec.ts']);
+
+  const full = await resolveTestScope(repoDir, 'SCRUM-8', 'full');
+  assert.deepEqual(full, { mode: 'full', source: null, files: null, tag: null, grep: null });
+  assert.equal(describeTestScope(full), 'full regression (all specs)');
+});
+
+test('scope mode comes from the options, then TEST_RUN_SCOPE', () => {
+  assert.equal(getScopeMode({}), 'issue');
+  process.env.TEST_RUN_SCOPE = 'full';
+  try {
+    assert.equal(getScopeMode({}), 'full');
+    assert.equal(getScopeMode({ scope: 'affected' }), 'affected');
+  } finally {
+    delete process.env.TEST_RUN_SCOPE;
+  }
+  assert.throws(() => getScopeMode({ scope: 'everything' }), /Unknown test run scope "everything"/);
+});
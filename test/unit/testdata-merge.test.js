@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeTestData } = require('../../agents/agent2-script-generator/testdata-merge.js');
+
+const SOURCE = `export const users = {
+  standard: {
+    username: 'standard_user',
+    password: 'secret_sauce',
+  },
+};
+`;
+
+test('adds new keys and exports without touching existing data', () => {
+  const result = mergeTestData(SOURCE, [
+    { exportName: 'users', key: 'locked', value: "{ username: 'locked_out_user', password: 'secret_sauce' }" },
+    { exportName: 'users', key: 'standard.email', value: "'standard@example.com'" },
+    { exportName: 'resetEmails', key: 'unknown', value: "'nobody@example.com'" }
+  ]);
+
+  assert.equal(result.content, `export const users = {
+  standard: {
+    username: 'standard_user',
+    password: 'secret_sauce',
+    email: 'standard@example.com',
+  },
+  locked: { username: 'locked_out_user', password: 'secret_sauce' },
+};
+
+export const resetEmails = { unknown: 'nobody@example.com' };
+`);
+  assert.deepEqual(result.added, ['users.locked', 'users.standard.email', 'resetEmails.unknown']);
+  assert.deepEqual(result.conflicts, []);
+});
+
+test('reports entries that would change existing data as conflicts', () => {
+  const result = mergeTestData(SOURCE, [
+    { exportName: 'users', key: 'standard.password', value: "'changed'" },
+    { exportName: 'users', key: 'standard.username', value: '"standard_user"' },
+    { exportName: 'users', value: '{}' },
+    { exportName: 'users', key: 'standard.password.hash', value: "'x'" },
+    { exportName: 'broken', value: '{ a: ' }
+  ]);
+
+  assert.equal(result.content, SOURCE);
+  assert.deepEqual(result.added, []);
+  assert.deepEqual(result.conflicts.map(c => [c.entry, c.reason]), [
+    ['users.standard.password', 'users.standard.password already exists with a different value'],
+    ['users', 'users already exists with a different value'],
+    ['users.standard.password.hash', 'users.standard.password is not an object literal'],
+    ['broken', 'value is not a valid TypeScript expression']
+  ]);
+});
+
+test('rejects values that would close the declaration and add statements of their own', () => {
+  const result = mergeTestData(SOURCE, [
+    { exportName: 'evil', value: '1); export const users = (2' },
+    { exportName: 'evil', value: "1; export const admin = { username: 'root' }" },
+    { exportName: 'evil', value: '1, other = 2' },
+    { exportName: 'users', key: 'extra', value: "1, injected: 'x'" },
+    { exportName: 'evil', value: '1 // trailing comment' }
+  ]);
+
+  assert.deepEqual(result.conflicts.map(c => [c.entry, c.reason]), [
+    ['evil', 'value is not a valid TypeScript expression'],
+    ['evil', 'value is not a valid TypeScript expression'],
+    ['evil', 'value is not a valid TypeScript expression'],
+    ['users.extra', 'value is not a valid TypeScript expression'],
+    ['evil', 'value is not a valid TypeScript expression']
+  ]);
+  assert.deepEqual(result.added, []);
+  assert.equal(result.content, SOURCE);
+});
@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateGeneratedFiles } = require('../../agents/agent2-script-generator/validate-files.js');
+
+// Stands in for `npx playwright`: logs its arguments, and fails --list for specs named "broken"
+const FAKE_PLAYWRIGHT = `const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.PLAYWRIGHT_LOG, JSON.stringify(args) + '\\n');
+if (args.some(arg => arg.includes('broken'))) {
+  console.error('Error: No tests found');
+  process.exit(1);
+}
+`;
+
+const SPEC = "const title: string = 'loads';\nexport { title };\n";
+
+let repoDir;
+const consoleLog = console.log;
+
+function writeSpec(relativePath) {
+  fs.mkdirSync(path.join(repoDir, path.dirname(relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(repoDir, relativePath), SPEC);
+  return relativePath;
+}
+
+function playwrightCalls() {
+  return fs.readFileSync(process.env.PLAYWRIGHT_LOG, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+  repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-files-'));
+  fs.writeFileSync(path.join(repoDir, 'fake-playwright.js'), FAKE_PLAYWRIGHT);
+  process.env.PLAYWRIGHT_COMMAND = `node "${path.join(repoDir, 'fake-playwright.js')}"`;
+  process.env.PLAYWRIGHT_LOG = path.join(repoDir, 'playwright.log');
+  console.log = () => { };
+});
+
+afterEach(() => {
+  delete process.env.PLAYWRIGHT_COMMAND;
+  delete process.env.PLAYWRIGHT_LOG;
+  console.log = consoleLog;
+  fs.rmSync(repoDir, { recursive: true, force: true });
+});
+
+test('lists generated specs with their paths passed through unexpanded', async () => {
+  const files = [writeSpec('tests/e2e/$(touch pwned).spec.ts'), writeSpec('tests/e2e/`touch pwned2`.spec.ts'), writeSpec('tests/pages/Page.ts')];
+
+  assert.deepEqual(await validateGeneratedFiles(repoDir, files), []);
+  assert.deepEqual(playwrightCalls(), [['test', '--list', 'tests/e2e/$(touch pwned).spec.ts', 'tests/e2e/`touch pwned2`.spec.ts']]);
+  assert.equal(fs.existsSync(path.join(repoDir, 'pwned')), false);
+  assert.equal(fs.existsSync(path.join(repoDir, 'pwned2')), false);
+});
+
+test('reports specs Playwright cannot list', async () => {
+  const diagnostics = await validateGeneratedFiles(repoDir, [writeSpec('tests/e2e/broken.spec.ts')]);
+  assert.equal(diagnostics.length, 1);
+  assert.equal(diagnostics[0].tool, 'playwright');
+  assert.match(diagnostics[0].message, /`playwright test --list` failed:\nError: No tests found/);
+});